@@ -0,0 +1,53 @@
+// Service worker - keeps the app shell (page, scripts, styles) cached so the app opens offline.
+// API calls always go to the network; offline question packs live in IndexedDB, not here.
+// The build (vite.config.js) fills in BUILD and BUILD_FILES, the hashed scripts, styles and fonts.
+const BUILD = 'dev';
+const BUILD_FILES = [];
+const CACHE = `quiz-master-shell-${BUILD}`;
+const SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg', ...BUILD_FILES];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop shells cached by older versions of this worker
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheCopy = (request, response) => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE).then((cache) => cache.put(request, copy));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  // Pages: the network first so a new deploy shows up straight away, the cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => cacheCopy('/index.html', response))
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Built assets have content hashes in their names, so a cached copy never goes stale
+  event.respondWith(caches.match(request).then((cached) => cached || fetch(request).then((response) => cacheCopy(request, response))));
+});
@@ -0,0 +1,125 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import fs from 'node:fs/promises';
+import { seedSubjects } from './services/subjects.js';
+import { FORMATS, IMPORT_MODES, importBank, exportBank, formatFromFilename } from './services/bankTransfer.js';
+import { authorOf } from './services/revisions.js';
+import { DUPLICATE_POLICIES, describeCluster } from './services/duplicates.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+const USAGE = `Usage:
+  node bank.js import <file> [--format csv|json|gift] [--mode append|upsert|replace] [--dry-run]
+                             [--subject <name> --difficulty <level>]   (defaults for GIFT files without $CATEGORY)
+                             [--duplicates warn|reject|ignore] [--threshold 0.85]
+  node bank.js export <file> [--format csv|json|gift] [--subject <name>] [--difficulty <level>]
+
+The format defaults to the file extension; the import mode defaults to upsert.`;
+
+// Parse "--flag value" / "--flag" arguments after the command and file
+const parseArgs = (args) => {
+  const [command, file, ...rest] = args;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    if (key === 'dry-run') {
+      options.dryRun = true;
+    } else {
+      options[key] = rest[i + 1];
+      i++;
+    }
+  }
+  return { command, file, options };
+};
+
+const printReport = (report) => {
+  for (const set of report.sets) {
+    console.log(
+      `  ${set.subject} - ${set.difficulty}${set.isNew ? ' (new)' : ''}: ` +
+        `+${set.added} added, ${set.updated} updated, ${set.removed} removed -> ${set.total} questions`
+    );
+  }
+  for (const cluster of report.duplicates) {
+    console.warn(`  ⚠️  ${describeCluster(cluster).join('\n')}`);
+  }
+  for (const error of report.errors) {
+    const where = error.line ? `line ${error.line}` : error.location || 'file';
+    console.error(`  ❌ ${where}: ${error.message}`);
+  }
+};
+
+const runImport = async (file, options) => {
+  const format = options.format || formatFromFilename(file);
+  const mode = options.mode || 'upsert';
+  if (!FORMATS[format]) throw new Error(`Unknown format - pass --format ${Object.keys(FORMATS).join('|')}`);
+  if (!IMPORT_MODES.includes(mode)) throw new Error(`--mode must be one of ${IMPORT_MODES.join(', ')}`);
+  const duplicates = options.duplicates || 'warn';
+  if (!DUPLICATE_POLICIES.includes(duplicates)) throw new Error(`--duplicates must be one of ${DUPLICATE_POLICIES.join(', ')}`);
+
+  const content = await fs.readFile(file, 'utf-8');
+  await seedSubjects();
+  const report = await importBank(content, {
+    format,
+    mode,
+    dryRun: Boolean(options.dryRun),
+    defaults: { subject: options.subject, difficulty: options.difficulty },
+    author: authorOf(null, 'bank.js'),
+    duplicates,
+    ...(options.threshold ? { threshold: Number(options.threshold) } : {}),
+  });
+
+  printReport(report);
+  if (report.errors.length > 0) {
+    console.error(`❌ ${report.errors.length} problem(s) found in ${file} - nothing was imported`);
+    process.exitCode = 1;
+  } else if (report.dryRun) {
+    console.log(`✅ Dry run: ${report.questions} questions in ${file} are valid - nothing was written`);
+  } else {
+    console.log(`✅ Imported ${report.questions} questions from ${file} (${mode})`);
+    if (report.subjectsCreated > 0) {
+      console.log(`📚 Created ${report.subjectsCreated} new subject(s) - set their icon and description in the admin API`);
+    }
+  }
+};
+
+const runExport = async (file, options) => {
+  const format = options.format || formatFromFilename(file);
+  if (!FORMATS[format]) throw new Error(`Unknown format - pass --format ${Object.keys(FORMATS).join('|')}`);
+
+  const exported = await exportBank({ format, subject: options.subject, difficulty: options.difficulty });
+  await fs.writeFile(file, exported.content, 'utf-8');
+  console.log(`✅ Exported ${exported.sets} quiz set(s) to ${file}`);
+};
+
+const run = async () => {
+  const { command, file, options } = parseArgs(process.argv.slice(2));
+  if (!['import', 'export'].includes(command) || !file) {
+    console.log(USAGE);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  if (!MONGODB_URI) {
+    console.error('❌ MONGODB_URI is missing. Add it to server/.env');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    await (command === 'import' ? runImport(file, options) : runExport(file, options));
+  } catch (e) {
+    console.error(`❌ ${command === 'import' ? 'Import' : 'Export'} failed`);
+    console.error(e?.message || e);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect().catch(() => undefined);
+  }
+};
+
+// Run when invoked via `node bank.js`
+run();
@@ -0,0 +1,52 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from './models/User.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+// Usage: node createAdmin.js <username> [password]
+// Promotes an existing user to admin, or creates one when a password is given.
+const run = async () => {
+  const [username, password] = process.argv.slice(2);
+
+  if (!MONGODB_URI) {
+    console.error('❌ MONGODB_URI is missing. Add it to server/.env');
+    process.exitCode = 1;
+    return;
+  }
+  if (!username) {
+    console.error('❌ Usage: npm run create-admin -- <username> [password]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ MongoDB connected');
+
+    let user = await User.findOne({ username: username.trim().toLowerCase() });
+    if (!user) {
+      if (!password) {
+        console.error(`❌ User "${username}" not found. Pass a password to create it.`);
+        process.exitCode = 1;
+        return;
+      }
+      user = new User({ username });
+      await user.setPassword(password);
+    }
+
+    user.role = 'admin';
+    await user.save();
+    console.log(`✅ ${user.username} is now an admin`);
+  } catch (e) {
+    console.error('❌ Failed to create admin');
+    console.error(e?.message || e);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect().catch(() => undefined);
+  }
+};
+
+run();
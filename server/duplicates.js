@@ -0,0 +1,115 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FORMATS, formatFromFilename } from './services/bankTransfer.js';
+import {
+  DEFAULT_THRESHOLD,
+  describeCluster,
+  findBankDuplicates,
+  findDuplicateClusters,
+  toReportCluster,
+} from './services/duplicates.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+const USAGE = `Usage:
+  node duplicates.js [file] [--threshold ${DEFAULT_THRESHOLD}] [--json]   check a bank file (default: questions.json)
+  node duplicates.js --db [--threshold ${DEFAULT_THRESHOLD}] [--json]     check the question bank in MongoDB
+
+Lists clusters of exact and near-duplicate questions across all subjects and difficulties.
+Exits with code 1 when any are found.`;
+
+const parseArgs = (args) => {
+  const options = { threshold: DEFAULT_THRESHOLD };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--db') options.db = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--help') options.help = true;
+    else if (arg === '--threshold') options.threshold = Number(args[++i]);
+    else options.file = arg;
+  }
+  return options;
+};
+
+// Duplicate report for a bank file; no database needed
+const checkFile = async (file, threshold) => {
+  const format = formatFromFilename(file);
+  if (!FORMATS[format]) throw new Error(`Can't tell the format of ${file} - use a .csv, .json or .gift file`);
+
+  const content = await fs.readFile(file, 'utf-8');
+  const { records, errors } = FORMATS[format].parse(content, {});
+  if (errors.length > 0) {
+    throw new Error(`${file} could not be parsed: ${errors[0].message} - run 'npm run bank -- import ${file} --dry-run' for details`);
+  }
+
+  const clusters = findDuplicateClusters(records, { threshold }).map(toReportCluster);
+  return { questions: records.length, threshold, clusters };
+};
+
+const checkDatabase = async (threshold) => {
+  if (!MONGODB_URI) throw new Error('MONGODB_URI is missing. Add it to server/.env');
+  await mongoose.connect(MONGODB_URI);
+  try {
+    return await findBankDuplicates({ threshold });
+  } finally {
+    await mongoose.disconnect().catch(() => undefined);
+  }
+};
+
+const printReport = (report, source) => {
+  report.clusters.forEach((cluster, i) => {
+    console.log(`\n${i + 1}. ${describeCluster(cluster).join('\n')}`);
+  });
+
+  const exact = report.clusters.filter((c) => c.kind === 'exact').length;
+  const crossDifficulty = report.clusters.filter((c) => c.crossDifficulty).length;
+  if (report.clusters.length === 0) {
+    console.log(`✅ No duplicates among ${report.questions} questions in ${source}`);
+  } else {
+    console.log(
+      `\n⚠️  ${report.clusters.length} duplicate group(s) among ${report.questions} questions in ${source} ` +
+        `(${exact} exact, ${report.clusters.length - exact} near, ${crossDifficulty} spanning difficulties)`
+    );
+  }
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!(options.threshold > 0 && options.threshold <= 1)) {
+    console.error('❌ --threshold must be a number between 0 and 1');
+    process.exitCode = 1;
+    return;
+  }
+
+  const file = options.file || path.join(__dirname, 'questions.json');
+  const source = options.db ? 'the question bank' : path.basename(file);
+
+  try {
+    const report = options.db ? await checkDatabase(options.threshold) : await checkFile(file, options.threshold);
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report, source);
+    }
+    if (report.clusters.length > 0) process.exitCode = 1;
+  } catch (e) {
+    console.error('❌ Duplicate check failed');
+    console.error(e?.message || e);
+    process.exitCode = 1;
+  }
+};
+
+// Run when invoked via `node duplicates.js`
+run();
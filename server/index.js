@@ -3,7 +3,16 @@ import mongoose from 'mongoose';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import quizRoutes from './routes/quiz.js';
+import attemptRoutes from './routes/attempts.js';
+import authRoutes from './routes/auth.js';
+import adminRoutes from './routes/admin.js';
+import roomRoutes from './routes/rooms.js';
+import savedQuizRoutes from './routes/savedQuizzes.js';
+import progressRoutes from './routes/progress.js';
 import seedData from './seedData.js';
+import Subject from './models/Subject.js';
+import { seedSubjects, ensureSubjects } from './services/subjects.js';
+import { assetDir } from './services/assets.js';
 
 dotenv.config();
 
@@ -16,8 +25,11 @@ const MONGODB_TIMEOUT_MS = Number(process.env.MONGODB_TIMEOUT_MS || 30000);
 app.use(cors({
   origin: process.env.VITE_FRONTEND_URL || process.env.FRONTEND_URL || true,
   credentials: true,
+  // Lets the admin UI read export file names
+  exposedHeaders: ['Content-Disposition'],
 }));
-app.use(express.json());
+// Large enough for question bank imports
+app.use(express.json({ limit: '5mb' }));
 
 // Database Connection
 mongoose
@@ -38,6 +50,13 @@ mongoose
     } else {
       console.log(`📊 Database already has ${quizCount} quiz documents`);
     }
+
+    // Databases created before subjects had their own collection need them backfilled
+    if ((await Subject.countDocuments()) === 0) {
+      await seedSubjects();
+      await ensureSubjects(await Quiz.distinct('subject'));
+      console.log('✅ Subjects seeded');
+    }
   })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err.message);
@@ -45,7 +64,20 @@ mongoose
   });
 
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/quiz', quizRoutes);
+app.use('/api/attempts', attemptRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/saved-quizzes', savedQuizRoutes);
+app.use('/api/progress', progressRoutes);
+
+// Question images; names are content hashes, so they never change once written
+app.use('/api/assets', express.static(assetDir(), {
+  immutable: true,
+  maxAge: '365d',
+  setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff'),
+}));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,85 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is missing. Add it to server/.env');
+  }
+  return secret;
+};
+
+// Sign a session token for a user
+export const signToken = (user) =>
+  jwt.sign({ sub: String(user._id), role: user.role }, getSecret(), { expiresIn: TOKEN_TTL });
+
+// Resolve the user behind a session token, or null
+const userFromToken = async (token) => {
+  if (!token) return null;
+
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return await User.findById(payload.sub);
+  } catch {
+    return null;
+  }
+};
+
+// Resolve the user behind an "Authorization: Bearer <token>" header, or null
+const userFromRequest = async (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer') return null;
+  return userFromToken(token);
+};
+
+// Require a valid session; sets req.user
+export const authenticate = async (req, res, next) => {
+  try {
+    const user = await userFromRequest(req);
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Like authenticate, but also accepts ?token= - EventSource can't send headers,
+// so only server-sent event streams should use this
+export const authenticateStream = async (req, res, next) => {
+  try {
+    const user = (await userFromRequest(req)) || (await userFromToken(req.query.token));
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach req.user when a valid token is present, but don't require one
+export const optionalAuth = async (req, res, next) => {
+  try {
+    req.user = await userFromRequest(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restrict a route to the given roles (use after authenticate)
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, message: 'You do not have permission to do that' });
+  }
+  next();
+};
+
+export const requireAdmin = [authenticate, requireRole('admin')];
@@ -0,0 +1,244 @@
+import mongoose from 'mongoose';
+
+// Schema for a single answered (or pending) question within an attempt
+const attemptAnswerSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // The set the question came from (attempts can draw from several sets)
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+    },
+    // Version of that set the question was served (and is graded) from
+    quizVersion: {
+      type: Number,
+      default: null,
+    },
+    subject: {
+      type: String,
+    },
+    difficulty: {
+      type: String,
+    },
+    // Display order of the options (optionOrder[shown] = authored index) when shuffled
+    optionOrder: {
+      type: [Number],
+      default: undefined,
+    },
+    // Shape depends on the question type: index, [indexes], number or string
+    selectedAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    isCorrect: {
+      type: Boolean,
+      default: null,
+    },
+    answeredAt: {
+      type: Date,
+      default: null,
+    },
+    presentedAt: {
+      type: Date,
+      default: null,
+    },
+    timeTakenMs: {
+      type: Number,
+      default: null,
+    },
+    timedOut: {
+      type: Boolean,
+      default: false,
+    },
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+// Optional time limits chosen when the attempt starts
+const timingSchema = new mongoose.Schema(
+  {
+    mode: {
+      type: String,
+      enum: ['none', 'question', 'quiz'],
+      default: 'none',
+    },
+    questionLimitSec: {
+      type: Number,
+      default: null,
+    },
+    totalLimitSec: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Where an adaptive attempt stands: the tier the next question comes from, the
+// current run of correct (+) or wrong (-) answers, and the final ability estimate
+const adaptiveSchema = new mongoose.Schema(
+  {
+    tier: {
+      type: String,
+      enum: ['easy', 'medium', 'hard'],
+      default: 'medium',
+    },
+    streak: {
+      type: Number,
+      default: 0,
+    },
+    ability: {
+      type: Number,
+      default: null,
+    },
+    standardError: {
+      type: Number,
+      default: null,
+    },
+    proficiency: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Main Attempt Schema - one per started quiz
+const attemptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Set the attempt was drawn from; null when it mixes several sets
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      default: null,
+    },
+    mode: {
+      type: String,
+      enum: ['standard', 'review', 'adaptive'],
+      default: 'standard',
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    difficulty: {
+      type: String,
+      required: true,
+      enum: ['easy', 'medium', 'hard', 'mixed', 'adaptive'],
+    },
+    // Mix of subjects and difficulties the questions were drawn from (custom quizzes only)
+    blueprint: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    // Tags the questions were narrowed to (single-set attempts only)
+    tags: {
+      type: [String],
+      default: undefined,
+    },
+    // Set by the browser for attempts taken offline; syncing the same one twice is a no-op
+    clientId: {
+      type: String,
+      default: undefined,
+    },
+    // False for attempts taken offline: the browser kept the clock and nothing watched the
+    // attempt, so their scores can't be trusted for XP, badges or leaderboards
+    verified: {
+      type: Boolean,
+      default: true,
+    },
+    // Saved quiz (or assignment) the attempt was started from
+    savedQuiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SavedQuiz',
+      default: null,
+    },
+    // 1, 2, ... for attempts at a saved quiz with an attempt limit. Unique per learner, so two
+    // attempts started at the same moment can't both take the last one.
+    savedQuizAttempt: {
+      type: Number,
+      default: undefined,
+    },
+    // When false, correct answers and explanations are never sent back (saved quiz setting)
+    showAnswers: {
+      type: Boolean,
+      default: true,
+    },
+    // Recreates the same questions and option order when sent back on a new attempt
+    seed: {
+      type: String,
+      default: null,
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false,
+    },
+    // Language the questions are served in (see services/translations.js)
+    locale: {
+      type: String,
+      default: 'en',
+    },
+    answers: [attemptAnswerSchema],
+    // Only set for adaptive attempts, whose answers grow one question at a time
+    adaptive: {
+      type: adaptiveSchema,
+      default: undefined,
+    },
+    timing: {
+      type: timingSchema,
+      default: () => ({}),
+    },
+    status: {
+      type: String,
+      // abandoned: given up on (or replaced by a newer attempt) before it was completed
+      enum: ['in-progress', 'completed', 'abandoned'],
+      default: 'in-progress',
+    },
+    score: {
+      type: Number,
+      default: 0,
+    },
+    totalQuestions: {
+      type: Number,
+      required: true,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// History and dashboard queries filter by user + status and sort by date
+attemptSchema.index({ user: 1, status: 1, completedAt: -1 });
+// Question analytics scan every completed attempt that includes a question
+attemptSchema.index({ 'answers.questionId': 1, status: 1 });
+// Offline attempts are synced at most once per user
+attemptSchema.index({ user: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+// Saved quiz results and attempt limits look attempts up by saved quiz + user
+attemptSchema.index({ savedQuiz: 1, user: 1 });
+attemptSchema.index(
+  { savedQuiz: 1, user: 1, savedQuizAttempt: 1 },
+  { unique: true, partialFilterExpression: { savedQuizAttempt: { $type: 'number' } } }
+);
+
+const Attempt = mongoose.model('Attempt', attemptSchema);
+export default Attempt;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// A badge as it was awarded (names of per-subject badges include the subject)
+const earnedBadgeSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    icon: {
+      type: String,
+    },
+    earnedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Gamification state for one user: total XP, daily streak and badges (see services/gamification.js)
+const progressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    xp: {
+      type: Number,
+      default: 0,
+    },
+    quizzesCompleted: {
+      type: Number,
+      default: 0,
+    },
+    // Consecutive days (UTC) with at least one completed quiz, ending on lastActiveDay
+    currentStreak: {
+      type: Number,
+      default: 0,
+    },
+    longestStreak: {
+      type: Number,
+      default: 0,
+    },
+    // YYYY-MM-DD
+    lastActiveDay: {
+      type: String,
+      default: null,
+    },
+    badges: [earnedBadgeSchema],
+  },
+  { timestamps: true }
+);
+
+const Progress = mongoose.model('Progress', progressSchema);
+export default Progress;
@@ -1,29 +1,110 @@
 import mongoose from 'mongoose';
+import { QUESTION_TYPES, validateQuestion } from '../services/questionTypes.js';
+import { normalizeTags, normalizeObjectives, validateTags } from '../services/tags.js';
+import { normalizeLocale, validateTranslations } from '../services/translations.js';
 
-// Schema for individual quiz questions
+// Empty tag/objective lists are left unset, like the other optional answer fields
+const unlessEmpty = (normalize) => (value) => {
+  const list = normalize(value);
+  return list.length > 0 ? list : undefined;
+};
+
+// The question in another language (see services/translations.js); options line up
+// index for index with the English ones and may be left out
+const translationSchema = new mongoose.Schema(
+  {
+    locale: {
+      type: String,
+      required: true,
+      set: (value) => normalizeLocale(value) || value,
+    },
+    question: {
+      type: String,
+      required: true,
+    },
+    options: {
+      type: [String],
+      default: undefined,
+    },
+    explanation: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// Schema for individual quiz questions. Which answer fields are used depends on
+// `type`; see services/questionTypes.js for the rules.
 const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'single',
+  },
   question: {
     type: String,
     required: true,
   },
   options: {
     type: [String],
-    required: true,
-    validate: {
-      validator: (v) => v.length === 4,
-      message: 'Must have exactly 4 options',
-    },
+    default: [],
   },
+  // single and true-false
   correctAnswer: {
     type: Number,
-    required: true,
+  },
+  // multiple
+  correctAnswers: {
+    type: [Number],
+    default: undefined,
+  },
+  // numeric
+  numericAnswer: {
+    type: Number,
+  },
+  tolerance: {
+    type: Number,
     min: 0,
-    max: 3,
+    default: undefined,
+  },
+  // text
+  acceptedAnswers: {
+    type: [String],
+    default: undefined,
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: undefined,
   },
   explanation: {
     type: String,
     required: true,
   },
+  // Topic labels within the subject, e.g. ["trees", "heaps"] (see services/tags.js)
+  tags: {
+    type: [String],
+    default: undefined,
+    set: unlessEmpty(normalizeTags),
+  },
+  // What the question checks, e.g. "Trace an insertion into a binary heap"
+  objectives: {
+    type: [String],
+    default: undefined,
+    set: unlessEmpty(normalizeObjectives),
+  },
+  // Other languages the question can be served in, e.g. [{ locale: "es", question, options, explanation }]
+  translations: {
+    type: [translationSchema],
+    default: undefined,
+  },
+});
+
+questionSchema.pre('validate', function checkQuestionType(next) {
+  const error = validateQuestion(this) || validateTags(this) || validateTranslations(this);
+  if (error) {
+    this.invalidate('type', error);
+  }
+  next();
 });
 
 // Main Quiz Schema
@@ -32,16 +113,7 @@ const quizSchema = new mongoose.Schema(
     subject: {
       type: String,
       required: true,
-      enum: [
-        'Data Structures',
-        'Algorithms',
-        'Database Management',
-        'Operating Systems',
-        'Computer Networks',
-        'Web Development',
-        'Cloud Computing',
-        'DevOps',
-      ],
+      trim: true,
     },
     difficulty: {
       type: String,
@@ -53,9 +125,17 @@ const quizSchema = new mongoose.Schema(
       type: Number,
       default: 5,
     },
+    // Bumped on every change; each version is kept as a QuizRevision
+    version: {
+      type: Number,
+      default: 0,
+    },
   },
   { timestamps: true }
 );
 
+// Subject names come from the Subject collection; one set per subject/difficulty
+quizSchema.index({ subject: 1, difficulty: 1 }, { unique: true });
+
 const Quiz = mongoose.model('Quiz', quizSchema);
 export default Quiz;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// One field that changed on a question
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// What happened to one question between two versions of a set
+const questionChangeSchema = new mongoose.Schema(
+  {
+    questionId: mongoose.Schema.Types.ObjectId,
+    change: {
+      type: String,
+      enum: ['added', 'removed', 'modified', 'moved'],
+    },
+    question: String,
+    fields: [fieldChangeSchema],
+    from: Number,
+    to: Number,
+  },
+  { _id: false }
+);
+
+// A saved version of a quiz set: the full question list as it was after a change,
+// who made the change and how it differs from the version before
+const quizRevisionSchema = new mongoose.Schema(
+  {
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    subject: String,
+    difficulty: String,
+    action: {
+      type: String,
+      enum: ['baseline', 'create', 'update', 'delete', 'reorder', 'replace', 'import', 'rollback'],
+      required: true,
+    },
+    summary: String,
+    author: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      username: String,
+    },
+    // Question subdocuments (with their _id) exactly as stored in this version
+    questions: [mongoose.Schema.Types.Mixed],
+    changes: [questionChangeSchema],
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+quizRevisionSchema.index({ quiz: 1, version: -1 }, { unique: true });
+quizRevisionSchema.index({ createdAt: -1 });
+
+const QuizRevision = mongoose.model('QuizRevision', quizRevisionSchema);
+export default QuizRevision;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// Spaced-repetition state for one question and one user (SM-2)
+const reviewScheduleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: true,
+    },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    difficulty: {
+      type: String,
+      required: true,
+    },
+    easeFactor: {
+      type: Number,
+      default: 2.5,
+    },
+    intervalDays: {
+      type: Number,
+      default: 0,
+    },
+    repetitions: {
+      type: Number,
+      default: 0,
+    },
+    lapses: {
+      type: Number,
+      default: 0,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    lastReviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+reviewScheduleSchema.index({ user: 1, questionId: 1 }, { unique: true });
+reviewScheduleSchema.index({ user: 1, dueAt: 1 });
+
+const ReviewSchedule = mongoose.model('ReviewSchedule', reviewScheduleSchema);
+export default ReviewSchedule;
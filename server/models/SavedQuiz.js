@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+// One frozen question: the set it came from and the version it's served (and graded) at
+const savedQuestionSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: true,
+    },
+    quizVersion: {
+      type: Number,
+      default: null,
+    },
+    subject: {
+      type: String,
+    },
+    difficulty: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// A fixed quiz anyone with its code can take: the same questions in the same order
+// every time. With a due date it's an assignment.
+const savedQuizSchema = new mongoose.Schema(
+  {
+    // Share code used in links (?quiz=CODE)
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 500,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    questions: [savedQuestionSchema],
+    // Labels for the whole quiz ('Mixed' / 'mixed' when it spans several sets)
+    subject: {
+      type: String,
+      required: true,
+    },
+    difficulty: {
+      type: String,
+      required: true,
+    },
+    timing: {
+      mode: {
+        type: String,
+        enum: ['none', 'question', 'quiz'],
+        default: 'none',
+      },
+      questionLimitSec: {
+        type: Number,
+        default: null,
+      },
+      totalLimitSec: {
+        type: Number,
+        default: null,
+      },
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false,
+    },
+    // Attempts each learner may start; null = unlimited
+    maxAttempts: {
+      type: Number,
+      default: null,
+    },
+    // Reveal correct answers and explanations (during the quiz and in the final review)
+    showAnswers: {
+      type: Boolean,
+      default: true,
+    },
+    dueAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const SavedQuiz = mongoose.model('SavedQuiz', savedQuizSchema);
+export default SavedQuiz;
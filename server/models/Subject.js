@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Turn a display name into a URL-safe slug ("Data Structures" -> "data-structures")
+export const slugify = (value) =>
+  String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Main Subject Schema - the list of topics shown in SubjectSelection
+const subjectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    icon: {
+      type: String,
+      default: '📘',
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// Derive the slug from the name unless one was given explicitly
+subjectSchema.pre('validate', function deriveSlug(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+const Subject = mongoose.model('Subject', subjectSchema);
+export default Subject;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+const SALT_ROUNDS = 10;
+
+// Main User Schema
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      minlength: 3,
+      maxlength: 32,
+    },
+    passwordHash: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['learner', 'admin'],
+      default: 'learner',
+    },
+  },
+  { timestamps: true }
+);
+
+userSchema.methods.setPassword = async function setPassword(password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+userSchema.methods.checkPassword = function checkPassword(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Shape sent to the client (never includes the hash)
+userSchema.methods.toPublic = function toPublic() {
+  return {
+    _id: this._id,
+    username: this.username,
+    role: this.role,
+  };
+};
+
+const User = mongoose.model('User', userSchema);
+export default User;
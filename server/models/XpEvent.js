@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// XP one completed attempt earned in one subject; leaderboards add these up
+const xpEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    attempt: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attempt',
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    xp: {
+      type: Number,
+      required: true,
+    },
+    earnedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// An attempt is awarded once
+xpEventSchema.index({ attempt: 1, subject: 1 }, { unique: true });
+// Weekly and per-subject leaderboards
+xpEventSchema.index({ earnedAt: -1, subject: 1 });
+xpEventSchema.index({ user: 1, subject: 1 });
+
+const XpEvent = mongoose.model('XpEvent', xpEventSchema);
+export default XpEvent;
@@ -0,0 +1,502 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Quiz from '../models/Quiz.js';
+import QuizRevision from '../models/QuizRevision.js';
+import Subject, { slugify } from '../models/Subject.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { QUESTION_FIELDS } from '../services/questionTypes.js';
+import { FORMATS, IMPORT_MODES, importBank, exportBank, formatFromFilename } from '../services/bankTransfer.js';
+import { authorOf, saveQuiz, rollbackQuiz } from '../services/revisions.js';
+import { DEFAULT_THRESHOLD, DUPLICATE_POLICIES, findBankDuplicates } from '../services/duplicates.js';
+import { DEFAULT_MIN_RESPONSES, getQuestionAnalytics } from '../services/questionAnalytics.js';
+import { searchQuestions } from '../services/questionSearch.js';
+import { parseTagsQuery } from '../services/tags.js';
+import { saveAsset, validateAssets } from '../services/assets.js';
+import { renameSubject } from '../services/subjects.js';
+
+const router = express.Router();
+
+// Everything here edits the question bank
+router.use(requireAdmin);
+
+const SUBJECT_FIELDS = ['name', 'slug', 'icon', 'description', 'order'];
+
+// Copy only the allowed fields from a request body
+const pickFields = (fields, body = {}) =>
+  Object.fromEntries(fields.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const pickQuestionFields = (body) => pickFields(QUESTION_FIELDS, body);
+
+// Find the set that owns a question id, or null
+const findQuizByQuestionId = (questionId) => {
+  if (!mongoose.isValidObjectId(questionId)) return null;
+  return Quiz.findOne({ 'questions._id': questionId });
+};
+
+const sendError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A record with that name or slug already exists' });
+  }
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+// POST - Create a subject
+router.post('/subjects', async (req, res) => {
+  try {
+    const subject = await Subject.create(pickFields(SUBJECT_FIELDS, req.body));
+    res.status(201).json({ success: true, message: 'Subject created', data: subject });
+  } catch (error) {
+    sendError(res, error, 'Error creating subject');
+  }
+});
+
+// PUT - Update a subject; renaming carries everything stored under its name along (see renameSubject)
+router.put('/subjects/:id', async (req, res) => {
+  try {
+    const subject = mongoose.isValidObjectId(req.params.id) ? await Subject.findById(req.params.id) : null;
+    if (!subject) {
+      return res.status(404).json({ success: false, message: 'Subject not found' });
+    }
+
+    const previousName = subject.name;
+    const updates = pickFields(SUBJECT_FIELDS, req.body);
+    if (updates.name && !updates.slug && slugify(previousName) === subject.slug) {
+      updates.slug = slugify(updates.name);
+    }
+    subject.set(updates);
+    await subject.save();
+
+    if (subject.name !== previousName) {
+      await renameSubject(previousName, subject.name);
+    }
+
+    res.json({ success: true, message: 'Subject updated', data: subject });
+  } catch (error) {
+    sendError(res, error, 'Error updating subject');
+  }
+});
+
+// DELETE - Remove a subject that no longer has any question sets
+router.delete('/subjects/:id', async (req, res) => {
+  try {
+    const subject = mongoose.isValidObjectId(req.params.id) ? await Subject.findById(req.params.id) : null;
+    if (!subject) {
+      return res.status(404).json({ success: false, message: 'Subject not found' });
+    }
+
+    if (await Quiz.exists({ subject: subject.name })) {
+      return res.status(409).json({
+        success: false,
+        message: `${subject.name} still has question sets. Delete its questions first.`,
+      });
+    }
+
+    await subject.deleteOne();
+    res.json({ success: true, message: 'Subject deleted' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting subject');
+  }
+});
+
+// GET - All subject/difficulty sets with their question counts
+router.get('/sets', async (req, res) => {
+  try {
+    const sets = await Quiz.aggregate([
+      { $project: { subject: 1, difficulty: 1, count: { $size: '$questions' }, updatedAt: 1 } },
+      { $sort: { subject: 1, difficulty: 1 } },
+    ]);
+
+    res.json({ success: true, data: sets });
+  } catch (error) {
+    sendError(res, error, 'Error fetching question sets');
+  }
+});
+
+// GET - One set including answers and explanations
+router.get('/sets/:subject/:difficulty', async (req, res) => {
+  try {
+    const { subject, difficulty } = req.params;
+    const quiz = await Quiz.findOne({ subject, difficulty });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: `No quiz found for ${subject} - ${difficulty}`,
+      });
+    }
+
+    res.json({ success: true, data: quiz });
+  } catch (error) {
+    sendError(res, error, 'Error fetching question set');
+  }
+});
+
+// POST - Add a question to a set (the set is created if needed)
+router.post('/sets/:subject/:difficulty/questions', async (req, res) => {
+  try {
+    const { subject, difficulty } = req.params;
+
+    if (!(await Subject.exists({ name: subject }))) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown subject "${subject}". Create it first with POST /api/admin/subjects`,
+      });
+    }
+
+    let quiz = await Quiz.findOne({ subject, difficulty });
+    if (!quiz) {
+      quiz = new Quiz({ subject, difficulty, questions: [] });
+    }
+
+    const fields = pickQuestionFields(req.body);
+    const assetError = validateAssets(fields);
+    if (assetError) {
+      return res.status(400).json({ success: false, message: `Question ${assetError}` });
+    }
+
+    quiz.questions.push(fields);
+    await saveQuiz(quiz, { author: authorOf(req.user), action: 'create' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question created',
+      data: quiz.questions[quiz.questions.length - 1],
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating question');
+  }
+});
+
+// PUT - Reorder a set; body.order is the full list of question ids
+router.put('/sets/:subject/:difficulty/order', async (req, res) => {
+  try {
+    const { subject, difficulty } = req.params;
+    const { order } = req.body;
+
+    const quiz = await Quiz.findOne({ subject, difficulty });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: `No quiz found for ${subject} - ${difficulty}`,
+      });
+    }
+
+    const currentIds = quiz.questions.map((q) => String(q._id));
+    const isPermutation =
+      Array.isArray(order) &&
+      order.length === currentIds.length &&
+      new Set(order.map(String)).size === currentIds.length &&
+      order.every((id) => currentIds.includes(String(id)));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'order must list every question id in the set exactly once',
+      });
+    }
+
+    quiz.questions = order.map((id) => quiz.questions.id(id));
+    await saveQuiz(quiz, { author: authorOf(req.user), action: 'reorder', summary: 'Questions reordered' });
+
+    res.json({ success: true, message: 'Questions reordered', data: quiz.questions });
+  } catch (error) {
+    sendError(res, error, 'Error reordering questions');
+  }
+});
+
+// PUT - Update one question by its id
+router.put('/questions/:questionId', async (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const quiz = await findQuizByQuestionId(questionId);
+
+    if (!quiz) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const question = quiz.questions.id(questionId);
+    question.set(pickQuestionFields(req.body));
+    const assetError = validateAssets(question);
+    if (assetError) {
+      return res.status(400).json({ success: false, message: `Question ${assetError}` });
+    }
+
+    await saveQuiz(quiz, { author: authorOf(req.user), action: 'update' });
+
+    res.json({ success: true, message: 'Question updated', data: question });
+  } catch (error) {
+    sendError(res, error, 'Error updating question');
+  }
+});
+
+// POST - Upload an image for question content; body is { data } with the file as base64
+// (a data: URL is fine). Responds with the asset name and the Markdown that embeds it.
+router.post('/assets', async (req, res) => {
+  try {
+    const name = await saveAsset(req.body.data);
+    const alt = String(req.body.alt || 'image').replace(/[[\]]/g, '');
+
+    console.log(`🖼️  Stored asset ${name}`);
+    res.status(201).json({
+      success: true,
+      message: 'Image stored',
+      data: { name, url: `/api/assets/${name}`, markdown: `![${alt}](asset:${name})` },
+    });
+  } catch (error) {
+    sendError(res, error, 'Error storing image');
+  }
+});
+
+// DELETE - Remove one question by its id
+router.delete('/questions/:questionId', async (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const quiz = await findQuizByQuestionId(questionId);
+
+    if (!quiz) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    quiz.questions.id(questionId).deleteOne();
+    await saveQuiz(quiz, { author: authorOf(req.user), action: 'delete' });
+
+    res.json({ success: true, message: 'Question deleted' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting question');
+  }
+});
+
+// Newest-first page of revisions (without the question snapshots) for ?page=&limit=
+const listRevisions = async (filter, query) => {
+  const limit = Math.min(parseInt(query.limit) || 20, 100);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+
+  const [revisions, total] = await Promise.all([
+    QuizRevision.find(filter, { questions: 0 })
+      .sort({ createdAt: -1, version: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    QuizRevision.countDocuments(filter),
+  ]);
+  return { revisions, page, total };
+};
+
+// GET - Version history of one set, newest first
+router.get('/sets/:subject/:difficulty/history', async (req, res) => {
+  try {
+    const { subject, difficulty } = req.params;
+    const quiz = await Quiz.findOne({ subject, difficulty }, { version: 1 });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: `No quiz found for ${subject} - ${difficulty}`,
+      });
+    }
+
+    const history = await listRevisions({ quiz: quiz._id }, req.query);
+    res.json({ success: true, data: { version: quiz.version, ...history } });
+  } catch (error) {
+    sendError(res, error, 'Error fetching set history');
+  }
+});
+
+// GET - One version of a set, including its full question list
+router.get('/sets/:subject/:difficulty/history/:version', async (req, res) => {
+  try {
+    const { subject, difficulty } = req.params;
+    const quiz = await Quiz.findOne({ subject, difficulty }, { _id: 1 });
+    const revision = quiz && (await QuizRevision.findOne({ quiz: quiz._id, version: Number(req.params.version) }));
+
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.json({ success: true, data: revision });
+  } catch (error) {
+    sendError(res, error, 'Error fetching set version');
+  }
+});
+
+// POST - Restore a set to an earlier version (body.version). The restore is recorded as a new version.
+router.post('/sets/:subject/:difficulty/rollback', async (req, res) => {
+  try {
+    const { subject, difficulty } = req.params;
+    const version = Number(req.body.version);
+
+    if (!Number.isInteger(version) || version < 0) {
+      return res.status(400).json({ success: false, message: 'version must be a version number' });
+    }
+
+    const quiz = await Quiz.findOne({ subject, difficulty });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: `No quiz found for ${subject} - ${difficulty}`,
+      });
+    }
+
+    const revision = await rollbackQuiz(quiz, version, authorOf(req.user));
+    if (!revision) {
+      return res.status(404).json({ success: false, message: `Version ${version} not found` });
+    }
+
+    console.log(`⏪ ${subject} - ${difficulty} rolled back to version ${version} by ${req.user.username}`);
+    res.json({ success: true, message: revision.summary, data: quiz });
+  } catch (error) {
+    sendError(res, error, 'Error rolling back set');
+  }
+});
+
+// GET - Audit log of every change to the bank, newest first (?subject=&difficulty=&page=&limit=)
+router.get('/audit', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.subject) filter.subject = req.query.subject;
+    if (req.query.difficulty) filter.difficulty = req.query.difficulty;
+
+    res.json({ success: true, data: await listRevisions(filter, req.query) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching audit log');
+  }
+});
+
+// GET - Per-question analytics (% correct, option picks, discrimination, average time)
+// with flags for mislabelled difficulty and unused options (?subject=&difficulty=&minResponses=)
+router.get('/analytics', async (req, res) => {
+  try {
+    const analytics = await getQuestionAnalytics({
+      subject: req.query.subject,
+      difficulty: req.query.difficulty,
+      minResponses: Math.max(parseInt(req.query.minResponses) || DEFAULT_MIN_RESPONSES, 1),
+    });
+    res.json({ success: true, data: analytics });
+  } catch (error) {
+    sendError(res, error, 'Error computing question analytics');
+  }
+});
+
+// Similarity threshold from a request, or the default
+const thresholdOf = (value) => {
+  const threshold = Number(value);
+  return value !== undefined && threshold > 0 && threshold <= 1 ? threshold : DEFAULT_THRESHOLD;
+};
+
+// GET - Clusters of duplicate and near-duplicate questions across the whole bank (?threshold=0..1)
+router.get('/duplicates', async (req, res) => {
+  try {
+    res.json({ success: true, data: await findBankDuplicates({ threshold: thresholdOf(req.query.threshold) }) });
+  } catch (error) {
+    sendError(res, error, 'Error finding duplicate questions');
+  }
+});
+
+// GET - Search the bank like /api/quiz/search, returning whole questions (answers included)
+// so authors can jump to the ones they need to edit
+router.get('/search', async (req, res) => {
+  try {
+    const { total, page, results } = await searchQuestions({
+      q: req.query.q,
+      subject: req.query.subject,
+      difficulty: req.query.difficulty,
+      tags: parseTagsQuery(req.query.tags),
+      limit: parseInt(req.query.limit) || 20,
+      page: parseInt(req.query.page) || 1,
+    });
+    res.json({
+      success: true,
+      data: {
+        total,
+        page,
+        results: results.map(({ quiz, question, score }) => ({
+          ...question.toObject(),
+          subject: quiz.subject,
+          difficulty: quiz.difficulty,
+          score,
+        })),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Error searching questions');
+  }
+});
+
+// POST - Import a question bank file ({ content, format, mode, dryRun, filename, duplicates, threshold }).
+// format defaults to the filename's extension; mode is append, upsert (default) or replace;
+// duplicates is warn (default, listed in the report), reject or ignore.
+// Responds 422 with every invalid row when anything fails validation; nothing is written then.
+router.post('/import', async (req, res) => {
+  try {
+    const { content, filename } = req.body;
+    const format = req.body.format || formatFromFilename(filename || '');
+    const mode = req.body.mode || 'upsert';
+    const dryRun = Boolean(req.body.dryRun);
+    const duplicates = req.body.duplicates || 'warn';
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ success: false, message: 'content is required' });
+    }
+    if (!FORMATS[format]) {
+      return res.status(400).json({ success: false, message: `format must be one of ${Object.keys(FORMATS).join(', ')}` });
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, message: `mode must be one of ${IMPORT_MODES.join(', ')}` });
+    }
+    if (!DUPLICATE_POLICIES.includes(duplicates)) {
+      return res.status(400).json({ success: false, message: `duplicates must be one of ${DUPLICATE_POLICIES.join(', ')}` });
+    }
+
+    const report = await importBank(content, {
+      format,
+      mode,
+      dryRun,
+      author: authorOf(req.user),
+      duplicates,
+      threshold: thresholdOf(req.body.threshold),
+    });
+    if (report.errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: `${report.errors.length} problem(s) found - nothing was imported`,
+        data: report,
+      });
+    }
+
+    console.log(`📥 ${dryRun ? 'Checked' : 'Imported'} ${report.questions} questions (${format}, ${mode})`);
+    res.json({
+      success: true,
+      message: dryRun ? 'Dry run passed - nothing was written' : 'Import complete',
+      data: report,
+    });
+  } catch (error) {
+    sendError(res, error, 'Error importing questions');
+  }
+});
+
+// GET - Export the bank (?format=csv|json|gift&subject=&difficulty=) as a file download
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!FORMATS[format]) {
+      return res.status(400).json({ success: false, message: `format must be one of ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    const file = await exportBank({ format, subject: req.query.subject, difficulty: req.query.difficulty });
+    res.set({
+      'Content-Type': `${file.contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${file.filename}"`,
+    });
+    res.send(file.content);
+  } catch (error) {
+    sendError(res, error, 'Error exporting questions');
+  }
+});
+
+export default router;
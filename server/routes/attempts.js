@@ -0,0 +1,851 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Quiz from '../models/Quiz.js';
+import Attempt from '../models/Attempt.js';
+import { toPublicQuestion, gradeAnswer, revealAnswer, computeScore } from '../services/grading.js';
+import { isValidAnswerShape } from '../services/questionTypes.js';
+import { authenticate } from '../middleware/auth.js';
+import { normalizeTiming, answerDeadline, isPastDeadline, recordTimeout } from '../services/timing.js';
+import {
+  findQuestionsByIds,
+  loadFrozenQuestions,
+  loadAttemptQuestions,
+  loadAttemptQuestion,
+  toAnswerSlot,
+  labelFor,
+} from '../services/questionBank.js';
+import { recordAttemptReview, getDueQuestions } from '../services/spacedRepetition.js';
+import {
+  isValidSeed,
+  newSeed,
+  sampleQuestions,
+  sampleAvoidingRecent,
+  optionOrderFor,
+  applyOptionOrder,
+} from '../services/sampling.js';
+import {
+  START_TIER,
+  initialAdaptiveState,
+  nextAdaptiveState,
+  pickAdaptiveQuestion,
+} from '../services/adaptive.js';
+import { normalizeBlueprint, sampleBlueprint } from '../services/blueprint.js';
+import { getSavedQuiz, checkAttemptsLeft, checkQuestionsUnrestricted } from '../services/savedQuizzes.js';
+import { syncOfflineAttempt } from '../services/offlineSync.js';
+import { hasAnyTag, parseTagsQuery } from '../services/tags.js';
+import { completeAttempt } from '../services/attemptCompletion.js';
+import { DEFAULT_LOCALE, localizeQuestion, normalizeLocale } from '../services/translations.js';
+
+const router = express.Router();
+
+// Every attempt belongs to a signed-in user
+router.use(authenticate);
+
+// Load the current user's attempt by id, sending a 404 if it doesn't exist
+const findAttempt = async (id, req, res) => {
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ success: false, message: 'Attempt not found' });
+    return null;
+  }
+
+  const attempt = await Attempt.findOne({ _id: id, user: req.user._id });
+  if (!attempt) {
+    res.status(404).json({ success: false, message: 'Attempt not found' });
+    return null;
+  }
+
+  return attempt;
+};
+
+// GET - The current user's completed attempts, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { subject, difficulty } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const filter = { user: req.user._id, status: 'completed' };
+    if (subject) filter.subject = subject;
+    if (difficulty) filter.difficulty = difficulty;
+
+    const [attempts, total] = await Promise.all([
+      Attempt.find(filter, { answers: 0 })
+        .sort({ completedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Attempt.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: attempts,
+      page,
+      total,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching attempts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching quiz history',
+      error: error.message,
+    });
+  }
+});
+
+// GET - Accuracy per subject/difficulty, overall and per day
+router.get('/stats', async (req, res) => {
+  try {
+    const match = { user: req.user._id, status: 'completed' };
+
+    const [summary, daily] = await Promise.all([
+      Attempt.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { subject: '$subject', difficulty: '$difficulty' },
+            attempts: { $sum: 1 },
+            correct: { $sum: '$score' },
+            total: { $sum: '$totalQuestions' },
+            bestScore: { $max: { $divide: ['$score', { $max: ['$totalQuestions', 1] }] } },
+            avgDurationMs: { $avg: '$durationMs' },
+            lastAttemptAt: { $max: '$completedAt' },
+          },
+        },
+        { $sort: { '_id.subject': 1, '_id.difficulty': 1 } },
+      ]),
+      Attempt.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              subject: '$subject',
+              difficulty: '$difficulty',
+              date: { $dateToString: { format: '%Y-%m-%d', date: '$completedAt' } },
+            },
+            attempts: { $sum: 1 },
+            correct: { $sum: '$score' },
+            total: { $sum: '$totalQuestions' },
+          },
+        },
+        { $sort: { '_id.date': 1 } },
+      ]),
+    ]);
+
+    const accuracy = (correct, total) => (total > 0 ? correct / total : 0);
+
+    const trends = {};
+    for (const day of daily) {
+      const key = `${day._id.subject}|${day._id.difficulty}`;
+      trends[key] = trends[key] || [];
+      trends[key].push({
+        date: day._id.date,
+        attempts: day.attempts,
+        accuracy: accuracy(day.correct, day.total),
+      });
+    }
+
+    res.json({
+      success: true,
+      data: summary.map((row) => ({
+        subject: row._id.subject,
+        difficulty: row._id.difficulty,
+        attempts: row.attempts,
+        correct: row.correct,
+        total: row.total,
+        accuracy: accuracy(row.correct, row.total),
+        bestScore: row.bestScore,
+        avgDurationMs: row.avgDurationMs,
+        lastAttemptAt: row.lastAttemptAt,
+        trend: trends[`${row._id.subject}|${row._id.difficulty}`] || [],
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Error aggregating attempts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching progress stats',
+      error: error.message,
+    });
+  }
+});
+
+// GET - The user's latest in-progress attempt (touched in the last day) in resumable
+// form, or null. Registered before /:id so "active" isn't taken for an attempt id.
+router.get('/active', async (req, res) => {
+  try {
+    const attempt = await Attempt.findOne({
+      user: req.user._id,
+      status: 'in-progress',
+      updatedAt: { $gte: new Date(Date.now() - RESUME_WINDOW_MS) },
+    })
+      .sort({ updatedAt: -1 })
+      .populate('savedQuiz', 'code title showAnswers maxAttempts dueAt');
+
+    res.json({ success: true, data: attempt ? await toResumeState(attempt) : null });
+  } catch (error) {
+    console.error('❌ Error fetching active attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching the quiz in progress',
+      error: error.message,
+    });
+  }
+});
+
+// GET - One attempt with its per-question answers
+router.get('/:id', async (req, res) => {
+  try {
+    const attempt = await findAttempt(req.params.id, req, res);
+    if (!attempt) return;
+
+    res.json({ success: true, data: attempt });
+  } catch (error) {
+    console.error('❌ Error fetching attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching quiz attempt',
+      error: error.message,
+    });
+  }
+});
+
+// A question as the attempt's learner sees it: in their language (where translated) with the
+// options in display order. Answer indexes line up with what they saw, so grading uses this too.
+const displayedQuestion = (attempt, question, optionOrder) =>
+  applyOptionOrder(localizeQuestion(question, attempt.locale), optionOrder);
+
+// Answer key and explanation for a graded question, unless the attempt keeps them hidden
+const answerFeedback = (attempt, question) =>
+  attempt.showAnswers === false
+    ? { answersHidden: true, explanation: null }
+    : { ...revealAnswer(question), explanation: question.explanation ?? null };
+
+// Full per-question breakdown sent back once an attempt is finished. Answers are
+// safe to reveal at this point, including for questions that were never shown.
+const toAnswerReview = (attempt, answer, question) => ({
+  questionId: answer.questionId,
+  question: question ? toPublicQuestion(question) : null,
+  selectedAnswer: answer.selectedAnswer,
+  isCorrect: answer.isCorrect,
+  timedOut: answer.timedOut,
+  timeTakenMs: answer.timeTakenMs,
+  flagged: answer.flagged,
+  ...(question ? answerFeedback(attempt, question) : { explanation: null }),
+});
+
+// In-progress attempts untouched for longer than this aren't offered for resuming
+const RESUME_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Everything the client needs to pick an in-progress attempt back up: its questions in
+// display order, the answers (with their feedback) given so far and the deadlines
+const toResumeState = async (attempt) => {
+  const questions = await loadAttemptQuestions(attempt);
+  const isQuestionTimed = attempt.timing?.mode === 'question';
+
+  return {
+    attemptId: attempt._id,
+    mode: attempt.mode,
+    subject: attempt.subject,
+    difficulty: attempt.difficulty,
+    seed: attempt.seed,
+    shuffleOptions: attempt.shuffleOptions,
+    locale: attempt.locale,
+    blueprint: attempt.blueprint ?? null,
+    tags: attempt.tags ?? [],
+    savedQuiz: attempt.savedQuiz
+      ? {
+          code: attempt.savedQuiz.code,
+          title: attempt.savedQuiz.title,
+          showAnswers: attempt.savedQuiz.showAnswers,
+          maxAttempts: attempt.savedQuiz.maxAttempts,
+          dueAt: attempt.savedQuiz.dueAt,
+        }
+      : null,
+    total: attempt.totalQuestions,
+    score: attempt.score,
+    questions: attempt.answers.map((a) => {
+      const question = displayedQuestion(attempt, questions.get(String(a.questionId)), a.optionOrder);
+      // With per-question timing content still comes from the present endpoint
+      return isQuestionTimed || !question
+        ? { _id: a.questionId }
+        : { ...toPublicQuestion(question), subject: a.subject, difficulty: a.difficulty };
+    }),
+    answers: attempt.answers.map((a) => {
+      if (!a.answeredAt) return null;
+      const question = displayedQuestion(attempt, questions.get(String(a.questionId)), a.optionOrder);
+      return {
+        selectedAnswer: a.selectedAnswer,
+        isCorrect: a.isCorrect,
+        timedOut: a.timedOut,
+        timeTakenMs: a.timeTakenMs,
+        ...(question ? answerFeedback(attempt, question) : { explanation: null }),
+      };
+    }),
+    timing: attempt.timing,
+    deadline: answerDeadline(attempt),
+    serverNow: new Date(),
+    updatedAt: attempt.updatedAt,
+  };
+};
+
+// Fresh quizzes steer clear of questions from the user's last few attempts at a set
+const RECENT_ATTEMPTS = 3;
+
+const recentQuestionIds = async (userId, quizId) => {
+  const attempts = await Attempt.find(
+    { user: userId, $or: [{ quiz: quizId }, { 'answers.quiz': quizId }] },
+    { 'answers.questionId': 1 }
+  )
+    .sort({ createdAt: -1 })
+    .limit(RECENT_ATTEMPTS);
+  return attempts.flatMap((a) => a.answers.map((answer) => answer.questionId));
+};
+
+// Question as sent to the client, as displayedQuestion and tagged with its set
+const toSourcedPublicQuestion = (attempt, { quiz, question }, slot) => ({
+  ...toPublicQuestion(displayedQuestion(attempt, question, slot.optionOrder)),
+  subject: quiz.subject,
+  difficulty: quiz.difficulty,
+});
+
+// A subject's sets keyed by difficulty, for adaptive attempts
+const loadTierQuizzes = async (subject) => {
+  const quizzes = await Quiz.find({ subject });
+  return Object.fromEntries(quizzes.map((quiz) => [quiz.difficulty, quiz]));
+};
+
+// POST - Start a quiz attempt (questions are returned without answers).
+//   { subject, difficulty, count }  random sample from one set (tags: only questions
+//                                   carrying at least one of them)
+//   { questionIds }                 exactly these questions (e.g. retrying wrong answers)
+//   { mode: 'review', count }       questions due in the user's spaced-repetition schedule
+//   { mode: 'adaptive', subject, count }  one question at a time across the subject's
+//                                   tiers, starting at medium; later ones come from /next
+//   { blueprint }                   a mix of subjects and difficulties (services/blueprint.js)
+//   { savedQuiz }                   a saved quiz by code: its frozen questions and settings
+//                                   (timing, shuffleOptions, showAnswers) override the body's
+// A standard attempt is sampled from a seed that is returned with it; sending that
+// seed back recreates the same quiz. Without one, recently seen questions are avoided.
+// shuffleOptions also shuffles the option order of choice questions (from the same seed).
+// locale (e.g. "es") picks the language questions are served in for the whole attempt;
+// untranslated ones, and anything without a valid locale, use English.
+// With per-question timing only ids are returned; each question's content comes
+// from the present endpoint so its clock starts when the learner first sees it.
+router.post('/', async (req, res) => {
+  try {
+    const { subject, difficulty, questionIds } = req.body;
+
+    let savedQuiz = null;
+    let savedQuizAttempt = null;
+    if (req.body.savedQuiz) {
+      try {
+        savedQuiz = await getSavedQuiz(req.body.savedQuiz);
+        savedQuizAttempt = await checkAttemptsLeft(savedQuiz, req.user._id);
+      } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+    }
+
+    const mode = !savedQuiz && ['review', 'adaptive'].includes(req.body.mode) ? req.body.mode : 'standard';
+    const count = Math.min(parseInt(req.body.count) || 5, 20);
+    const shuffleOptions = savedQuiz ? savedQuiz.shuffleOptions : Boolean(req.body.shuffleOptions);
+    const hasQuestionIds = !savedQuiz && Array.isArray(questionIds) && questionIds.length > 0;
+    const tags = parseTagsQuery(req.body.tags);
+
+    let blueprint = null;
+    if (mode === 'standard' && !savedQuiz && !hasQuestionIds && req.body.blueprint) {
+      try {
+        blueprint = normalizeBlueprint(req.body.blueprint);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+    }
+
+    if (mode === 'standard' && !savedQuiz && !hasQuestionIds && !blueprint && (!subject || !difficulty)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject and difficulty are required',
+      });
+    }
+    if (mode === 'adaptive' && !subject) {
+      return res.status(400).json({ success: false, message: 'Subject is required' });
+    }
+
+    let timing;
+    try {
+      timing = normalizeTiming(savedQuiz ? savedQuiz.toObject().timing : req.body.timing);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    if (req.body.seed !== undefined && req.body.seed !== null && !isValidSeed(req.body.seed)) {
+      return res.status(400).json({ success: false, message: 'seed must be 1-32 letters or digits' });
+    }
+    let seed = req.body.seed || null;
+
+    let sourced;
+    let totalQuestions;
+    if (savedQuiz) {
+      sourced = await loadFrozenQuestions(savedQuiz);
+      if (sourced.length === 0) {
+        return res.status(404).json({ success: false, message: 'None of the saved questions exist any more' });
+      }
+    } else if (mode === 'adaptive') {
+      const quizzes = await loadTierQuizzes(subject);
+      seed = seed || newSeed();
+      const first = pickAdaptiveQuestion(quizzes, START_TIER, [], seed, 0);
+      if (!first) {
+        return res.status(404).json({ success: false, message: `No questions found for ${subject}` });
+      }
+      sourced = [first];
+      const available = Object.values(quizzes).reduce((sum, quiz) => sum + quiz.questions.length, 0);
+      totalQuestions = Math.min(count, available);
+    } else if (blueprint) {
+      seed = seed || newSeed();
+      try {
+        ({ sourced } = await sampleBlueprint(blueprint, seed));
+      } catch (error) {
+        if (error.status !== 400) throw error;
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      if (sourced.length === 0) {
+        return res.status(404).json({ success: false, message: 'No questions match this blueprint' });
+      }
+    } else if (hasQuestionIds) {
+      sourced = await findQuestionsByIds(questionIds);
+      if (sourced.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'None of the requested questions exist',
+        });
+      }
+      try {
+        await checkQuestionsUnrestricted(sourced.map(({ question }) => question._id), req.user);
+      } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+    } else if (mode === 'review') {
+      sourced = await getDueQuestions(req.user._id, count);
+      if (sourced.length === 0) {
+        return res.status(404).json({ success: false, message: 'Nothing is due for review' });
+      }
+    } else {
+      const quiz = await Quiz.findOne({ subject, difficulty });
+
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: `No quiz found for ${subject} - ${difficulty}`,
+        });
+      }
+
+      const pool = quiz.questions.filter((question) => hasAnyTag(question, tags));
+      if (pool.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No ${subject} - ${difficulty} questions are tagged ${tags.join(', ')}`,
+        });
+      }
+
+      let sample;
+      if (seed) {
+        sample = sampleQuestions(pool, count, seed);
+      } else {
+        ({ seed, questions: sample } = sampleAvoidingRecent(
+          pool,
+          count,
+          await recentQuestionIds(req.user._id, quiz._id)
+        ));
+      }
+      sourced = sample.map((question) => ({ quiz, question }));
+    }
+
+    seed = seed || newSeed();
+    const slots = sourced.map((s) => ({
+      ...toAnswerSlot(s),
+      optionOrder: (shuffleOptions && optionOrderFor(s.question, seed)) || undefined,
+    }));
+
+    const labels =
+      mode === 'review'
+        ? { subject: 'Review', difficulty: 'mixed' }
+        : mode === 'adaptive'
+          ? { subject, difficulty: 'adaptive' }
+          : labelFor(sourced);
+    const quizIds = new Set(sourced.map((s) => String(s.quiz._id)));
+    // Tags only narrow a sample from one set
+    const isTagged = tags.length > 0 && mode === 'standard' && !savedQuiz && !blueprint && !hasQuestionIds;
+
+    // Only one attempt is resumable at a time; starting another gives up on the rest
+    await Attempt.updateMany({ user: req.user._id, status: 'in-progress' }, { status: 'abandoned' });
+
+    let attempt;
+    try {
+      attempt = await Attempt.create({
+        user: req.user._id,
+        quiz: mode !== 'adaptive' && quizIds.size === 1 ? sourced[0].quiz._id : null,
+        mode,
+        seed,
+        shuffleOptions,
+        locale: normalizeLocale(req.body.locale) || DEFAULT_LOCALE,
+        subject: labels.subject,
+        difficulty: labels.difficulty,
+        answers: slots,
+        totalQuestions: totalQuestions || sourced.length,
+        timing,
+        ...(mode === 'adaptive' ? { adaptive: initialAdaptiveState() } : {}),
+        ...(blueprint ? { blueprint } : {}),
+        ...(isTagged ? { tags } : {}),
+        ...(savedQuiz ? { savedQuiz: savedQuiz._id, showAnswers: savedQuiz.showAnswers } : {}),
+        ...(savedQuizAttempt ? { savedQuizAttempt } : {}),
+      });
+    } catch (error) {
+      // Another start at the same saved quiz took this attempt number first
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({ success: false, message: 'Another attempt at this quiz was started at the same time' });
+    }
+
+    console.log(
+      `📝 Started ${mode} attempt ${attempt._id}: ${labels.subject} - ${labels.difficulty} (${attempt.totalQuestions} questions)`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        attemptId: attempt._id,
+        questions:
+          timing.mode === 'question'
+            ? sourced.map(({ question }) => ({ _id: question._id }))
+            : sourced.map((s, i) => toSourcedPublicQuestion(attempt, s, slots[i])),
+        mode,
+        seed,
+        shuffleOptions,
+        locale: attempt.locale,
+        tags: isTagged ? tags : [],
+        subject: labels.subject,
+        difficulty: labels.difficulty,
+        total: attempt.totalQuestions,
+        savedQuiz: savedQuiz
+          ? {
+              code: savedQuiz.code,
+              title: savedQuiz.title,
+              showAnswers: savedQuiz.showAnswers,
+              maxAttempts: savedQuiz.maxAttempts,
+              dueAt: savedQuiz.dueAt,
+            }
+          : null,
+        timing: attempt.timing,
+        deadline: answerDeadline(attempt),
+        serverNow: new Date(),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error starting attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting quiz attempt',
+      error: error.message,
+    });
+  }
+});
+
+// POST - Save a completed attempt taken offline from a question pack. It's graded again
+// here; sending the same clientId twice returns the attempt saved the first time.
+router.post('/sync', async (req, res) => {
+  try {
+    const report = await syncOfflineAttempt(req.user, req.body);
+    res.status(report.duplicate ? 200 : 201).json({ success: true, data: report });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('❌ Error syncing offline attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error syncing offline quiz attempt',
+      error: error.message,
+    });
+  }
+});
+
+// POST - Give up on an in-progress attempt so it isn't offered for resuming again
+router.post('/:id/abandon', async (req, res) => {
+  try {
+    const attempt = await findAttempt(req.params.id, req, res);
+    if (!attempt) return;
+
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({ success: false, message: `Attempt is already ${attempt.status}` });
+    }
+
+    attempt.status = 'abandoned';
+    await attempt.save();
+    res.json({ success: true, data: { attemptId: attempt._id, status: attempt.status } });
+  } catch (error) {
+    console.error('❌ Error abandoning attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error abandoning quiz attempt',
+      error: error.message,
+    });
+  }
+});
+
+// POST - Serve the next question of an adaptive attempt, from the tier its answers so far
+// point to. The previous question must have been answered (or timed out) first.
+router.post('/:id/next', async (req, res) => {
+  try {
+    const attempt = await findAttempt(req.params.id, req, res);
+    if (!attempt) return;
+
+    if (attempt.mode !== 'adaptive') {
+      return res.status(400).json({ success: false, message: 'Only adaptive attempts serve questions one at a time' });
+    }
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({ success: false, message: `Attempt is already ${attempt.status}` });
+    }
+    if (attempt.answers.some((a) => !a.answeredAt)) {
+      return res.status(409).json({ success: false, message: 'Answer the current question first' });
+    }
+    if (attempt.answers.length >= attempt.totalQuestions) {
+      return res.status(409).json({ success: false, message: 'Every question has been served' });
+    }
+
+    const next = pickAdaptiveQuestion(
+      await loadTierQuizzes(attempt.subject),
+      attempt.adaptive.tier,
+      attempt.answers.map((a) => a.questionId),
+      attempt.seed,
+      attempt.answers.length
+    );
+    if (!next) {
+      return res.status(404).json({ success: false, message: 'No questions left in this subject' });
+    }
+
+    const slot = {
+      ...toAnswerSlot(next),
+      optionOrder: (attempt.shuffleOptions && optionOrderFor(next.question, attempt.seed)) || undefined,
+    };
+    attempt.answers.push(slot);
+    await attempt.save();
+
+    res.json({
+      success: true,
+      data: {
+        question:
+          attempt.timing?.mode === 'question' ? { _id: next.question._id } : toSourcedPublicQuestion(attempt, next, slot),
+        index: attempt.answers.length - 1,
+        total: attempt.totalQuestions,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error serving next question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading the next question',
+      error: error.message,
+    });
+  }
+});
+
+// POST - Mark a question as shown to the learner and return it.
+// Its per-question clock starts on the first call; later calls return the same deadline.
+router.post('/:id/questions/:questionId/present', async (req, res) => {
+  try {
+    const { questionId } = req.params;
+
+    const attempt = await findAttempt(req.params.id, req, res);
+    if (!attempt) return;
+
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({ success: false, message: `Attempt is already ${attempt.status}` });
+    }
+
+    const answer = mongoose.isValidObjectId(questionId)
+      ? attempt.answers.find((a) => a.questionId.equals(questionId))
+      : null;
+    if (!answer) {
+      return res.status(404).json({ success: false, message: 'Question is not part of this attempt' });
+    }
+
+    const question = displayedQuestion(attempt, await loadAttemptQuestion(attempt, answer), answer.optionOrder);
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question no longer exists' });
+    }
+
+    if (!answer.presentedAt) {
+      answer.presentedAt = new Date();
+      await attempt.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        question: { ...toPublicQuestion(question), subject: answer.subject, difficulty: answer.difficulty },
+        presentedAt: answer.presentedAt,
+        deadline: answerDeadline(attempt, answer),
+        serverNow: new Date(),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error presenting question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading question',
+      error: error.message,
+    });
+  }
+});
+
+// POST - Grade a single answer. In timed attempts a null selectedAnswer records a
+// timeout, and answers that arrive after the server-side deadline count as timeouts.
+router.post('/:id/answers', async (req, res) => {
+  try {
+    const { questionId, selectedAnswer } = req.body;
+
+    if (!questionId || selectedAnswer === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'questionId and selectedAnswer are required',
+      });
+    }
+
+    const attempt = await findAttempt(req.params.id, req, res);
+    if (!attempt) return;
+
+    const isTimed = attempt.timing?.mode && attempt.timing.mode !== 'none';
+    if (selectedAnswer === null && !isTimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'selectedAnswer can only be null in a timed quiz',
+      });
+    }
+
+    if (attempt.status !== 'in-progress') {
+      return res.status(409).json({ success: false, message: `Attempt is already ${attempt.status}` });
+    }
+
+    const answer = mongoose.isValidObjectId(questionId)
+      ? attempt.answers.find((a) => a.questionId.equals(questionId))
+      : null;
+    if (!answer) {
+      return res.status(404).json({ success: false, message: 'Question is not part of this attempt' });
+    }
+    if (answer.answeredAt) {
+      return res.status(409).json({ success: false, message: 'Question has already been answered' });
+    }
+
+    // Indexes in selectedAnswer refer to the options in the order the learner saw them
+    const question = displayedQuestion(attempt, await loadAttemptQuestion(attempt, answer), answer.optionOrder);
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question no longer exists' });
+    }
+
+    if (selectedAnswer !== null && !isValidAnswerShape(question, selectedAnswer)) {
+      return res.status(400).json({
+        success: false,
+        message: `selectedAnswer has the wrong shape for a ${question.type || 'single'} question`,
+      });
+    }
+
+    if (attempt.timing?.mode === 'question' && !answer.presentedAt) {
+      return res.status(409).json({ success: false, message: 'Question has not been presented yet' });
+    }
+
+    const now = new Date();
+    if (selectedAnswer === null || isPastDeadline(answerDeadline(attempt, answer), now)) {
+      recordTimeout(answer, now);
+    } else {
+      answer.selectedAnswer = selectedAnswer;
+      answer.isCorrect = gradeAnswer(question, selectedAnswer);
+      answer.answeredAt = now;
+      answer.timeTakenMs = answer.presentedAt ? now - answer.presentedAt : null;
+    }
+    attempt.score = computeScore(attempt.answers);
+    if (attempt.mode === 'adaptive') {
+      attempt.adaptive = nextAdaptiveState(attempt.adaptive, answer.isCorrect);
+    }
+    await attempt.save();
+
+    await recordAttemptReview(attempt, answer, answer.isCorrect, now);
+
+    res.json({
+      success: true,
+      data: {
+        isCorrect: answer.isCorrect,
+        timedOut: answer.timedOut,
+        timeTakenMs: answer.timeTakenMs,
+        ...answerFeedback(attempt, question),
+        score: attempt.score,
+        ...(attempt.mode === 'adaptive' ? { nextTier: attempt.adaptive.tier } : {}),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error grading answer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error grading answer',
+      error: error.message,
+    });
+  }
+});
+
+// POST - Finish an attempt and store the final score.
+// body.flaggedQuestionIds marks the questions the learner flagged for review.
+router.post('/:id/complete', async (req, res) => {
+  try {
+    let attempt = await findAttempt(req.params.id, req, res);
+    if (!attempt) return;
+
+    if (attempt.status === 'abandoned') {
+      return res.status(409).json({ success: false, message: 'Attempt was abandoned' });
+    }
+
+    // XP, streak and badges are only awarded the first time an attempt completes
+    let completed;
+    try {
+      completed = await completeAttempt(attempt, req.body.flaggedQuestionIds || []);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    const { reward } = completed;
+    attempt = completed.attempt;
+
+    const questions = await loadAttemptQuestions(attempt);
+
+    res.json({
+      success: true,
+      data: {
+        attemptId: attempt._id,
+        score: attempt.score,
+        totalQuestions: attempt.totalQuestions,
+        durationMs: attempt.durationMs,
+        showAnswers: attempt.showAnswers !== false,
+        reward,
+        proficiency:
+          attempt.mode === 'adaptive'
+            ? {
+                level: attempt.adaptive.proficiency,
+                ability: attempt.adaptive.ability,
+                standardError: attempt.adaptive.standardError,
+              }
+            : null,
+        answers: attempt.answers.map((a) =>
+          toAnswerReview(attempt, a, displayedQuestion(attempt, questions.get(String(a.questionId)), a.optionOrder))
+        ),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error completing attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error completing quiz attempt',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
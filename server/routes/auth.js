@@ -0,0 +1,90 @@
+import express from 'express';
+import User from '../models/User.js';
+import { signToken, authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// POST - Register a new learner account
+router.post('/register', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || typeof username !== 'string' || !password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password are required',
+      });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const existing = await User.findOne({ username: username.trim().toLowerCase() });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'Username is already taken' });
+    }
+
+    // New accounts are always learners; admins are promoted with createAdmin.js
+    const user = new User({ username });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      data: { token: signToken(user), user: user.toPublic() },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering user',
+      error: error.message,
+    });
+  }
+});
+
+// POST - Log in and receive a session token
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || typeof username !== 'string' || !password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password are required',
+      });
+    }
+
+    const user = await User.findOne({ username: username.trim().toLowerCase() });
+    if (!user || !(await user.checkPassword(password))) {
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+    }
+
+    res.json({
+      success: true,
+      data: { token: signToken(user), user: user.toPublic() },
+    });
+  } catch (error) {
+    console.error('❌ Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message,
+    });
+  }
+});
+
+// GET - Current user for the supplied token
+router.get('/me', authenticate, (req, res) => {
+  res.json({ success: true, data: req.user.toPublic() });
+});
+
+export default router;
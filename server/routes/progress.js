@@ -0,0 +1,52 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { LEADERBOARD_PERIODS, getProfile, getLeaderboard } from '../services/gamification.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET - The current user's XP, level, streak, badges and XP per subject
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, data: await getProfile(req.user) });
+  } catch (error) {
+    console.error('❌ Error fetching profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching profile',
+      error: error.message,
+    });
+  }
+});
+
+// GET - XP leaderboard. ?period=week (default, from Monday 00:00 UTC) or all;
+// ?subject= ranks XP earned in one subject only; ?limit= (default 20, at most 100)
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const period = req.query.period || 'week';
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: `period must be one of ${LEADERBOARD_PERIODS.join(', ')}`,
+      });
+    }
+
+    const leaderboard = await getLeaderboard({
+      period,
+      subject: req.query.subject || null,
+      limit: Number.parseInt(req.query.limit, 10) || 20,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: leaderboard });
+  } catch (error) {
+    console.error('❌ Error fetching leaderboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching leaderboard',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
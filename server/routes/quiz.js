@@ -1,13 +1,34 @@
 import express from 'express';
 import Quiz from '../models/Quiz.js';
+import Subject from '../models/Subject.js';
+import { toPublicQuestion } from '../services/grading.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { countDue, getDueQuestions } from '../services/spacedRepetition.js';
+import { isValidSeed, newSeed, sampleQuestions } from '../services/sampling.js';
+import { authorOf, saveQuiz } from '../services/revisions.js';
+import { normalizeBlueprint, sampleBlueprint } from '../services/blueprint.js';
+import { countTags, hasAnyTag, parseTagsQuery } from '../services/tags.js';
+import { searchQuestions } from '../services/questionSearch.js';
+import { validateAssets } from '../services/assets.js';
+import { DEFAULT_LOCALE, localizeQuestion, normalizeLocale } from '../services/translations.js';
 
 const router = express.Router();
 
-// GET quiz questions by subject and difficulty
+// GET quiz questions by subject and difficulty (answers are never included).
+// ?seed= returns the same sample as an earlier response with that seed.
+// ?tags=trees,heaps only draws questions carrying at least one of the tags.
+// ?locale=es serves the Spanish translations; untranslated questions stay in English.
 router.get('/questions/:subject/:difficulty', async (req, res) => {
   try {
     const { subject, difficulty } = req.params;
     const count = Math.min(parseInt(req.query.count) || 5, 20);
+    const tags = parseTagsQuery(req.query.tags);
+    const locale = normalizeLocale(req.query.locale) || DEFAULT_LOCALE;
+
+    if (req.query.seed !== undefined && !isValidSeed(req.query.seed)) {
+      return res.status(400).json({ success: false, message: 'seed must be 1-32 letters or digits' });
+    }
+    const seed = req.query.seed || newSeed();
 
     // Decode URL parameters
     const decodedSubject = decodeURIComponent(subject);
@@ -34,18 +55,27 @@ router.get('/questions/:subject/:difficulty', async (req, res) => {
       });
     }
 
-    // Shuffle and slice to requested count
-    const shuffled = [...quiz.questions].sort(() => Math.random() - 0.5);
-    const questions = shuffled.slice(0, count);
+    const pool = quiz.questions.filter((question) => hasAnyTag(question, tags));
+    if (pool.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${decodedSubject} - ${decodedDifficulty} questions are tagged ${tags.join(', ')}`,
+      });
+    }
+
+    const questions = sampleQuestions(pool, count, seed);
 
     console.log(`✅ Found ${questions.length} questions`);
 
     res.json({
       success: true,
-      data: questions,
+      data: questions.map((question) => toPublicQuestion(localizeQuestion(question, locale))),
       subject: decodedSubject,
       difficulty: decodedDifficulty,
+      tags,
+      locale,
       total: questions.length,
+      seed,
     });
   } catch (error) {
     console.error('❌ Error fetching quiz:', error);
@@ -57,30 +87,67 @@ router.get('/questions/:subject/:difficulty', async (req, res) => {
   }
 });
 
-// GET all available subjects
+// POST - Sample questions across several subjects and difficulties from a blueprint
+// ({ blueprint: { subjects, difficulties, count | perSubject }, seed }; see services/blueprint.js).
+// Questions carry their subject and difficulty; allocation lists how many came from each set.
+// locale works as on GET /questions.
+router.post('/blueprint', async (req, res) => {
+  try {
+    if (req.body.seed !== undefined && req.body.seed !== null && !isValidSeed(req.body.seed)) {
+      return res.status(400).json({ success: false, message: 'seed must be 1-32 letters or digits' });
+    }
+    const seed = req.body.seed || newSeed();
+
+    let sample;
+    try {
+      sample = await sampleBlueprint(normalizeBlueprint(req.body.blueprint), seed);
+    } catch (error) {
+      if (error.status !== 400) throw error;
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.json({
+      success: true,
+      data: sample.sourced.map(({ quiz, question }) => ({
+        ...toPublicQuestion(localizeQuestion(question, req.body.locale)),
+        subject: quiz.subject,
+        difficulty: quiz.difficulty,
+      })),
+      allocation: sample.allocation,
+      requested: sample.requested,
+      total: sample.sourced.length,
+      seed,
+    });
+  } catch (error) {
+    console.error('Error sampling blueprint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building quiz',
+      error: error.message,
+    });
+  }
+});
+
+// GET all available subjects, with question counts per difficulty
 router.get('/subjects', async (req, res) => {
   try {
-    // Pull subjects directly from MongoDB so the UI matches what's actually in the DB
-    let subjects = await Quiz.distinct('subject');
-    subjects = (subjects || []).filter(Boolean).sort();
-
-    // Fallback (keeps UI usable if DB is empty)
-    if (subjects.length === 0) {
-      subjects = [
-        'Data Structures',
-        'Algorithms',
-        'Database Management',
-        'Operating Systems',
-        'Computer Networks',
-        'Web Development',
-        'Cloud Computing',
-        'DevOps',
-      ];
+    const [subjects, sets] = await Promise.all([
+      Subject.find().sort({ order: 1, name: 1 }),
+      Quiz.aggregate([{ $project: { subject: 1, difficulty: 1, count: { $size: '$questions' } } }]),
+    ]);
+
+    const counts = {};
+    for (const set of sets) {
+      counts[set.subject] = counts[set.subject] || { easy: 0, medium: 0, hard: 0 };
+      counts[set.subject][set.difficulty] = set.count;
     }
 
     res.json({
       success: true,
-      subjects,
+      subjects: subjects.map((subject) => ({
+        ...subject.toObject(),
+        questionCounts: counts[subject.name] || { easy: 0, medium: 0, hard: 0 },
+      })),
     });
   } catch (error) {
     res.status(500).json({
@@ -91,8 +158,140 @@ router.get('/subjects', async (req, res) => {
   }
 });
 
+// GET tags used in the bank, or in one subject (and difficulty), with question counts
+router.get('/tags', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.subject) filter.subject = req.query.subject;
+    if (req.query.difficulty) filter.difficulty = req.query.difficulty;
+
+    const quizzes = await Quiz.find(filter, { 'questions.tags': 1 });
+    res.json({ success: true, data: countTags(quizzes.flatMap((quiz) => quiz.questions)) });
+  } catch (error) {
+    console.error('❌ Error fetching tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tags',
+      error: error.message,
+    });
+  }
+});
+
+// GET - Search question text, options, explanations, tags and objectives
+// (?q=&subject=&difficulty=&tags=&limit=&page=). Results never include answers.
+router.get('/search', async (req, res) => {
+  try {
+    const tags = parseTagsQuery(req.query.tags);
+    const q = String(req.query.q || '').trim();
+    if (!q && tags.length === 0) {
+      return res.status(400).json({ success: false, message: 'Enter a search term or pick at least one tag' });
+    }
+
+    const { total, page, results } = await searchQuestions({
+      q,
+      subject: req.query.subject,
+      difficulty: req.query.difficulty,
+      tags,
+      limit: parseInt(req.query.limit) || 20,
+      page: parseInt(req.query.page) || 1,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        page,
+        results: results.map(({ quiz, question, score }) => ({
+          ...toPublicQuestion(question),
+          subject: quiz.subject,
+          difficulty: quiz.difficulty,
+          tags: question.tags || [],
+          objectives: question.objectives || [],
+          score,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error searching questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching questions',
+      error: error.message,
+    });
+  }
+});
+
+// GET questions due in the signed-in user's review schedule, across all subjects (?locale= as above)
+router.get('/review/due', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const [total, sourced] = await Promise.all([
+      countDue(req.user._id),
+      getDueQuestions(req.user._id, limit),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        questions: sourced.map(({ quiz, question }) => ({
+          ...toPublicQuestion(localizeQuestion(question, req.query.locale)),
+          subject: quiz.subject,
+          difficulty: quiz.difficulty,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching questions due for review',
+      error: error.message,
+    });
+  }
+});
+
+// GET - A whole set without its answer key, for taking quizzes offline (signed in).
+// The browser only records answers; they're graded against this version when they're synced.
+// Questions come in ?locale= like online quizzes (re-download to switch language).
+router.get('/packs/:subject/:difficulty', authenticate, async (req, res) => {
+  try {
+    const { subject, difficulty } = req.params;
+    const quiz = await Quiz.findOne({ subject, difficulty });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: `No quiz found for ${subject} - ${difficulty}`,
+      });
+    }
+
+    const locale = normalizeLocale(req.query.locale) || DEFAULT_LOCALE;
+    console.log(`📦 ${req.user.username} downloaded ${subject} - ${difficulty} (v${quiz.version})`);
+
+    res.json({
+      success: true,
+      data: {
+        quizId: quiz._id,
+        subject: quiz.subject,
+        difficulty: quiz.difficulty,
+        version: quiz.version,
+        locale,
+        questions: quiz.questions.map((question) => toPublicQuestion(localizeQuestion(question, locale))),
+        downloadedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error building question pack:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading question pack',
+      error: error.message,
+    });
+  }
+});
+
 // POST - Add quiz questions (admin only)
-router.post('/add', async (req, res) => {
+router.post('/add', requireAdmin, async (req, res) => {
   try {
     const { subject, difficulty, questions } = req.body;
 
@@ -103,24 +302,30 @@ router.post('/add', async (req, res) => {
       });
     }
 
+    if (!(await Subject.exists({ name: subject }))) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown subject "${subject}". Create it first with POST /api/admin/subjects`,
+      });
+    }
+
+    const assetError = [].concat(questions).filter(Boolean).map(validateAssets).find(Boolean);
+    if (assetError) {
+      return res.status(400).json({ success: false, message: `A question ${assetError}` });
+    }
+
     // Check if quiz already exists
     let quiz = await Quiz.findOne({ subject, difficulty });
 
     if (quiz) {
       // Update existing quiz
       quiz.questions = questions;
-      quiz.numberOfQuestions = questions.length;
     } else {
       // Create new quiz
-      quiz = new Quiz({
-        subject,
-        difficulty,
-        questions,
-        numberOfQuestions: questions.length,
-      });
+      quiz = new Quiz({ subject, difficulty, questions });
     }
 
-    await quiz.save();
+    await saveQuiz(quiz, { author: authorOf(req.user), action: 'replace' });
 
     res.json({
       success: true,
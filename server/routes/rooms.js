@@ -0,0 +1,136 @@
+import express from 'express';
+import Quiz from '../models/Quiz.js';
+import { authenticate, authenticateStream } from '../middleware/auth.js';
+import { newSeed, sampleQuestions } from '../services/sampling.js';
+import {
+  MIN_QUESTION_SEC,
+  MAX_QUESTION_SEC,
+  DEFAULT_QUESTION_SEC,
+  createRoom,
+  getRoom,
+  joinRoom,
+  startRoom,
+  submitAnswer,
+  subscribe,
+  roomSnapshot,
+} from '../services/rooms.js';
+
+const router = express.Router();
+
+// Room errors carry their HTTP status; anything else is a server error
+const sendError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+// GET - Live event stream for a room (state, players, question, answered, reveal, finished).
+// Registered before router.use(authenticate) because it takes its token from the query string.
+router.get('/:code/events', authenticateStream, (req, res) => {
+  try {
+    const room = getRoom(req.params.code);
+    if (!room.players.has(String(req.user._id))) {
+      return res.status(403).json({ success: false, message: 'Join the room first' });
+    }
+    subscribe(room, req.user._id, res);
+  } catch (error) {
+    sendError(res, error, 'Error opening room stream');
+  }
+});
+
+router.use(authenticate);
+
+// POST - Open a room for a subject/difficulty; the caller becomes its host
+router.post('/', async (req, res) => {
+  try {
+    const { subject, difficulty } = req.body;
+    const count = Math.min(parseInt(req.body.count) || 5, 20);
+    const questionLimitSec = Math.min(
+      Math.max(parseInt(req.body.questionLimitSec) || DEFAULT_QUESTION_SEC, MIN_QUESTION_SEC),
+      MAX_QUESTION_SEC
+    );
+
+    if (!subject || !difficulty) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject and difficulty are required',
+      });
+    }
+
+    const quiz = await Quiz.findOne({ subject, difficulty });
+    if (!quiz || quiz.questions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No quiz found for ${subject} - ${difficulty}`,
+      });
+    }
+
+    const room = createRoom({
+      host: req.user,
+      subject,
+      difficulty,
+      questions: sampleQuestions(quiz.questions, count, newSeed()),
+      questionLimitSec,
+    });
+
+    res.status(201).json({ success: true, data: roomSnapshot(room, req.user._id) });
+  } catch (error) {
+    sendError(res, error, 'Error creating room');
+  }
+});
+
+// GET - Current state of a room (players only)
+router.get('/:code', (req, res) => {
+  try {
+    const room = getRoom(req.params.code);
+    if (!room.players.has(String(req.user._id))) {
+      return res.status(403).json({ success: false, message: 'Join the room first' });
+    }
+    res.json({ success: true, data: roomSnapshot(room, req.user._id) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching room');
+  }
+});
+
+// POST - Join a room that hasn't started yet (rejoining is always allowed)
+router.post('/:code/join', (req, res) => {
+  try {
+    const room = joinRoom(getRoom(req.params.code), req.user);
+    res.json({ success: true, data: roomSnapshot(room, req.user._id) });
+  } catch (error) {
+    sendError(res, error, 'Error joining room');
+  }
+});
+
+// POST - Start the quiz for everyone in the room (host only)
+router.post('/:code/start', (req, res) => {
+  try {
+    const room = startRoom(getRoom(req.params.code), req.user._id);
+    res.json({ success: true, data: roomSnapshot(room, req.user._id) });
+  } catch (error) {
+    sendError(res, error, 'Error starting room');
+  }
+});
+
+// POST - Answer the current question ({ questionIndex, selectedAnswer }).
+// The server timestamps the answer; results arrive with the reveal event.
+router.post('/:code/answers', (req, res) => {
+  try {
+    const { questionIndex, selectedAnswer } = req.body;
+    if (!Number.isInteger(questionIndex) || selectedAnswer === undefined || selectedAnswer === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'questionIndex and selectedAnswer are required',
+      });
+    }
+
+    const result = submitAnswer(getRoom(req.params.code), req.user._id, questionIndex, selectedAnswer);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'Error submitting answer');
+  }
+});
+
+export default router;
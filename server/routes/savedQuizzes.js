@@ -0,0 +1,120 @@
+import express from 'express';
+import SavedQuiz from '../models/SavedQuiz.js';
+import Attempt from '../models/Attempt.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  createSavedQuiz,
+  getSavedQuiz,
+  canManage,
+  attemptsUsed,
+  toSavedQuizSummary,
+  savedQuizResults,
+} from '../services/savedQuizzes.js';
+
+const router = express.Router();
+
+// Saved quiz errors carry their HTTP status; anything else is a server error
+const sendError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+router.use(authenticate);
+
+// POST - Save a fixed quiz from a list of questions
+//   { title, description, questionIds, timing, shuffleOptions, maxAttempts, showAnswers, dueAt }
+router.post('/', async (req, res) => {
+  try {
+    const savedQuiz = await createSavedQuiz(req.user, req.body);
+    res.status(201).json({
+      success: true,
+      data: toSavedQuizSummary({ ...savedQuiz.toObject(), owner: req.user }),
+    });
+  } catch (error) {
+    sendError(res, error, 'Error saving quiz');
+  }
+});
+
+// GET - Saved quizzes the current user created, newest first, with how many learners completed each
+router.get('/', async (req, res) => {
+  try {
+    const savedQuizzes = await SavedQuiz.find({ owner: req.user._id }).sort({ createdAt: -1 });
+    const completions = await Attempt.aggregate([
+      { $match: { savedQuiz: { $in: savedQuizzes.map((q) => q._id) }, status: 'completed' } },
+      { $group: { _id: { savedQuiz: '$savedQuiz', user: '$user' } } },
+      { $group: { _id: '$_id.savedQuiz', learners: { $sum: 1 } } },
+    ]);
+    const learnersBy = new Map(completions.map((c) => [String(c._id), c.learners]));
+
+    res.json({
+      success: true,
+      data: savedQuizzes.map((savedQuiz) => ({
+        ...toSavedQuizSummary({ ...savedQuiz.toObject(), owner: req.user }),
+        completedBy: learnersBy.get(String(savedQuiz._id)) || 0,
+      })),
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching saved quizzes');
+  }
+});
+
+// GET - What a saved quiz is before starting it, with the current user's attempts left
+router.get('/:code', async (req, res) => {
+  try {
+    const savedQuiz = await getSavedQuiz(req.params.code);
+    const used = await attemptsUsed(savedQuiz, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        ...toSavedQuizSummary(savedQuiz),
+        attemptsUsed: used,
+        attemptsLeft: savedQuiz.maxAttempts === null ? null : Math.max(savedQuiz.maxAttempts - used, 0),
+        canManage: canManage(savedQuiz, req.user),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching saved quiz');
+  }
+});
+
+// GET - Who completed a saved quiz and how they scored (creator or admin only)
+router.get('/:code/results', async (req, res) => {
+  try {
+    const savedQuiz = await getSavedQuiz(req.params.code);
+    if (!canManage(savedQuiz, req.user)) {
+      return res.status(403).json({ success: false, message: 'Only the creator can see these results' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        savedQuiz: toSavedQuizSummary(savedQuiz),
+        results: await savedQuizResults(savedQuiz),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching saved quiz results');
+  }
+});
+
+// DELETE - Remove a saved quiz (creator or admin only); attempts already made are kept
+router.delete('/:code', async (req, res) => {
+  try {
+    const savedQuiz = await getSavedQuiz(req.params.code);
+    if (!canManage(savedQuiz, req.user)) {
+      return res.status(403).json({ success: false, message: 'Only the creator can delete this quiz' });
+    }
+
+    await savedQuiz.deleteOne();
+    console.log(`🗑️  Saved quiz ${savedQuiz.code} deleted by ${req.user.username}`);
+    res.json({ success: true, data: { code: savedQuiz.code } });
+  } catch (error) {
+    sendError(res, error, 'Error deleting saved quiz');
+  }
+});
+
+export default router;
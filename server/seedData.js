@@ -2,30 +2,12 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import Quiz from './models/Quiz.js';
+import { seedSubjects, ensureSubjects } from './services/subjects.js';
+import { validateQuizSet } from './services/validation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const validateQuizSet = (quizSet) => {
-  if (!quizSet || typeof quizSet !== 'object') return 'Invalid quiz set (not an object)';
-  const { subject, difficulty, questions } = quizSet;
-  if (!subject || typeof subject !== 'string') return 'Missing/invalid subject';
-  if (!difficulty || typeof difficulty !== 'string') return 'Missing/invalid difficulty';
-  if (!Array.isArray(questions) || questions.length === 0) return 'Missing/invalid questions array';
-
-  for (const [index, q] of questions.entries()) {
-    if (!q || typeof q !== 'object') return `Question ${index} is invalid`;
-    if (typeof q.question !== 'string' || !q.question.trim()) return `Question ${index} missing question text`;
-    if (!Array.isArray(q.options) || q.options.length !== 4) return `Question ${index} must have exactly 4 options`;
-    if (typeof q.correctAnswer !== 'number' || q.correctAnswer < 0 || q.correctAnswer > 3) {
-      return `Question ${index} correctAnswer must be 0..3`;
-    }
-    if (typeof q.explanation !== 'string' || !q.explanation.trim()) return `Question ${index} missing explanation`;
-  }
-
-  return null;
-};
-
 const seedData = async () => {
   const questionsFile = path.join(__dirname, 'questions.json');
 
@@ -43,6 +25,9 @@ const seedData = async () => {
     }
   }
 
+  await seedSubjects();
+  await ensureSubjects(quizSets.map((quizSet) => quizSet.subject));
+
   let upserted = 0;
   for (const quizSet of quizSets) {
     const { subject, difficulty, questions } = quizSet;
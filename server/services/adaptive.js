@@ -0,0 +1,87 @@
+import { createRng, shuffle } from './sampling.js';
+
+// Adaptive attempts serve one question at a time. They start at medium and move a
+// tier up after STREAK_TO_MOVE correct answers in a row, or down after as many
+// wrong ones. The learner's proficiency is estimated with a Rasch (1PL IRT) model
+// in which each tier has a fixed item difficulty.
+
+export const TIERS = ['easy', 'medium', 'hard'];
+export const START_TIER = 'medium';
+export const STREAK_TO_MOVE = 2;
+
+// Item difficulty (logits) for each tier
+const TIER_DIFFICULTY = { easy: -1, medium: 0, hard: 1 };
+
+// Ability levels reported on the results screen, by upper bound of the estimate
+const PROFICIENCY_LEVELS = [
+  { max: -0.5, level: 'Beginner' },
+  { max: 0.5, level: 'Intermediate' },
+  { max: Infinity, level: 'Advanced' },
+];
+
+// Evaluation grid for the ability estimate (-4..4 logits)
+const GRID = Array.from({ length: 81 }, (_, i) => -4 + i * 0.1);
+
+// Starting state stored on the attempt
+export const initialAdaptiveState = () => ({ tier: START_TIER, streak: 0 });
+
+// State after one more answer. streak counts consecutive correct (positive) or wrong
+// (negative) answers at the current tier; moving tier resets it.
+export const nextAdaptiveState = ({ tier, streak }, isCorrect) => {
+  const nextStreak = isCorrect ? Math.max(streak, 0) + 1 : Math.min(streak, 0) - 1;
+  const index = TIERS.indexOf(tier);
+
+  if (nextStreak >= STREAK_TO_MOVE && index < TIERS.length - 1) return { tier: TIERS[index + 1], streak: 0 };
+  if (nextStreak <= -STREAK_TO_MOVE && index > 0) return { tier: TIERS[index - 1], streak: 0 };
+  return { tier, streak: nextStreak };
+};
+
+// Expected a posteriori ability estimate from [{ difficulty, isCorrect }] with a standard
+// normal prior, so all-correct or all-wrong runs still give a finite estimate.
+// Resolves to { ability, standardError } in logits.
+export const estimateAbility = (responses) => {
+  const weights = GRID.map((theta) => {
+    let likelihood = Math.exp(-(theta * theta) / 2);
+    for (const { difficulty, isCorrect } of responses) {
+      const p = 1 / (1 + Math.exp(-(theta - (TIER_DIFFICULTY[difficulty] ?? 0))));
+      likelihood *= isCorrect ? p : 1 - p;
+    }
+    return likelihood;
+  });
+
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const ability = GRID.reduce((sum, theta, i) => sum + theta * weights[i], 0) / total;
+  const variance = GRID.reduce((sum, theta, i) => sum + (theta - ability) ** 2 * weights[i], 0) / total;
+
+  return { ability: Math.round(ability * 100) / 100, standardError: Math.round(Math.sqrt(variance) * 100) / 100 };
+};
+
+export const proficiencyLevel = (ability) => PROFICIENCY_LEVELS.find((l) => ability <= l.max).level;
+
+// Proficiency estimate for a finished adaptive attempt (timeouts count as wrong)
+export const adaptiveResult = (attempt) => {
+  const responses = attempt.answers
+    .filter((a) => a.isCorrect !== null)
+    .map((a) => ({ difficulty: a.difficulty, isCorrect: a.isCorrect }));
+  const { ability, standardError } = estimateAbility(responses);
+  return { ability, standardError, proficiency: proficiencyLevel(ability) };
+};
+
+// Tiers to try for the next question: the target tier, then the nearest ones
+const tiersByDistance = (tier) =>
+  [...TIERS].sort((a, b) => Math.abs(TIERS.indexOf(a) - TIERS.indexOf(tier)) - Math.abs(TIERS.indexOf(b) - TIERS.indexOf(tier)));
+
+// Pick the next question for an adaptive attempt from quizzes ({ easy, medium, hard } -> Quiz),
+// skipping questions already served. Falls back to the nearest tier with questions left.
+// The choice is drawn from the attempt's seed and position so it's reproducible.
+export const pickAdaptiveQuestion = (quizzes, tier, servedIds, seed, position) => {
+  const served = new Set(servedIds.map(String));
+  const rng = createRng(`${seed}:${position}`);
+
+  for (const candidateTier of tiersByDistance(tier)) {
+    const quiz = quizzes[candidateTier];
+    const remaining = (quiz?.questions || []).filter((q) => !served.has(String(q._id)));
+    if (remaining.length > 0) return { quiz, question: shuffle(remaining, rng, 1)[0] };
+  }
+  return null;
+};
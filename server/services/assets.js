@@ -0,0 +1,72 @@
+// Image attachments for question text, options and explanations. Files live on the local
+// filesystem (ASSET_DIR, default server/assets) under a name derived from their content, and
+// Markdown refers to them as ![alt](asset:<name>). SVG is not accepted since it can carry script.
+
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Read lazily so server/.env has been loaded
+export const assetDir = () => path.resolve(process.env.ASSET_DIR || path.join(__dirname, '..', 'assets'));
+export const MAX_ASSET_BYTES = 2 * 1024 * 1024;
+
+// Extension per type, recognised by the file's leading bytes rather than its name
+const IMAGE_TYPES = [
+  { extension: 'png', matches: (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { extension: 'jpg', matches: (data) => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+  { extension: 'gif', matches: (data) => ['GIF87a', 'GIF89a'].includes(data.subarray(0, 6).toString('latin1')) },
+  {
+    extension: 'webp',
+    matches: (data) => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP',
+  },
+];
+
+// <sha256 prefix>.<extension>, the only names saveAsset produces
+const ASSET_NAME = /^[a-f0-9]{16}\.(png|jpg|gif|webp)$/;
+const ASSET_REFERENCE = /asset:([\w.-]+)/g;
+
+const assetError = (message) => Object.assign(new Error(message), { status: 400 });
+
+export const isAssetName = (name) => ASSET_NAME.test(String(name));
+
+export const assetExists = (name) => isAssetName(name) && existsSync(path.join(assetDir(), name));
+
+// Store base64 image data; resolves to its asset name. Saving the same image twice is a no-op.
+export const saveAsset = async (base64) => {
+  if (typeof base64 !== 'string' || !base64) throw assetError('data (base64 image) is required');
+
+  const data = Buffer.from(base64.replace(/^data:[^,]*,/, ''), 'base64');
+  if (data.length === 0) throw assetError('data is not valid base64');
+  if (data.length > MAX_ASSET_BYTES) throw assetError(`Images can be at most ${MAX_ASSET_BYTES / 1024 / 1024} MB`);
+
+  const type = IMAGE_TYPES.find((t) => t.matches(data));
+  if (!type) throw assetError('Only PNG, JPEG, GIF and WebP images are supported');
+
+  const name = `${createHash('sha256').update(data).digest('hex').slice(0, 16)}.${type.extension}`;
+  await fs.mkdir(assetDir(), { recursive: true });
+  if (!existsSync(path.join(assetDir(), name))) {
+    await fs.writeFile(path.join(assetDir(), name), data);
+  }
+  return name;
+};
+
+// Asset names referenced anywhere in a question's text fields, translations included
+export const findAssetReferences = (question) => {
+  const texts = [question.question, question.explanation, ...(question.options || [])];
+  for (const translation of Array.isArray(question.translations) ? question.translations : []) {
+    texts.push(translation?.question, translation?.explanation, ...(translation?.options || []));
+  }
+  const names = texts.flatMap((text) => [...String(text ?? '').matchAll(ASSET_REFERENCE)].map((match) => match[1]));
+  return [...new Set(names)];
+};
+
+// Error message when a question refers to an asset that is not on disk, or null
+export const validateAssets = (question) => {
+  const missing = findAssetReferences(question).filter((name) => !assetExists(name));
+  if (missing.length === 0) return null;
+  return `refers to missing image asset(s): ${missing.join(', ')}`;
+};
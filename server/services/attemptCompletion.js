@@ -0,0 +1,57 @@
+import Attempt from '../models/Attempt.js';
+import { computeScore } from './grading.js';
+import { recordTimeout } from './timing.js';
+import { adaptiveResult } from './adaptive.js';
+import { recordAttemptReview } from './spacedRepetition.js';
+import { awardAttempt } from './gamification.js';
+
+// Finishing an attempt. Two completes can arrive together (a double click, or the quiz timer
+// running out as the learner presses Finish): the attempt is claimed by moving it out of
+// in-progress in one update, and only the request that claimed it scores it and awards XP.
+
+const completionError = (status, message) => Object.assign(new Error(message), { status });
+
+// Complete an in-progress attempt. flaggedQuestionIds marks the questions the learner flagged
+// for review. Resolves to { attempt, reward } with the completed attempt; reward is null
+// unless this call completed it. Throws a 409 error for abandoned attempts.
+export const completeAttempt = async (attempt, flaggedQuestionIds = [], now = new Date()) => {
+  if (attempt.status === 'completed') return { attempt, reward: null };
+
+  const claimed = await Attempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in-progress' },
+    { $set: { status: 'completed', completedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await Attempt.findById(attempt._id);
+    if (!current || current.status === 'abandoned') throw completionError(409, 'Attempt was abandoned');
+    return { attempt: current, reward: null };
+  }
+
+  const flagged = new Set(flaggedQuestionIds.map(String));
+  claimed.answers.forEach((a) => {
+    a.flagged = flagged.has(String(a.questionId));
+  });
+
+  // In a timed quiz anything left unanswered ran out of time
+  let timedOut = [];
+  if (claimed.timing?.mode && claimed.timing.mode !== 'none') {
+    timedOut = claimed.answers.filter((a) => !a.answeredAt);
+    timedOut.forEach((a) => recordTimeout(a, now));
+  }
+
+  claimed.score = computeScore(claimed.answers);
+  if (claimed.mode === 'adaptive') {
+    // Only the questions actually served count towards an adaptive attempt
+    claimed.totalQuestions = claimed.answers.length;
+    claimed.adaptive = { ...claimed.adaptive.toObject(), ...adaptiveResult(claimed) };
+  }
+  claimed.durationMs = now - claimed.createdAt;
+  await claimed.save();
+
+  for (const a of timedOut) {
+    await recordAttemptReview(claimed, a, false, now);
+  }
+
+  return { attempt: claimed, reward: await awardAttempt(claimed) };
+};
@@ -0,0 +1,97 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Attempt from '../models/Attempt.js';
+import Progress from '../models/Progress.js';
+import XpEvent from '../models/XpEvent.js';
+import { completeAttempt } from './attemptCompletion.js';
+
+const userId = new mongoose.Types.ObjectId();
+const attemptId = new mongoose.Types.ObjectId();
+
+const answered = (isCorrect) => ({
+  questionId: new mongoose.Types.ObjectId(),
+  selectedAnswer: isCorrect ? 1 : 0,
+  isCorrect,
+  timedOut: false,
+  answeredAt: new Date(),
+});
+
+const unanswered = () => ({ questionId: new mongoose.Types.ObjectId(), isCorrect: null });
+
+// An attempt as the database holds it; status moves to completed once, like the real update
+const storeAttempt = (answers) => {
+  const stored = {
+    _id: attemptId,
+    user: userId,
+    subject: 'JavaScript',
+    difficulty: 'easy',
+    status: 'in-progress',
+    totalQuestions: answers.length,
+    answers,
+    createdAt: new Date(Date.now() - 60000),
+  };
+  const load = () => new Attempt(stored);
+
+  mock.method(Attempt, 'findOneAndUpdate', async (filter, update) => {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (String(filter._id) !== String(stored._id) || stored.status !== filter.status) return null;
+    Object.assign(stored, update.$set);
+    return load();
+  });
+  mock.method(Attempt, 'findById', async () => load());
+  return load;
+};
+
+let xpEvents;
+let progressSaves;
+
+beforeEach(() => {
+  xpEvents = mock.method(XpEvent, 'insertMany', async (events) => events);
+  mock.method(Progress, 'findOneAndUpdate', async () => new Progress({ user: userId }));
+  progressSaves = mock.method(Progress.prototype, 'save', async function save() {
+    return this;
+  });
+  mock.method(Attempt.prototype, 'save', async function save() {
+    return this;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('two completes at once award the attempt only once', async () => {
+  const load = storeAttempt([answered(true), answered(false)]);
+
+  const results = await Promise.all([completeAttempt(load()), completeAttempt(load())]);
+
+  assert.deepEqual(
+    results.map(({ attempt }) => attempt.status),
+    ['completed', 'completed']
+  );
+  const rewards = results.map(({ reward }) => reward).filter(Boolean);
+  assert.equal(rewards.length, 1);
+  assert.equal(rewards[0].xpEarned, 10);
+  assert.equal(xpEvents.mock.callCount(), 1);
+  assert.equal(progressSaves.mock.callCount(), 1);
+});
+
+test('completing an attempt with nothing answered awards nothing', async () => {
+  const load = storeAttempt([unanswered(), unanswered()]);
+
+  const { attempt, reward } = await completeAttempt(load());
+
+  assert.equal(attempt.status, 'completed');
+  assert.equal(reward, null);
+  assert.equal(xpEvents.mock.callCount(), 0);
+  assert.equal(progressSaves.mock.callCount(), 0);
+});
+
+test('an abandoned attempt is not completed', async () => {
+  const load = storeAttempt([answered(true)]);
+  const attempt = load();
+  mock.method(Attempt, 'findOneAndUpdate', async () => null);
+  mock.method(Attempt, 'findById', async () => new Attempt({ ...attempt.toObject(), status: 'abandoned' }));
+
+  await assert.rejects(completeAttempt(attempt), { status: 409 });
+  assert.equal(xpEvents.mock.callCount(), 0);
+});
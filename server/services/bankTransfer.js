@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import Quiz from '../models/Quiz.js';
+import { ensureSubjects } from './subjects.js';
+import { validateQuizQuestion } from './validation.js';
+import { QUESTION_FIELDS } from './questionTypes.js';
+import { saveQuiz } from './revisions.js';
+import {
+  DEFAULT_THRESHOLD,
+  DUPLICATE_POLICIES,
+  findDuplicateClusters,
+  loadBankEntries,
+  toReportCluster,
+} from './duplicates.js';
+import { parseCsv, toCsv } from './formats/csv.js';
+import { parseJson, toJson } from './formats/json.js';
+import { parseGift, toGift } from './formats/gift.js';
+
+// Bulk import/export of question banks (CSV, JSON, GIFT). Shared by the admin
+// routes and the bank.js CLI.
+
+export const FORMATS = {
+  csv: { parse: parseCsv, serialize: toCsv, contentType: 'text/csv', extension: 'csv' },
+  json: { parse: parseJson, serialize: toJson, contentType: 'application/json', extension: 'json' },
+  gift: { parse: parseGift, serialize: toGift, contentType: 'text/plain', extension: 'gift' },
+};
+
+//   append   add every imported question as a new one (ids are ignored)
+//   upsert   update questions whose id already exists in the set, add the rest
+//   replace  the imported questions become the whole set
+export const IMPORT_MODES = ['append', 'upsert', 'replace'];
+
+const DIFFICULTIES = Quiz.schema.path('difficulty').enumValues;
+
+// Guess the format from a file name
+export const formatFromFilename = (filename) => {
+  const extension = String(filename).split('.').pop().toLowerCase();
+  return Object.keys(FORMATS).find((name) => FORMATS[name].extension === extension) || null;
+};
+
+const setKey = (subject, difficulty) => `${subject}\u0000${difficulty}`;
+
+// Where a record came from, for error reports
+const whereOf = (record) => (record.line ? { line: record.line } : { location: record.location });
+
+// Check every record and work out what importing them would change. Nothing is written.
+const planImport = async (records, mode) => {
+  const errors = [];
+  const valid = [];
+  const seenIds = new Set();
+
+  for (const record of records) {
+    const problems = [];
+    if (!record.subject || typeof record.subject !== 'string') problems.push('missing subject');
+    if (!DIFFICULTIES.includes(record.difficulty)) problems.push(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+
+    const questionError = validateQuizQuestion(record.question);
+    if (questionError) problems.push(questionError);
+
+    const id = mode === 'append' ? null : record.id;
+    if (id && !mongoose.isValidObjectId(id)) problems.push(`"${id}" is not a valid question id`);
+    else if (id && seenIds.has(id)) problems.push(`question id ${id} appears more than once`);
+    if (id) seenIds.add(id);
+
+    if (problems.length > 0) {
+      errors.push(...problems.map((message) => ({ ...whereOf(record), message })));
+    } else {
+      valid.push({ ...record, id });
+    }
+  }
+
+  // Question ids are unique across the whole bank, so an id may only refer to its own set
+  const ids = valid.filter((r) => r.id).map((r) => r.id);
+  const owners = await Quiz.find({ 'questions._id': { $in: ids } }, { subject: 1, difficulty: 1, 'questions._id': 1 });
+  const ownerOf = new Map();
+  for (const quiz of owners) {
+    for (const q of quiz.questions) ownerOf.set(String(q._id), quiz);
+  }
+
+  const groups = new Map();
+  for (const record of valid) {
+    const owner = record.id && ownerOf.get(record.id);
+    if (owner && (owner.subject !== record.subject || owner.difficulty !== record.difficulty)) {
+      errors.push({
+        ...whereOf(record),
+        message: `question id ${record.id} belongs to ${owner.subject} - ${owner.difficulty}`,
+      });
+      continue;
+    }
+
+    const key = setKey(record.subject, record.difficulty);
+    if (!groups.has(key)) groups.set(key, { subject: record.subject, difficulty: record.difficulty, records: [] });
+    groups.get(key).records.push(record);
+  }
+
+  const quizzes =
+    groups.size > 0
+      ? await Quiz.find({ $or: [...groups.values()].map(({ subject, difficulty }) => ({ subject, difficulty })) })
+      : [];
+
+  const sets = [...groups.values()].map((group) => {
+    const quiz = quizzes.find((q) => q.subject === group.subject && q.difficulty === group.difficulty) || null;
+    const existingIds = new Set((quiz?.questions || []).map((q) => String(q._id)));
+    const updated = group.records.filter((r) => r.id && existingIds.has(r.id)).length;
+
+    let added = group.records.length;
+    let removed = 0;
+    if (mode === 'upsert') {
+      added -= updated;
+    } else if (mode === 'replace') {
+      added -= updated;
+      removed = existingIds.size - updated;
+    }
+
+    return {
+      ...group,
+      quiz,
+      isNew: !quiz,
+      added,
+      updated: mode === 'append' ? 0 : updated,
+      removed,
+      total: mode === 'replace' ? group.records.length : existingIds.size + added,
+    };
+  });
+
+  return { sets, errors };
+};
+
+// Duplicate clusters that involve at least one imported question. Imported questions are
+// compared with each other and with the rest of the bank, minus whatever the import
+// overwrites (the whole set in replace mode, questions with matching ids in upsert mode).
+const findImportDuplicates = async (sets, mode, threshold) => {
+  const replacedSets = new Set(mode === 'replace' ? sets.map((s) => setKey(s.subject, s.difficulty)) : []);
+  const overwrittenIds = new Set(mode === 'upsert' ? sets.flatMap((s) => s.records.filter((r) => r.id).map((r) => r.id)) : []);
+
+  const existing = (await loadBankEntries()).filter(
+    (entry) => !replacedSets.has(setKey(entry.subject, entry.difficulty)) && !overwrittenIds.has(entry.id)
+  );
+  const imported = sets.flatMap((set) => set.records.map((record) => ({ ...record, imported: true })));
+
+  return findDuplicateClusters([...existing, ...imported], { threshold })
+    .filter((cluster) => cluster.members.some((member) => member.imported))
+    .map(toReportCluster);
+};
+
+// Describe the other members of a cluster, for a rejected import
+const duplicateMessage = (member, cluster) => {
+  const others = cluster.members
+    .filter((other) => other !== member)
+    .map((other) => `"${other.question}" (${other.subject} - ${other.difficulty}${other.imported ? ', in this file' : ''})`);
+  return `${cluster.kind === 'exact' ? 'duplicate' : `near-duplicate (${Math.round(cluster.score * 100)}% similar)`} of ${others.join(', ')}`;
+};
+
+// Files that don't carry tags or objectives (GIFT, CSV without those columns) or translations
+// (only JSON has them) leave the existing ones alone
+const KEPT_WHEN_MISSING = ['tags', 'objectives', 'translations'];
+
+const questionFields = (record) =>
+  Object.fromEntries(
+    QUESTION_FIELDS.filter((field) => record.question[field] !== undefined || !KEPT_WHEN_MISSING.includes(field)).map(
+      (field) => [field, record.question[field]]
+    )
+  );
+
+// Write one planned set
+const applySet = async (set, mode, author) => {
+  const quiz = set.quiz || new Quiz({ subject: set.subject, difficulty: set.difficulty, questions: [] });
+  const asQuestion = (record) => ({ ...(record.id ? { _id: record.id } : {}), ...questionFields(record) });
+
+  if (mode === 'replace') {
+    quiz.questions = set.records.map(asQuestion);
+  } else {
+    for (const record of set.records) {
+      const existing = record.id && quiz.questions.id(record.id);
+      if (existing) {
+        existing.set(questionFields(record));
+      } else {
+        quiz.questions.push(asQuestion(record));
+      }
+    }
+  }
+
+  await saveQuiz(quiz, { author, action: 'import', summary: `Imported (${mode})` });
+};
+
+// Import a bank file. Every record is validated first and all problems are
+// reported with their line (or JSON position). Nothing is written on a dry run
+// or when any record is invalid. Duplicates of other questions (in the file or the
+// bank) are listed in the report, and make the import fail with duplicates: 'reject'.
+export const importBank = async (
+  text,
+  { format, mode = 'upsert', dryRun = false, defaults = {}, author, duplicates: policy = 'warn', threshold = DEFAULT_THRESHOLD }
+) => {
+  const parser = FORMATS[format]?.parse;
+  if (!parser) throw new Error(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+  if (!IMPORT_MODES.includes(mode)) throw new Error(`mode must be one of ${IMPORT_MODES.join(', ')}`);
+  if (!DUPLICATE_POLICIES.includes(policy)) throw new Error(`duplicates must be one of ${DUPLICATE_POLICIES.join(', ')}`);
+
+  const { records, errors: fileErrors } = parser(String(text || ''), defaults);
+  const { sets, errors: recordErrors } = fileErrors.length > 0 ? { sets: [], errors: [] } : await planImport(records, mode);
+  const errors = [...fileErrors, ...recordErrors];
+
+  if (records.length === 0 && errors.length === 0) {
+    errors.push({ line: 1, message: 'No questions found' });
+  }
+
+  const duplicates = errors.length === 0 && policy !== 'ignore' ? await findImportDuplicates(sets, mode, threshold) : [];
+  if (policy === 'reject') {
+    for (const cluster of duplicates) {
+      for (const member of cluster.members.filter((m) => m.imported)) {
+        errors.push({ ...whereOf(member), message: duplicateMessage(member, cluster) });
+      }
+    }
+  }
+
+  const applied = !dryRun && errors.length === 0;
+  let subjectsCreated = 0;
+  if (applied) {
+    subjectsCreated = await ensureSubjects(sets.map((s) => s.subject));
+    for (const set of sets) await applySet(set, mode, author);
+  }
+
+  return {
+    format,
+    mode,
+    dryRun,
+    applied,
+    questions: records.length,
+    errors,
+    duplicates,
+    subjectsCreated,
+    sets: sets.map(({ subject, difficulty, isNew, added, updated, removed, total }) => ({
+      subject,
+      difficulty,
+      isNew,
+      added,
+      updated,
+      removed,
+      total,
+    })),
+  };
+};
+
+// Export sets (optionally one subject and/or difficulty) in the given format
+export const exportBank = async ({ format, subject, difficulty } = {}) => {
+  const target = FORMATS[format];
+  if (!target) throw new Error(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+
+  const filter = {};
+  if (subject) filter.subject = subject;
+  if (difficulty) filter.difficulty = difficulty;
+  const sets = await Quiz.find(filter).sort({ subject: 1, difficulty: 1 }).lean();
+
+  const name = [subject, difficulty].filter(Boolean).join('-').toLowerCase().replace(/[^a-z0-9-]+/g, '-') || 'question-bank';
+  return {
+    content: target.serialize(sets),
+    contentType: target.contentType,
+    filename: `${name}.${target.extension}`,
+    sets: sets.length,
+  };
+};
@@ -0,0 +1,142 @@
+import Quiz from '../models/Quiz.js';
+import { createRng, sampleQuestions, shuffle } from './sampling.js';
+
+// Quiz blueprints: a sample drawn across several subjects and difficulties.
+//   {
+//     subjects: ['Operating Systems', { name: 'Computer Networks', weight: 2 }],  // omitted = every subject
+//     difficulties: { easy: 0, medium: 1, hard: 1 },  // relative weights, omitted = equal
+//     count: 10,          // questions in total, split by subject weight
+//     perSubject: 5,      // ...or this many from each subject instead
+//   }
+// Each subject's share is split by the difficulty weights. Shares are whole numbers
+// (largest remainder) and anything a subject or tier can't supply goes to the others.
+
+export const MAX_BLUEPRINT_QUESTIONS = 50;
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const blueprintError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const isWeight = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Check a blueprint from a request and fill in the defaults; throws a 400 error
+export const normalizeBlueprint = (input) => {
+  if (!input || typeof input !== 'object') throw blueprintError('blueprint must be an object');
+
+  let subjects = null;
+  if (input.subjects !== undefined && input.subjects !== null) {
+    if (!Array.isArray(input.subjects)) throw blueprintError('blueprint.subjects must be an array');
+    subjects = input.subjects.map((entry) => (typeof entry === 'string' ? { name: entry, weight: 1 } : entry));
+    if (subjects.some((s) => !s || typeof s.name !== 'string' || !s.name.trim())) {
+      throw blueprintError('each blueprint subject needs a name');
+    }
+    subjects = subjects.map((s) => ({ name: s.name.trim(), weight: s.weight ?? 1 }));
+    if (subjects.some((s) => !isWeight(s.weight))) throw blueprintError('subject weights must be numbers >= 0');
+    if (new Set(subjects.map((s) => s.name)).size !== subjects.length) throw blueprintError('a subject is listed twice');
+    if (subjects.length === 0) subjects = null;
+  }
+
+  const difficulties = Object.fromEntries(DIFFICULTIES.map((level) => [level, input.difficulties?.[level] ?? 1]));
+  if (input.difficulties && Object.keys(input.difficulties).some((level) => !DIFFICULTIES.includes(level))) {
+    throw blueprintError(`difficulty weights must be for ${DIFFICULTIES.join(', ')}`);
+  }
+  if (!DIFFICULTIES.every((level) => isWeight(difficulties[level]))) {
+    throw blueprintError('difficulty weights must be numbers >= 0');
+  }
+  if (DIFFICULTIES.every((level) => difficulties[level] === 0)) throw blueprintError('at least one difficulty needs a weight');
+
+  const perSubject = input.perSubject === undefined || input.perSubject === null ? null : parseInt(input.perSubject);
+  const count = perSubject === null ? parseInt(input.count) || 10 : null;
+  if (perSubject !== null && !(perSubject >= 1)) throw blueprintError('perSubject must be at least 1');
+  if (count !== null && (count < 1 || count > MAX_BLUEPRINT_QUESTIONS)) {
+    throw blueprintError(`count must be 1-${MAX_BLUEPRINT_QUESTIONS}`);
+  }
+
+  return { subjects, difficulties, count, perSubject };
+};
+
+// Split count across cells ([{ weight, capacity }]) in proportion to their weights,
+// never giving a cell more than its capacity. Returns the number for each cell.
+export const apportion = (cells, count) => {
+  const result = cells.map(() => 0);
+  const totalCapacity = cells.reduce((sum, c) => sum + (c.weight > 0 ? c.capacity : 0), 0);
+  let remaining = Math.min(count, totalCapacity);
+
+  while (remaining > 0) {
+    const open = cells.map((_, i) => i).filter((i) => cells[i].weight > 0 && result[i] < cells[i].capacity);
+    const totalWeight = open.reduce((sum, i) => sum + cells[i].weight, 0);
+    const shares = open.map((i) => ({ i, exact: (remaining * cells[i].weight) / totalWeight }));
+
+    let placed = 0;
+    for (const { i, exact } of shares) {
+      const n = Math.min(Math.floor(exact), cells[i].capacity - result[i]);
+      result[i] += n;
+      placed += n;
+    }
+    // Whatever is left over goes one at a time to the largest remainders
+    shares.sort((a, b) => (b.exact % 1) - (a.exact % 1) || a.i - b.i);
+    for (const { i } of shares) {
+      if (placed >= remaining) break;
+      if (result[i] < cells[i].capacity) {
+        result[i]++;
+        placed++;
+      }
+    }
+
+    if (placed === 0) break;
+    remaining -= placed;
+  }
+
+  return result;
+};
+
+// Draw a blueprint's questions. Resolves to
+//   { sourced: [{ quiz, question }], allocation: [{ subject, difficulty, count }], requested }
+// The same blueprint and seed give the same questions in the same order.
+export const sampleBlueprint = async (blueprint, seed) => {
+  const names = blueprint.subjects?.map((s) => s.name);
+  const quizzes = await Quiz.find(names ? { subject: { $in: names } } : {});
+
+  const subjects =
+    blueprint.subjects || [...new Set(quizzes.map((q) => q.subject))].sort().map((name) => ({ name, weight: 1 }));
+  const missing = subjects.filter((s) => !quizzes.some((q) => q.subject === s.name)).map((s) => s.name);
+  if (missing.length > 0) throw blueprintError(`No questions found for ${missing.join(', ')}`);
+  if (blueprint.perSubject && blueprint.perSubject * subjects.length > MAX_BLUEPRINT_QUESTIONS) {
+    throw blueprintError(`A blueprint can have at most ${MAX_BLUEPRINT_QUESTIONS} questions`);
+  }
+
+  const tiersOf = (subject) =>
+    DIFFICULTIES.map((difficulty) => {
+      const quiz = quizzes.find((q) => q.subject === subject.name && q.difficulty === difficulty) || null;
+      return { difficulty, quiz, weight: blueprint.difficulties[difficulty], capacity: quiz?.questions.length || 0 };
+    });
+
+  const tiers = subjects.map(tiersOf);
+  const subjectCounts = blueprint.perSubject
+    ? subjects.map(() => blueprint.perSubject)
+    : apportion(
+        subjects.map((s, i) => ({
+          weight: s.weight,
+          capacity: tiers[i].reduce((sum, t) => sum + (t.weight > 0 ? t.capacity : 0), 0),
+        })),
+        blueprint.count
+      );
+
+  const allocation = [];
+  const sourced = [];
+  subjects.forEach((subject, i) => {
+    const counts = apportion(tiers[i], subjectCounts[i]);
+    tiers[i].forEach(({ difficulty, quiz }, j) => {
+      if (counts[j] === 0) return;
+      allocation.push({ subject: subject.name, difficulty, count: counts[j] });
+      const questions = sampleQuestions(quiz.questions, counts[j], `${seed}:${subject.name}:${difficulty}`);
+      sourced.push(...questions.map((question) => ({ quiz, question })));
+    });
+  });
+
+  return {
+    sourced: shuffle(sourced, createRng(`${seed}:blueprint`)),
+    allocation,
+    requested: blueprint.perSubject ? blueprint.perSubject * subjects.length : blueprint.count,
+  };
+};
@@ -0,0 +1,167 @@
+// Duplicate and near-duplicate question detection. Questions are compared on their
+// normalized text (case, accents, punctuation and filler words ignored) using the
+// Dice coefficient of character trigrams, blended with option overlap when both are
+// choice questions. Used by imports, the admin API and the duplicates.js CLI.
+
+import Quiz from '../models/Quiz.js';
+
+// Questions at or above this similarity are reported as near-duplicates
+export const DEFAULT_THRESHOLD = 0.85;
+
+// How imports treat duplicates: report them, refuse the import, or skip the check
+export const DUPLICATE_POLICIES = ['warn', 'reject', 'ignore'];
+
+const TEXT_WEIGHT = 0.8;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'in', 'on', 'to', 'for', 'and', 'or', 'is', 'are', 'was', 'be', 'by', 'with',
+  'what', 'which', 'who', 'how', 'does', 'do', 'following', 'this', 'that', 'it', 'its', 'as', 'at',
+]);
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+export const normalizeText = (text) =>
+  String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const trigrams = (text) => {
+  const padded = ` ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+};
+
+const dice = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const gram of a) if (b.has(gram)) shared++;
+  return (2 * shared) / (a.size + b.size);
+};
+
+const jaccard = (a, b) => {
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  const union = a.size + b.size - shared;
+  return union === 0 ? 1 : shared / union;
+};
+
+// Precompute what the comparisons need for one entry ({ question, ...anything })
+const prepare = (entry) => {
+  const normalized = normalizeText(entry.question.question);
+  const words = normalized.split(' ').filter((word) => word && !STOPWORDS.has(word));
+  const options = Array.isArray(entry.question.options) ? entry.question.options.map(normalizeText) : [];
+  return {
+    entry,
+    normalized,
+    grams: trigrams(words.join(' ') || normalized),
+    options: new Set(options.filter(Boolean)),
+  };
+};
+
+// Similarity (0..1) of two prepared questions
+const score = (a, b) => {
+  if (a.normalized === b.normalized) return 1;
+  const text = dice(a.grams, b.grams);
+  if (a.options.size === 0 || b.options.size === 0) return text;
+  return TEXT_WEIGHT * text + (1 - TEXT_WEIGHT) * jaccard(a.options, b.options);
+};
+
+// Similarity of two questions ({ question, options, ... })
+export const questionSimilarity = (a, b) => score(prepare({ question: a }), prepare({ question: b }));
+
+// Group entries ({ question, ...anything }) into clusters of duplicates:
+//   [{ kind: 'exact' | 'near', score, crossDifficulty, members: [entry, ...] }]
+// score is the weakest link that joined the cluster. Largest clusters come first.
+export const findDuplicateClusters = (entries, { threshold = DEFAULT_THRESHOLD } = {}) => {
+  // Sorted by trigram count so each entry is only compared with others of similar
+  // length: the Dice coefficient can't reach the threshold past a length ratio
+  const prepared = entries.map(prepare).sort((a, b) => a.grams.size - b.grams.size);
+  const minText = Math.max((threshold - (1 - TEXT_WEIGHT)) / TEXT_WEIGHT, 0);
+
+  const parent = prepared.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const linkScore = new Map();
+
+  for (let i = 0; i < prepared.length; i++) {
+    for (let j = i + 1; j < prepared.length; j++) {
+      const a = prepared[i].grams.size;
+      const b = prepared[j].grams.size;
+      if ((2 * a) / (a + b) < minText) break;
+
+      const similarity = score(prepared[i], prepared[j]);
+      if (similarity < threshold) continue;
+
+      const root = find(i);
+      const other = find(j);
+      if (root === other) continue;
+      const weakest = Math.min(similarity, linkScore.get(root) ?? 1, linkScore.get(other) ?? 1);
+      parent[other] = root;
+      linkScore.set(root, weakest);
+    }
+  }
+
+  const groups = new Map();
+  prepared.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({
+      kind: members.every((m) => m.normalized === members[0].normalized) ? 'exact' : 'near',
+      score: Math.round((linkScore.get(root) ?? 1) * 100) / 100,
+      crossDifficulty: new Set(members.map((m) => m.entry.difficulty)).size > 1,
+      members: members.map((m) => m.entry),
+    }))
+    .sort((a, b) => b.members.length - a.members.length || b.score - a.score);
+};
+
+// A cluster with its members reduced to what reports show: where the question is
+// (set, id, and file line/location for imported records) and its text
+export const toReportCluster = (cluster) => ({
+  ...cluster,
+  members: cluster.members.map((entry) => ({
+    ...(entry.line ? { line: entry.line } : {}),
+    ...(entry.location ? { location: entry.location } : {}),
+    id: entry.id || null,
+    subject: entry.subject,
+    difficulty: entry.difficulty,
+    question: entry.question.question,
+    imported: Boolean(entry.imported),
+  })),
+});
+
+// Plain-text lines describing a report cluster, for the command-line tools
+export const describeCluster = (cluster) => [
+  `${cluster.kind === 'exact' ? 'Exact duplicates' : `Near-duplicates (${Math.round(cluster.score * 100)}% similar)`}` +
+    `${cluster.crossDifficulty ? ' across difficulties' : ''}:`,
+  ...cluster.members.map((m) => {
+    const where = m.line ? `line ${m.line}` : m.location || m.id;
+    return `    ${m.subject} - ${m.difficulty} [${where}]: ${m.question}`;
+  }),
+];
+
+// Every question in the bank as a cluster entry
+export const loadBankEntries = async (filter = {}) => {
+  const sets = await Quiz.find(filter, { subject: 1, difficulty: 1, questions: 1 }).lean();
+  return sets.flatMap((set) =>
+    set.questions.map((question) => ({
+      id: String(question._id),
+      subject: set.subject,
+      difficulty: set.difficulty,
+      question,
+    }))
+  );
+};
+
+// Duplicate report for the whole bank
+export const findBankDuplicates = async ({ threshold = DEFAULT_THRESHOLD } = {}) => {
+  const entries = await loadBankEntries();
+  const clusters = findDuplicateClusters(entries, { threshold }).map(toReportCluster);
+  return { questions: entries.length, threshold, clusters };
+};
@@ -0,0 +1,228 @@
+// CSV question bank format - one question per row, spreadsheet friendly.
+//
+//   id, subject, difficulty, type, question, options, answer, tolerance, case_sensitive, explanation,
+//   tags, objectives
+//
+// options, multi-value answers, tags and objectives are separated by "|"; a "|" or "\\" inside a
+// value is escaped with a backslash ("x \\|\\| y"). Choice answers use option letters (A, B, ...):
+// "B" for single/true-false, "A|C" for multiple. Numeric answers are the number itself; text
+// answers list every accepted answer.
+
+export const CSV_COLUMNS = [
+  'id',
+  'subject',
+  'difficulty',
+  'type',
+  'question',
+  'options',
+  'answer',
+  'tolerance',
+  'case_sensitive',
+  'explanation',
+  'tags',
+  'objectives',
+];
+
+const LIST_SEPARATOR = '|';
+
+const letterToIndex = (value) => {
+  const letter = String(value).trim().toUpperCase();
+  return /^[A-Z]$/.test(letter) ? letter.charCodeAt(0) - 65 : NaN;
+};
+const indexToLetter = (index) => String.fromCharCode(65 + index);
+
+const joinList = (items) =>
+  (items || []).map((item) => String(item).replace(/[\\|]/g, (c) => `\\${c}`)).join(LIST_SEPARATOR);
+
+// Split on unescaped separators. Other backslashes are kept as they are.
+const splitItems = (value) => {
+  const items = [''];
+  const text = String(value || '');
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && (text[i + 1] === '\\' || text[i + 1] === LIST_SEPARATOR)) {
+      items[items.length - 1] += text[++i];
+    } else if (text[i] === LIST_SEPARATOR) {
+      items.push('');
+    } else {
+      items[items.length - 1] += text[i];
+    }
+  }
+  return items.map((item) => item.trim());
+};
+
+const splitList = (value) => splitItems(value).filter(Boolean);
+
+// Empty options are kept so validation rejects the row; dropping them would shift the
+// answer letters onto the wrong options
+const splitOptions = (value) => (String(value || '').trim() ? splitItems(value) : []);
+
+// RFC 4180 parser. Returns rows as arrays of cells, each with the line it starts on
+// (quoted cells may span several lines).
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((c) => c.trim() !== '')) rows.push({ line: rowLine, cells: row });
+    row = [];
+  };
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Build a question from one row's named cells; bad values are left for validation to report
+const toQuestion = (cells) => {
+  const type = cells.type?.trim() || 'single';
+  const question = {
+    type,
+    question: cells.question?.trim(),
+    explanation: cells.explanation?.trim(),
+    // Optional columns; left unset when the file doesn't have them
+    tags: cells.tags === undefined ? undefined : splitList(cells.tags),
+    objectives: cells.objectives === undefined ? undefined : splitList(cells.objectives),
+  };
+
+  switch (type) {
+    case 'multiple':
+      question.options = splitOptions(cells.options);
+      question.correctAnswers = splitList(cells.answer).map(letterToIndex);
+      break;
+    case 'numeric':
+      question.numericAnswer = cells.answer?.trim() === '' ? NaN : Number(cells.answer);
+      question.tolerance = cells.tolerance?.trim() ? Number(cells.tolerance) : 0;
+      break;
+    case 'text':
+      question.acceptedAnswers = splitList(cells.answer);
+      question.caseSensitive = /^(true|yes|1)$/i.test(cells.case_sensitive?.trim() || '');
+      break;
+    case 'true-false': {
+      // Accepts T/True/F/False as well as option letters
+      const answer = cells.answer?.trim() || '';
+      const options = splitOptions(cells.options);
+      question.options = options.length > 0 ? options : ['True', 'False'];
+      if (/^(t|true)$/i.test(answer)) question.correctAnswer = 0;
+      else if (/^(f|false)$/i.test(answer)) question.correctAnswer = 1;
+      else question.correctAnswer = letterToIndex(answer);
+      break;
+    }
+    default:
+      question.options = splitOptions(cells.options);
+      question.correctAnswer = letterToIndex(cells.answer);
+  }
+
+  return question;
+};
+
+// Parse a CSV bank into { records, errors }. Each record is { line, subject, difficulty,
+// id, question }; errors are problems with the file itself (e.g. a bad header).
+export const parseCsv = (text) => {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return { records: [], errors: [{ line: 1, message: 'File is empty' }] };
+
+  const header = rows[0].cells.map((c) => c.trim().toLowerCase());
+  const missing = ['subject', 'difficulty', 'question'].filter((c) => !header.includes(c));
+  if (missing.length > 0) {
+    return {
+      records: [],
+      errors: [{ line: rows[0].line, message: `Header is missing column(s): ${missing.join(', ')}` }],
+    };
+  }
+
+  const records = rows.slice(1).map(({ line, cells }) => {
+    const named = Object.fromEntries(header.map((name, i) => [name, cells[i] ?? '']));
+    return {
+      line,
+      subject: named.subject.trim(),
+      difficulty: named.difficulty.trim().toLowerCase(),
+      id: named.id?.trim() || null,
+      question: toQuestion(named),
+    };
+  });
+
+  return { records, errors: [] };
+};
+
+const escapeCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const answerCell = (q) => {
+  switch (q.type || 'single') {
+    case 'multiple':
+      return joinList((q.correctAnswers || []).map(indexToLetter));
+    case 'numeric':
+      return q.numericAnswer;
+    case 'text':
+      return joinList(q.acceptedAnswers);
+    default:
+      return indexToLetter(q.correctAnswer);
+  }
+};
+
+// Serialize sets ({ subject, difficulty, questions }) to CSV
+export const toCsv = (sets) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const set of sets) {
+    for (const q of set.questions) {
+      const type = q.type || 'single';
+      lines.push(
+        [
+          q._id,
+          set.subject,
+          set.difficulty,
+          type,
+          q.question,
+          joinList(q.options),
+          answerCell(q),
+          type === 'numeric' ? q.tolerance || 0 : '',
+          type === 'text' ? Boolean(q.caseSensitive) : '',
+          q.explanation,
+          joinList(q.tags),
+          joinList(q.objectives),
+        ]
+          .map(escapeCell)
+          .join(',')
+      );
+    }
+  }
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from './csv.js';
+import { validateQuestion } from '../questionTypes.js';
+
+test('options containing "|" and "\\" survive export and import', () => {
+  const question = {
+    _id: '64b7f0c2a1b2c3d4e5f60720',
+    type: 'multiple',
+    question: 'Which expressions use logical OR?',
+    options: ['x || y', 'x && y', 'a | b', 'C:\\temp\\'],
+    correctAnswers: [0, 2],
+    tags: ['operators'],
+  };
+
+  const { records, errors } = parseCsv(toCsv([{ subject: 'JavaScript', difficulty: 'easy', questions: [question] }]));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records[0].question.options, question.options);
+  assert.deepEqual(records[0].question.correctAnswers, [0, 2]);
+});
+
+test('a row whose options split into an empty item is rejected', () => {
+  const csv = ['subject,difficulty,type,question,options,answer', 'JavaScript,easy,single,Pick one,x || y|z,C'].join('\n');
+
+  const { records } = parseCsv(csv);
+
+  assert.deepEqual(records[0].question.options, ['x', '', 'y', 'z']);
+  assert.ok(validateQuestion(records[0].question));
+});
@@ -0,0 +1,220 @@
+// GIFT (Moodle) question bank format. Supported subset:
+//
+//   $CATEGORY: Subject/difficulty        applies to the questions that follow
+//   ::id::Question text {=right ~wrong}   single choice (title holds the question id)
+//   Question {~%50%A ~%50%B ~%-100%C}     multiple choice: positive weights are correct
+//   Question {T}  /  {FALSE}              true/false
+//   Question {#3.14:0.01}  /  {#1..5}     numeric (value:tolerance or min..max)
+//   Question {=Paris =paris france}       short answer: every "=" is accepted
+//   ...{=right ~wrong ####General feedback}  general feedback becomes the explanation
+//
+// Questions are separated by blank lines; lines starting with // are comments.
+// Special characters inside text are escaped with a backslash: \~ \= \# \{ \} \: \\
+// and \n is a line break, so multi-line text (e.g. Markdown code blocks) fits on one line.
+
+const SPECIAL = /[\\~=#{}:]/g;
+
+const escapeGift = (text) => String(text ?? '').replace(SPECIAL, (c) => `\\${c}`).replace(/\n/g, '\\n');
+
+// Placeholders keep escaped characters out of the way while splitting
+const ESCAPES = {
+  '\\~': '\u0001',
+  '\\=': '\u0002',
+  '\\#': '\u0003',
+  '\\{': '\u0004',
+  '\\}': '\u0005',
+  '\\:': '\u0006',
+  '\\\\': '\u0007',
+};
+// One pass, so "\\n" stays a backslash followed by "n"
+const protect = (text) => text.replace(/\\([~=#{}:\\n])/g, (m, c) => (c === 'n' ? '\n' : ESCAPES[m]));
+const restore = (text) =>
+  Object.entries(ESCAPES)
+    .reduce((acc, [escaped, placeholder]) => acc.split(placeholder).join(escaped[1]), text)
+    .trim();
+
+// "Subject/difficulty" (Moodle paths like "$course$/Subject/difficulty" also work)
+const parseCategory = (value) => {
+  const parts = value.split('/').map((p) => p.trim()).filter((p) => p && !p.startsWith('$'));
+  return { subject: parts[parts.length - 2] || parts[0] || '', difficulty: (parts[parts.length - 1] || '').toLowerCase() };
+};
+
+// Split "=a ~b #feedback" style answer lists into { marker, weight, text } entries
+const parseChoices = (body) =>
+  body
+    .split(/(?=[=~])/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const marker = part[0];
+      let rest = part.slice(1);
+      let weight = marker === '=' ? 100 : 0;
+      const weighted = /^%(-?\d+(?:\.\d+)?)%/.exec(rest);
+      if (weighted) {
+        weight = Number(weighted[1]);
+        rest = rest.slice(weighted[0].length);
+      }
+      // Per-answer feedback isn't stored
+      const text = rest.split('#')[0];
+      return { marker, weight, text: restore(text) };
+    });
+
+// Turn the text inside {...} into the type-specific question fields
+const parseAnswerBlock = (block) => {
+  let body = block;
+  let explanation;
+  const general = body.indexOf('####');
+  if (general !== -1) {
+    explanation = restore(body.slice(general + 4));
+    body = body.slice(0, general);
+  }
+  body = body.trim();
+
+  if (/^(T|TRUE|F|FALSE)\b/i.test(body)) {
+    const isTrue = /^(T|TRUE)\b/i.test(body);
+    return { type: 'true-false', options: ['True', 'False'], correctAnswer: isTrue ? 0 : 1, explanation };
+  }
+
+  if (body.startsWith('#')) {
+    const value = body.slice(1).replace(/^=/, '').split('#')[0].trim();
+    const range = /^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/.exec(value);
+    if (range) {
+      const [min, max] = [Number(range[1]), Number(range[2])];
+      return { type: 'numeric', numericAnswer: (min + max) / 2, tolerance: Math.abs(max - min) / 2, explanation };
+    }
+    const [answer, tolerance] = value.split(':');
+    return {
+      type: 'numeric',
+      numericAnswer: answer.trim() === '' ? NaN : Number(answer),
+      tolerance: tolerance ? Number(tolerance) : 0,
+      explanation,
+    };
+  }
+
+  const choices = parseChoices(body);
+  const hasWrong = choices.some((c) => c.marker === '~');
+
+  if (!hasWrong) {
+    return { type: 'text', acceptedAnswers: choices.map((c) => c.text), explanation };
+  }
+
+  const options = choices.map((c) => c.text);
+  const correct = choices.map((c, i) => (c.weight > 0 ? i : -1)).filter((i) => i >= 0);
+  const weightedMulti = choices.some((c) => c.marker === '~' && c.weight > 0);
+
+  if (weightedMulti || correct.length > 1) {
+    return { type: 'multiple', options, correctAnswers: correct, explanation };
+  }
+  return { type: 'single', options, correctAnswer: correct.length === 1 ? correct[0] : NaN, explanation };
+};
+
+// Parse a GIFT bank into { records, errors }; records carry the line their question starts on
+export const parseGift = (text, { subject: defaultSubject, difficulty: defaultDifficulty } = {}) => {
+  const records = [];
+  const errors = [];
+  let category = { subject: defaultSubject || '', difficulty: defaultDifficulty || '' };
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let chunk = [];
+  let chunkLine = 0;
+
+  const flush = () => {
+    const raw = protect(chunk.join('\n')).trim();
+    chunk = [];
+    if (!raw) return;
+
+    let rest = raw;
+    let id = null;
+    const title = /^::(.*?)::/s.exec(rest);
+    if (title) {
+      // Only ObjectId titles (as written by the export) are question ids; others are just names
+      const name = restore(title[1]);
+      id = /^[a-f0-9]{24}$/i.test(name) ? name : null;
+      rest = rest.slice(title[0].length);
+    }
+
+    const open = rest.indexOf('{');
+    const close = rest.lastIndexOf('}');
+    if (open === -1 || close < open) {
+      errors.push({ line: chunkLine, message: 'Question has no {answer} block' });
+      return;
+    }
+
+    // Text after the answer block is part of the question (e.g. "The ___ is blue").
+    // Line breaks are kept: question text can be Markdown.
+    const questionText = restore(
+      [rest.slice(0, open), rest.slice(close + 1)]
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .join(' ')
+    );
+    records.push({
+      line: chunkLine,
+      subject: category.subject,
+      difficulty: category.difficulty,
+      id,
+      question: { question: questionText, ...parseAnswerBlock(rest.slice(open + 1, close)) },
+    });
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//')) return;
+
+    if (trimmed.startsWith('$CATEGORY:')) {
+      flush();
+      category = parseCategory(trimmed.slice('$CATEGORY:'.length));
+      return;
+    }
+
+    if (trimmed === '') {
+      flush();
+      return;
+    }
+
+    if (chunk.length === 0) chunkLine = index + 1;
+    chunk.push(line);
+  });
+  flush();
+
+  return { records, errors };
+};
+
+const answerBlock = (q) => {
+  const feedback = q.explanation ? ` ####${escapeGift(q.explanation)}` : '';
+  const options = q.options || [];
+
+  switch (q.type || 'single') {
+    case 'multiple': {
+      const correct = q.correctAnswers || [];
+      const share = correct.length ? Math.floor((100 / correct.length) * 100000) / 100000 : 0;
+      const wrong = options.length - correct.length ? -100 : 0;
+      return `{\n${options
+        .map((o, i) => `  ~%${correct.includes(i) ? share : wrong}%${escapeGift(o)}`)
+        .join('\n')}${feedback}\n}`;
+    }
+    case 'true-false':
+      return `{${q.correctAnswer === 0 ? 'TRUE' : 'FALSE'}${feedback}}`;
+    case 'numeric':
+      return `{#${q.numericAnswer}${q.tolerance ? `:${q.tolerance}` : ''}${feedback}}`;
+    case 'text':
+      return `{${(q.acceptedAnswers || []).map((a) => `=${escapeGift(a)}`).join(' ')}${feedback}}`;
+    default:
+      return `{\n${options
+        .map((o, i) => `  ${i === q.correctAnswer ? '=' : '~'}${escapeGift(o)}`)
+        .join('\n')}${feedback}\n}`;
+  }
+};
+
+// Serialize sets to GIFT, one $CATEGORY per set. Custom true/false labels and
+// case-sensitive text matching have no GIFT equivalent and are dropped.
+export const toGift = (sets) =>
+  sets
+    .map((set) =>
+      [
+        `$CATEGORY: ${set.subject}/${set.difficulty}`,
+        ...set.questions.map((q) => `::${q._id}::${escapeGift(q.question)} ${answerBlock(q)}`),
+      ].join('\n\n')
+    )
+    .join('\n\n\n')
+    .concat('\n');
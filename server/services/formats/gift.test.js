@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGift, toGift } from './gift.js';
+
+const roundTrip = (question) => {
+  const gift = toGift([{ subject: 'JavaScript', difficulty: 'easy', questions: [question] }]);
+  return parseGift(gift);
+};
+
+test('a question with a Markdown code block survives export and import', () => {
+  const question = {
+    _id: '64b7f0c2a1b2c3d4e5f60718',
+    type: 'single',
+    question: 'What does this print?\n\n```js\nconst path = "C:\\\\new";\nconsole.log(`a\\nb`, { x: 1 });\n```',
+    options: ['a\\nb', 'a, then b on the next line', 'C:\\new ~= {x: 1}'],
+    correctAnswer: 1,
+    explanation: 'Template literals turn \\n into a line break.\nObjects print as `{ x: 1 }`.',
+  };
+
+  const { records, errors } = roundTrip(question);
+
+  assert.deepEqual(errors, []);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].id, question._id);
+  assert.equal(records[0].subject, 'JavaScript');
+  assert.equal(records[0].question.question, question.question);
+  assert.deepEqual(records[0].question.options, question.options);
+  assert.equal(records[0].question.correctAnswer, 1);
+  assert.equal(records[0].question.explanation, question.explanation);
+});
+
+test('text answers keep backslashes', () => {
+  const question = {
+    _id: '64b7f0c2a1b2c3d4e5f60719',
+    type: 'text',
+    question: 'Which escape sequence is a tab?',
+    acceptedAnswers: ['\\t'],
+  };
+
+  const { records } = roundTrip(question);
+
+  assert.deepEqual(records[0].question.acceptedAnswers, ['\\t']);
+});
+
+test('hand-written questions keep their line breaks', () => {
+  const { records, errors } = parseGift(
+    ['$CATEGORY: Python/easy', '', 'What is printed?', '    print(1 + 1)', '{=2 ~11 ~3}'].join('\n')
+  );
+
+  assert.deepEqual(errors, []);
+  assert.equal(records[0].question.question, 'What is printed?\n    print(1 + 1)');
+  assert.deepEqual(records[0].question.options, ['2', '11', '3']);
+});
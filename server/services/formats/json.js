@@ -0,0 +1,59 @@
+// JSON question bank format - the questions.json shape:
+//   [{ subject, difficulty, questions: [{ _id?, type, question, options, correctAnswer, ... }] }]
+import { QUESTION_FIELDS } from '../questionTypes.js';
+
+const pick = (q) => Object.fromEntries(QUESTION_FIELDS.filter((k) => q[k] !== undefined && q[k] !== null).map((k) => [k, q[k]]));
+
+// Line number of a character offset, for JSON syntax errors
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// Parse a JSON bank into { records, errors }. JSON has no per-question line numbers,
+// so records carry their position (sets[i].questions[j]) instead.
+export const parseJson = (text) => {
+  let sets;
+  try {
+    sets = JSON.parse(text);
+  } catch (error) {
+    const position = Number(/position (\d+)/.exec(error.message)?.[1]);
+    return {
+      records: [],
+      errors: [{ line: Number.isFinite(position) ? lineAt(text, position) : null, message: `Invalid JSON: ${error.message}` }],
+    };
+  }
+
+  if (!Array.isArray(sets)) {
+    return { records: [], errors: [{ line: 1, message: 'Expected a JSON array of { subject, difficulty, questions } sets' }] };
+  }
+
+  const records = [];
+  const errors = [];
+  sets.forEach((set, i) => {
+    if (!set || typeof set !== 'object' || !Array.isArray(set.questions)) {
+      errors.push({ location: `sets[${i}]`, message: 'Set must be an object with a questions array' });
+      return;
+    }
+    set.questions.forEach((q, j) => {
+      records.push({
+        location: `sets[${i}].questions[${j}]`,
+        subject: typeof set.subject === 'string' ? set.subject.trim() : set.subject,
+        difficulty: set.difficulty,
+        id: q && q._id ? String(q._id) : null,
+        question: q && typeof q === 'object' ? pick(q) : q,
+      });
+    });
+  });
+
+  return { records, errors };
+};
+
+// Serialize sets to the questions.json shape (question ids included for round trips)
+export const toJson = (sets) =>
+  `${JSON.stringify(
+    sets.map((set) => ({
+      subject: set.subject,
+      difficulty: set.difficulty,
+      questions: set.questions.map((q) => ({ _id: q._id, ...pick(q) })),
+    })),
+    null,
+    2
+  )}\n`;
@@ -0,0 +1,225 @@
+import Progress from '../models/Progress.js';
+import XpEvent from '../models/XpEvent.js';
+import User from '../models/User.js';
+
+// Progression for completed attempts:
+//   - XP per correct answer, weighted by the question's difficulty, plus a bonus for a
+//     perfect score; mixed attempts credit each subject with its own questions
+//   - a daily streak of days (UTC) with at least one completed quiz
+//   - badges, checked after every attempt and kept once earned
+//   - weekly (from Monday 00:00 UTC) and all-time leaderboards, overall or per subject
+
+export const DIFFICULTY_XP = { easy: 10, medium: 20, hard: 30 };
+export const PERFECT_BONUS = 0.5;
+export const MIN_PERFECT_QUESTIONS = 5;
+export const LEADERBOARD_PERIODS = ['week', 'all'];
+export const MAX_LEADERBOARD_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEVEL_XP = 100;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+const previousDay = (day) => dayKey(new Date(Date.parse(day) - DAY_MS));
+
+// Monday 00:00 UTC of the week containing date
+export const startOfWeek = (date = new Date()) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+// Level n starts at 100 * (n - 1)^2 XP: 0, 100, 400, 900, ...
+export const levelFor = (xp) => {
+  const level = Math.floor(Math.sqrt(xp / LEVEL_XP)) + 1;
+  return { level, levelXp: LEVEL_XP * (level - 1) ** 2, nextLevelXp: LEVEL_XP * level ** 2 };
+};
+
+const isPerfect = (attempt) =>
+  attempt.totalQuestions >= MIN_PERFECT_QUESTIONS && attempt.score === attempt.totalQuestions;
+
+// XP a completed attempt earns per subject, as a Map
+export const attemptXp = (attempt) => {
+  const bySubject = new Map();
+  for (const answer of attempt.answers) {
+    if (!answer.isCorrect) continue;
+    const subject = answer.subject || attempt.subject;
+    const xp = DIFFICULTY_XP[answer.difficulty || attempt.difficulty] || DIFFICULTY_XP.medium;
+    bySubject.set(subject, (bySubject.get(subject) || 0) + xp);
+  }
+  if (isPerfect(attempt)) {
+    for (const [subject, xp] of bySubject) bySubject.set(subject, Math.round(xp * (1 + PERFECT_BONUS)));
+  }
+  return bySubject;
+};
+
+const badge = (id, icon, name, description, earned) => ({ id, icon, name, description, earned });
+
+// Badges anyone can earn; `earned` sees { progress, attempt } after the attempt is counted
+export const BADGES = [
+  badge('first-quiz', '🎯', 'First Steps', 'Complete your first quiz', ({ progress }) => progress.quizzesCompleted >= 1),
+  badge('quizzes-10', '📚', 'Regular', 'Complete 10 quizzes', ({ progress }) => progress.quizzesCompleted >= 10),
+  badge('quizzes-50', '🎓', 'Dedicated', 'Complete 50 quizzes', ({ progress }) => progress.quizzesCompleted >= 50),
+  badge('perfect', '💯', 'Flawless', `Score 100% on a quiz of ${MIN_PERFECT_QUESTIONS}+ questions`, ({ attempt }) => isPerfect(attempt)),
+  badge('streak-3', '🔥', 'On a Roll', 'Keep a 3-day streak', ({ progress }) => progress.currentStreak >= 3),
+  badge('streak-7', '⚡', 'Week Warrior', 'Keep a 7-day streak', ({ progress }) => progress.currentStreak >= 7),
+  badge('streak-30', '🌟', 'Unstoppable', 'Keep a 30-day streak', ({ progress }) => progress.currentStreak >= 30),
+  badge('xp-1000', '💎', 'Scholar', 'Earn 1,000 XP', ({ progress }) => progress.xp >= 1000),
+  badge('xp-10000', '👑', 'Quiz Master', 'Earn 10,000 XP', ({ progress }) => progress.xp >= 10000),
+];
+
+const SET_BADGE_ICONS = { easy: '🥉', medium: '🥈', hard: '🥇' };
+
+// "100% on hard DevOps": a perfect score on one subject/difficulty set
+const setBadge = (difficulty, subject) => ({
+  id: `perfect:${difficulty}:${subject}`,
+  icon: SET_BADGE_ICONS[difficulty],
+  name: `100% on ${difficulty} ${subject}`,
+  description: `Score 100% on a ${difficulty} ${subject} quiz of ${MIN_PERFECT_QUESTIONS}+ questions`,
+});
+
+const setBadgeFor = (attempt) => {
+  if (!attempt.quiz || !SET_BADGE_ICONS[attempt.difficulty] || !isPerfect(attempt)) return null;
+  return setBadge(attempt.difficulty, attempt.subject);
+};
+
+// Point set badges earned under a subject's old name at its new one (earnedAt is kept)
+export const renameSubjectBadges = async (previousName, name) => {
+  const renamed = new Map(
+    Object.keys(SET_BADGE_ICONS).map((difficulty) => [setBadge(difficulty, previousName).id, setBadge(difficulty, name)])
+  );
+  const owners = await Progress.find({ 'badges.id': { $in: [...renamed.keys()] } });
+  for (const progress of owners) {
+    for (const earned of progress.badges) {
+      if (renamed.has(earned.id)) earned.set(renamed.get(earned.id));
+    }
+    await progress.save();
+  }
+};
+
+const toBadge = ({ id, icon, name, description }) => ({ id, icon, name, description });
+
+// Extend the streak with a day of activity. Offline attempts synced late can complete
+// before the last active day; those leave the streak alone.
+const recordActiveDay = (progress, day) => {
+  if (progress.lastActiveDay && day <= progress.lastActiveDay) return;
+  progress.currentStreak = progress.lastActiveDay === previousDay(day) ? progress.currentStreak + 1 : 1;
+  progress.longestStreak = Math.max(progress.longestStreak, progress.currentStreak);
+  progress.lastActiveDay = day;
+};
+
+// The streak as of today: it lapses once a whole day goes by without a quiz
+const currentStreakOf = (progress, now = new Date()) => {
+  const today = dayKey(now);
+  return [today, previousDay(today)].includes(progress.lastActiveDay) ? progress.currentStreak : 0;
+};
+
+// Whether the learner answered at least one question (timeouts don't count)
+const hasAnswers = (attempt) => attempt.answers.some((a) => a.answeredAt && !a.timedOut);
+
+// Award a just-completed attempt: XP, streak and badges. Call once, when the attempt
+// becomes completed. Resolves to { xpEarned, xp, level, levelXp, nextLevelXp, streak, newBadges },
+// or null for unverified (offline) attempts, which earn nothing and stay off the leaderboards,
+// and for attempts with no answers, which would otherwise farm quiz-count badges and streaks.
+export const awardAttempt = async (attempt) => {
+  if (attempt.verified === false || !hasAnswers(attempt)) return null;
+
+  const earnedAt = attempt.completedAt || new Date();
+  const xpBySubject = attemptXp(attempt);
+  const xpEarned = [...xpBySubject.values()].reduce((sum, xp) => sum + xp, 0);
+
+  if (xpEarned > 0) {
+    await XpEvent.insertMany(
+      [...xpBySubject].map(([subject, xp]) => ({ user: attempt.user, attempt: attempt._id, subject, xp, earnedAt }))
+    );
+  }
+
+  const progress = await Progress.findOneAndUpdate(
+    { user: attempt.user },
+    { $setOnInsert: { user: attempt.user } },
+    { upsert: true, new: true }
+  );
+  progress.xp += xpEarned;
+  progress.quizzesCompleted += 1;
+  recordActiveDay(progress, dayKey(earnedAt));
+
+  const owned = new Set(progress.badges.map((b) => b.id));
+  const newBadges = [...BADGES.filter((b) => b.earned({ progress, attempt })).map(toBadge), setBadgeFor(attempt)].filter(
+    (b) => b && !owned.has(b.id)
+  );
+  progress.badges.push(...newBadges.map((b) => ({ ...b, earnedAt })));
+  await progress.save();
+
+  if (newBadges.length > 0) {
+    console.log(`🏅 ${newBadges.map((b) => b.name).join(', ')} for user ${attempt.user}`);
+  }
+  return {
+    xpEarned,
+    xp: progress.xp,
+    ...levelFor(progress.xp),
+    streak: currentStreakOf(progress),
+    newBadges,
+  };
+};
+
+// The profile view: totals, level, streak, badges earned (newest first) and still locked,
+// and XP per subject this week and overall
+export const getProfile = async (user) => {
+  const progress = (await Progress.findOne({ user: user._id })) || new Progress({ user: user._id });
+  const bySubject = await XpEvent.aggregate([
+    { $match: { user: user._id } },
+    {
+      $group: {
+        _id: '$subject',
+        xp: { $sum: '$xp' },
+        weekXp: { $sum: { $cond: [{ $gte: ['$earnedAt', startOfWeek()] }, '$xp', 0] } },
+      },
+    },
+    { $sort: { xp: -1, _id: 1 } },
+  ]);
+
+  const owned = new Set(progress.badges.map((b) => b.id));
+  return {
+    username: user.username,
+    xp: progress.xp,
+    ...levelFor(progress.xp),
+    quizzesCompleted: progress.quizzesCompleted,
+    currentStreak: currentStreakOf(progress),
+    longestStreak: progress.longestStreak,
+    lastActiveDay: progress.lastActiveDay,
+    badges: [...progress.badges].sort((a, b) => b.earnedAt - a.earnedAt),
+    lockedBadges: BADGES.filter((b) => !owned.has(b.id)).map(toBadge),
+    subjects: bySubject.map((row) => ({ subject: row._id, xp: row.xp, weekXp: row.weekXp })),
+  };
+};
+
+// Ranked XP totals: { period, subject, since, entries: [{ rank, userId, username, xp }], me }.
+// Equal totals share a rank; me is the given user's entry (null without XP in the period).
+export const getLeaderboard = async ({ period = 'week', subject = null, limit = 20, userId = null }) => {
+  const since = period === 'week' ? startOfWeek() : null;
+  const match = {};
+  if (subject) match.subject = subject;
+  if (since) match.earnedAt = { $gte: since };
+
+  const totals = await XpEvent.aggregate([
+    { $match: match },
+    { $group: { _id: '$user', xp: { $sum: '$xp' } } },
+    { $sort: { xp: -1, _id: 1 } },
+  ]);
+
+  let rank = 0;
+  const ranked = totals.map((row, index) => {
+    if (index === 0 || row.xp < totals[index - 1].xp) rank = index + 1;
+    return { rank, userId: String(row._id), xp: row.xp };
+  });
+
+  const size = Math.min(Math.max(limit, 1), MAX_LEADERBOARD_SIZE);
+  const top = ranked.slice(0, size);
+  const me = userId ? ranked.find((entry) => entry.userId === String(userId)) || null : null;
+  const shown = me && !top.includes(me) ? [...top, me] : top;
+
+  const users = await User.find({ _id: { $in: shown.map((entry) => entry.userId) } }).select('username');
+  const usernames = new Map(users.map((u) => [String(u._id), u.username]));
+  const withName = (entry) => entry && { ...entry, username: usernames.get(entry.userId) || 'deleted user' };
+
+  return { period, subject, since, entries: top.map(withName), me: withName(me) };
+};
@@ -0,0 +1,19 @@
+// Grading helpers - the only place that looks at the stored answers
+import { isCorrectAnswer, answerKey } from './questionTypes.js';
+
+// Strip answer data so a question can be sent to the client
+export const toPublicQuestion = (question) => ({
+  _id: question._id,
+  type: question.type || 'single',
+  question: question.question,
+  options: question.options,
+});
+
+// Check a submitted answer against the stored question
+export const gradeAnswer = (question, selectedAnswer) => isCorrectAnswer(question, selectedAnswer);
+
+// Answer fields to reveal after grading (correctAnswer, correctAnswers, numericAnswer, ...)
+export const revealAnswer = (question) => answerKey(question);
+
+// Count correct answers on an attempt
+export const computeScore = (answers) => answers.filter((a) => a.isCorrect).length;
@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import Quiz from '../models/Quiz.js';
+import Attempt from '../models/Attempt.js';
+import { toPublicQuestion, gradeAnswer, revealAnswer, computeScore } from './grading.js';
+import { isValidAnswerShape } from './questionTypes.js';
+import { loadQuestionsAtVersion } from './revisions.js';
+import { recordReview } from './spacedRepetition.js';
+import { normalizeTiming } from './timing.js';
+import { DEFAULT_LOCALE, localizeQuestion, normalizeLocale } from './translations.js';
+
+// Attempts taken offline from a downloaded question pack (which has no answer key) are only
+// recorded in the browser, and sent here to be graded once the connection is back:
+//   - the same clientId sent again returns the attempt saved the first time
+//   - answers are graded against the set version the pack was downloaded at
+//   - every question must be in that version, once
+//   - times in the future are clamped to now, and reviews older than the user's latest
+//     one for a question leave its schedule alone
+// The browser kept the clock, so synced attempts are saved as unverified and earn no XP,
+// badges or leaderboard places. Each user can sync MAX_SYNCS_PER_HOUR of them an hour; the
+// rest wait in the browser's queue.
+
+export const MAX_SYNC_ANSWERS = 50;
+export const MAX_SYNCS_PER_HOUR = 30;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+const syncError = (status, message) => Object.assign(new Error(message), { status });
+
+const toDate = (value, fallback) => {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date : fallback;
+};
+
+const clampDate = (date, min, max) => new Date(Math.min(Math.max(date.getTime(), min.getTime()), max.getTime()));
+
+const toReport = (attempt, extra) => ({
+  attemptId: attempt._id,
+  clientId: attempt.clientId,
+  subject: attempt.subject,
+  difficulty: attempt.difficulty,
+  score: attempt.score,
+  totalQuestions: attempt.totalQuestions,
+  duplicate: false,
+  verified: attempt.verified !== false,
+  answers: [],
+  ...extra,
+});
+
+// An answer with its question and answer key, as /api/attempts/:id/complete reviews it;
+// this is the first time the learner sees how the offline attempt went
+const toAnswerReview = (answer, question, locale) => {
+  const shown = localizeQuestion(question, locale);
+  return {
+    questionId: answer.questionId,
+    question: toPublicQuestion(shown),
+    selectedAnswer: answer.selectedAnswer,
+    isCorrect: answer.isCorrect,
+    timedOut: answer.timedOut,
+    timeTakenMs: answer.timeTakenMs,
+    flagged: answer.flagged,
+    ...revealAnswer(question),
+    explanation: shown.explanation ?? null,
+  };
+};
+
+// The questions of the set version a pack was downloaded at, keyed by id (null if that
+// version wasn't recorded)
+const loadPackQuestions = (quiz, version) =>
+  version === quiz.version
+    ? new Map(quiz.questions.map((q) => [String(q._id), q]))
+    : loadQuestionsAtVersion(quiz._id, version);
+
+// Grade and save one offline attempt:
+//   { clientId, quizId, quizVersion, locale, timing, startedAt, completedAt,
+//     answers: [{ questionId, selectedAnswer, timedOut, answeredAt, timeTakenMs, flagged }] }
+// Resolves to { attemptId, clientId, score, totalQuestions, duplicate, verified, answers }, where
+// answers is the review (empty for a duplicate); throws 400/409/429 errors.
+export const syncOfflineAttempt = async (user, body) => {
+  const { clientId, quizId, quizVersion, answers: given } = body || {};
+  if (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId)) {
+    throw syncError(400, 'clientId must be 8-64 letters, digits or dashes');
+  }
+  if (!mongoose.isValidObjectId(quizId)) throw syncError(400, 'quizId is required');
+  if (!Number.isInteger(quizVersion) || quizVersion < 0) throw syncError(400, 'quizVersion is required');
+  if (!Array.isArray(given) || given.length === 0 || given.length > MAX_SYNC_ANSWERS) {
+    throw syncError(400, `answers must list 1-${MAX_SYNC_ANSWERS} answers`);
+  }
+  const questionIds = given.map((a) => String(a?.questionId));
+  if (new Set(questionIds).size !== questionIds.length) throw syncError(400, 'answers must not repeat a question');
+
+  const existing = await Attempt.findOne({ user: user._id, clientId });
+  if (existing) return toReport(existing, { duplicate: true });
+
+  const recent = await Attempt.countDocuments({
+    user: user._id,
+    clientId: { $type: 'string' },
+    createdAt: { $gte: new Date(Date.now() - HOUR_MS) },
+  });
+  if (recent >= MAX_SYNCS_PER_HOUR) {
+    throw syncError(429, 'Too many offline quizzes synced in the last hour - the rest will sync later');
+  }
+
+  const quiz = await Quiz.findById(quizId);
+  if (!quiz) throw syncError(409, 'This question set was deleted after it was downloaded');
+  if (quizVersion > quiz.version) throw syncError(400, `This set has no version ${quizVersion}`);
+
+  const questions = await loadPackQuestions(quiz, quizVersion);
+  if (!questions) throw syncError(409, 'The version of this set the pack was downloaded at is no longer available');
+  const outside = questionIds.find((id) => !questions.has(id));
+  if (outside) throw syncError(400, `Question ${outside} isn't in version ${quizVersion} of this set`);
+
+  const now = new Date();
+  const completedAt = clampDate(toDate(body.completedAt, now), new Date(0), now);
+  const startedAt = clampDate(toDate(body.startedAt, completedAt), new Date(0), completedAt);
+
+  const slotFor = (questionId) => ({
+    questionId,
+    quiz: quiz._id,
+    quizVersion,
+    subject: quiz.subject,
+    difficulty: quiz.difficulty,
+  });
+
+  const answers = [];
+  for (const answer of given) {
+    const question = questions.get(String(answer.questionId));
+    const timedOut = Boolean(answer.timedOut) || answer.selectedAnswer === null || answer.selectedAnswer === undefined;
+    const isCorrect =
+      !timedOut && isValidAnswerShape(question, answer.selectedAnswer) && gradeAnswer(question, answer.selectedAnswer);
+
+    answers.push({
+      ...slotFor(question._id),
+      selectedAnswer: timedOut ? null : answer.selectedAnswer,
+      isCorrect,
+      timedOut,
+      answeredAt: clampDate(toDate(answer.answeredAt, completedAt), startedAt, completedAt),
+      timeTakenMs: Number.isFinite(answer.timeTakenMs) ? Math.max(Math.round(answer.timeTakenMs), 0) : null,
+      flagged: Boolean(answer.flagged),
+    });
+  }
+
+  const locale = normalizeLocale(body.locale) || DEFAULT_LOCALE;
+  let timing;
+  try {
+    timing = normalizeTiming(body.timing);
+  } catch {
+    timing = normalizeTiming();
+  }
+
+  let attempt;
+  try {
+    attempt = await Attempt.create({
+      user: user._id,
+      quiz: quiz._id,
+      clientId,
+      verified: false,
+      locale,
+      subject: quiz.subject,
+      difficulty: quiz.difficulty,
+      answers,
+      timing,
+      status: 'completed',
+      score: computeScore(answers),
+      totalQuestions: answers.length,
+      completedAt,
+      durationMs: completedAt - startedAt,
+    });
+  } catch (error) {
+    // Two syncs of the same attempt raced each other; the first one saved it
+    if (error.code !== 11000) throw error;
+    return toReport(await Attempt.findOne({ user: user._id, clientId }), { duplicate: true });
+  }
+
+  // Oldest first, so the schedule replays the answers in the order they were given
+  for (const answer of [...attempt.answers].sort((a, b) => a.answeredAt - b.answeredAt)) {
+    await recordReview(user._id, answer, answer.isCorrect, answer.answeredAt);
+  }
+
+  console.log(
+    `📶 Synced offline attempt ${attempt._id} for ${user.username}: ${attempt.subject} - ${attempt.difficulty} ` +
+      `(${attempt.score}/${attempt.totalQuestions})`
+  );
+  return toReport(attempt, {
+    answers: attempt.answers.map((answer) => toAnswerReview(answer, questions.get(String(answer.questionId)), locale)),
+  });
+};
@@ -0,0 +1,168 @@
+import Quiz from '../models/Quiz.js';
+import Attempt from '../models/Attempt.js';
+
+// Item analysis over every graded answer in completed attempts:
+//   pCorrect        share of responses that were correct (the difficulty index)
+//   discrimination  pCorrect among the top 27% of attempts (by overall score) minus the bottom 27%
+//   options         how often each option was picked, by authored index
+// Option counts use authored indexes, so reordering a question's options mixes old and new picks.
+
+// Questions with fewer responses than this aren't flagged - the numbers are noise
+export const DEFAULT_MIN_RESPONSES = 10;
+
+const GROUP_SHARE = 0.27;
+
+// Share of correct answers a difficulty label should fall in; the bands overlap on purpose
+const DIFFICULTY_BANDS = {
+  easy: { min: 0.7, max: 1 },
+  medium: { min: 0.4, max: 0.9 },
+  hard: { min: 0, max: 0.6 },
+};
+
+const suggestDifficulty = (pCorrect) => (pCorrect >= 0.8 ? 'easy' : pCorrect >= 0.5 ? 'medium' : 'hard');
+
+const CHOICE_TYPES = ['single', 'multiple', 'true-false'];
+
+const isGraded = (answer) => answer.isCorrect !== null && answer.isCorrect !== undefined;
+
+// Indexes (authored order) an answer picked
+const pickedOptions = (answer) => {
+  if (answer.selectedAnswer === null || answer.selectedAnswer === undefined) return [];
+  const shown = Array.isArray(answer.selectedAnswer) ? answer.selectedAnswer : [answer.selectedAnswer];
+  return shown.map((index) => (answer.optionOrder ? answer.optionOrder[index] : index)).filter(Number.isInteger);
+};
+
+const correctOptions = (question) =>
+  new Set((question.type || 'single') === 'multiple' ? question.correctAnswers : [question.correctAnswer]);
+
+const round = (value, places = 2) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+// Upper-minus-lower discrimination index from [{ attemptScore, isCorrect }]
+const discriminationOf = (responses) => {
+  const groupSize = Math.floor(responses.length * GROUP_SHARE);
+  if (groupSize < 1) return null;
+
+  const ranked = [...responses].sort((a, b) => b.attemptScore - a.attemptScore);
+  const share = (group) => group.filter((r) => r.isCorrect).length / group.length;
+  return share(ranked.slice(0, groupSize)) - share(ranked.slice(-groupSize));
+};
+
+// Why a question needs a look, e.g. [{ type: 'unused-option', message }]
+const flagsFor = (stats, question, difficulty, minResponses) => {
+  if (stats.responses < minResponses) return [];
+  const flags = [];
+
+  const band = DIFFICULTY_BANDS[difficulty];
+  if (band && (stats.pCorrect < band.min || stats.pCorrect > band.max)) {
+    flags.push({
+      type: 'difficulty-mismatch',
+      message: `Labelled ${difficulty} but ${Math.round(stats.pCorrect * 100)}% answer correctly - performs like ${stats.suggestedDifficulty}`,
+    });
+  }
+
+  if (stats.discrimination !== null && stats.discrimination < 0) {
+    flags.push({
+      type: 'negative-discrimination',
+      message: 'Weaker learners get this right more often than stronger ones - check the answer key',
+    });
+  }
+
+  for (const option of stats.options || []) {
+    if (!option.correct && option.picks === 0) {
+      flags.push({ type: 'unused-option', message: `Nobody picks "${question.options[option.index]}"` });
+    }
+  }
+
+  return flags;
+};
+
+// Stats for one question from its collected responses
+const summarize = ({ quiz, question }, responses, minResponses) => {
+  const graded = responses.filter((r) => !r.timedOut);
+  const timed = responses.filter((r) => r.timeTakenMs !== null && r.timeTakenMs !== undefined);
+  const correct = responses.filter((r) => r.isCorrect).length;
+  const pCorrect = responses.length > 0 ? correct / responses.length : null;
+
+  const type = question.type || 'single';
+  let options = null;
+  if (CHOICE_TYPES.includes(type)) {
+    const correctSet = correctOptions(question);
+    const picks = question.options.map(() => 0);
+    for (const response of graded) {
+      for (const index of response.picked) if (index < picks.length) picks[index]++;
+    }
+    options = question.options.map((text, index) => ({
+      index,
+      text,
+      correct: correctSet.has(index),
+      picks: picks[index],
+      share: graded.length > 0 ? round(picks[index] / graded.length) : null,
+    }));
+  }
+
+  const stats = {
+    questionId: question._id,
+    subject: quiz.subject,
+    difficulty: quiz.difficulty,
+    type,
+    question: question.question,
+    responses: responses.length,
+    correct,
+    pCorrect: round(pCorrect),
+    timeouts: responses.length - graded.length,
+    avgTimeMs: timed.length > 0 ? Math.round(timed.reduce((sum, r) => sum + r.timeTakenMs, 0) / timed.length) : null,
+    discrimination: round(discriminationOf(responses)),
+    suggestedDifficulty: pCorrect === null ? null : suggestDifficulty(pCorrect),
+    options,
+  };
+  return { ...stats, flags: flagsFor(stats, question, quiz.difficulty, minResponses) };
+};
+
+// Per-question analytics for the whole bank or one subject/difficulty. Questions
+// with flags come first, then the most answered.
+export const getQuestionAnalytics = async ({ subject, difficulty, minResponses = DEFAULT_MIN_RESPONSES } = {}) => {
+  const filter = {};
+  if (subject) filter.subject = subject;
+  if (difficulty) filter.difficulty = difficulty;
+  const quizzes = await Quiz.find(filter, { subject: 1, difficulty: 1, questions: 1 }).lean();
+
+  const responses = new Map();
+  for (const quiz of quizzes) {
+    for (const question of quiz.questions) responses.set(String(question._id), []);
+  }
+
+  // Attempts are streamed so the whole history never sits in memory at once
+  const cursor = Attempt.find(
+    { status: 'completed', 'answers.questionId': { $in: quizzes.flatMap((q) => q.questions.map((question) => question._id)) } },
+    { answers: 1, score: 1, totalQuestions: 1 }
+  )
+    .lean()
+    .cursor();
+
+  for await (const attempt of cursor) {
+    const attemptScore = attempt.totalQuestions > 0 ? attempt.score / attempt.totalQuestions : 0;
+    for (const answer of attempt.answers) {
+      const bucket = responses.get(String(answer.questionId));
+      if (!bucket || !isGraded(answer)) continue;
+      bucket.push({
+        attemptScore,
+        isCorrect: answer.isCorrect,
+        timedOut: answer.timedOut,
+        timeTakenMs: answer.timeTakenMs,
+        picked: pickedOptions(answer),
+      });
+    }
+  }
+
+  const questions = quizzes
+    .flatMap((quiz) =>
+      quiz.questions.map((question) => summarize({ quiz, question }, responses.get(String(question._id)), minResponses))
+    )
+    .sort((a, b) => (b.flags.length > 0) - (a.flags.length > 0) || b.responses - a.responses);
+
+  return {
+    minResponses,
+    flagged: questions.filter((q) => q.flags.length > 0).length,
+    questions,
+  };
+};
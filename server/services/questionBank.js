@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import Quiz from '../models/Quiz.js';
+import { loadQuestionsAtVersion } from './revisions.js';
+
+// Questions live embedded in Quiz sets, so lookups by question id go through their set.
+// "Sourced" questions are { quiz, question } pairs.
+
+// Find questions by id across all sets, keeping the requested order (repeated ids count once)
+export const findQuestionsByIds = async (ids) => {
+  const validIds = [...new Set((ids || []).filter((id) => mongoose.isValidObjectId(id)).map(String))];
+  if (validIds.length === 0) return [];
+
+  const quizzes = await Quiz.find({ 'questions._id': { $in: validIds } });
+  return validIds
+    .map((id) => {
+      const quiz = quizzes.find((q) => q.questions.id(id));
+      return quiz ? { quiz, question: quiz.questions.id(id) } : null;
+    })
+    .filter(Boolean);
+};
+
+// The question an answer was served from: the live one, or the recorded version of
+// it if the set has been edited since the attempt started. versionCache is shared
+// across answers so each old version is loaded once.
+const questionForAnswer = async (quiz, answer, versionCache) => {
+  if (!quiz) return null;
+
+  const version = answer.quizVersion;
+  if (version !== null && version !== undefined && version !== quiz.version) {
+    const key = `${quiz._id}:${version}`;
+    if (!versionCache.has(key)) versionCache.set(key, await loadQuestionsAtVersion(quiz._id, version));
+    const recorded = versionCache.get(key);
+    if (recorded) return recorded.get(String(answer.questionId)) || null;
+  }
+
+  return quiz.questions.id(answer.questionId) || null;
+};
+
+// Map of questionId -> question for every question in an attempt
+export const loadAttemptQuestions = async (attempt) => {
+  const quizIds = [...new Set(attempt.answers.map((a) => String(a.quiz || attempt.quiz)))];
+  const quizzes = await Quiz.find({ _id: { $in: quizIds } });
+  const versionCache = new Map();
+
+  const questions = new Map();
+  for (const answer of attempt.answers) {
+    const quiz = quizzes.find((q) => q._id.equals(answer.quiz || attempt.quiz));
+    const question = await questionForAnswer(quiz, answer, versionCache);
+    if (question) questions.set(String(answer.questionId), question);
+  }
+  return questions;
+};
+
+// Load the question behind a single attempt answer
+export const loadAttemptQuestion = async (attempt, answer) => {
+  const quiz = await Quiz.findById(answer.quiz || attempt.quiz);
+  return questionForAnswer(quiz, answer, new Map());
+};
+
+// Questions frozen in a saved quiz, as they were when it was saved. Each one's quiz
+// carries the frozen version, so answer slots made from it keep grading against that
+// version. Questions that no longer exist at all are left out.
+export const loadFrozenQuestions = async (savedQuiz) => {
+  const questions = await loadAttemptQuestions({ answers: savedQuiz.questions });
+  return savedQuiz.questions
+    .filter((entry) => questions.has(String(entry.questionId)))
+    .map((entry) => ({
+      quiz: { _id: entry.quiz, subject: entry.subject, difficulty: entry.difficulty, version: entry.quizVersion },
+      question: questions.get(String(entry.questionId)),
+    }));
+};
+
+// The attempt answer slot for a sourced question
+export const toAnswerSlot = ({ quiz, question }) => ({
+  questionId: question._id,
+  quiz: quiz._id,
+  quizVersion: quiz.version,
+  subject: quiz.subject,
+  difficulty: quiz.difficulty,
+});
+
+// Subject/difficulty labels for an attempt drawn from one or more sets
+export const labelFor = (sourced) => {
+  const subjects = new Set(sourced.map((s) => s.quiz.subject));
+  const difficulties = new Set(sourced.map((s) => s.quiz.difficulty));
+  return {
+    subject: subjects.size === 1 ? [...subjects][0] : 'Mixed',
+    difficulty: difficulties.size === 1 ? [...difficulties][0] : 'mixed',
+  };
+};
@@ -0,0 +1,79 @@
+// Full-text question search. Every term of the query has to appear (as the start of a word)
+// in the question text, its options, explanation, tags or learning objectives; matches in
+// the question text and tags rank highest. "Quoted phrases" are matched as a whole.
+// Like duplicate detection this scans the sets in memory, which is fine at question-bank sizes.
+
+import Quiz from '../models/Quiz.js';
+import { normalizeText } from './duplicates.js';
+import { hasAnyTag } from './tags.js';
+
+export const MAX_SEARCH_RESULTS = 50;
+
+const FIELD_WEIGHTS = {
+  question: 3,
+  tags: 3,
+  objectives: 2,
+  options: 1,
+  explanation: 1,
+};
+
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+
+// Query terms, normalized like the indexed text; a quoted phrase is one term
+export const parseSearchQuery = (query) =>
+  [...String(query ?? '').matchAll(/"([^"]*)"|(\S+)/g)].map((match) => normalizeText(match[1] ?? match[2])).filter(Boolean);
+
+// Normalized searchable text per field, padded so " term" matches at word starts
+const searchableFields = (question) => ({
+  question: ` ${normalizeText(question.question)}`,
+  tags: ` ${(question.tags || []).map(normalizeText).join(' ')}`,
+  objectives: ` ${(question.objectives || []).map(normalizeText).join(' ')}`,
+  options: ` ${(question.options || []).map(normalizeText).join(' ')}`,
+  explanation: ` ${normalizeText(question.explanation)}`,
+});
+
+// Relevance of a question for the terms, or 0 when any term is missing
+const scoreQuestion = (question, terms) => {
+  const fields = searchableFields(question);
+  let score = 0;
+  for (const term of terms) {
+    const termScore = Object.entries(FIELD_WEIGHTS).reduce(
+      (sum, [field, weight]) => sum + (fields[field].includes(` ${term}`) ? weight : 0),
+      0
+    );
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+  return score;
+};
+
+// Search the bank: { q, subject, difficulty, tags, limit, page }. Tags keep questions carrying
+// any of them; without a query every question passing the filters matches. Resolves to
+// { total, page, results: [{ quiz, question, score }] }, best matches first.
+export const searchQuestions = async ({ q, subject, difficulty, tags = [], limit = 20, page = 1 }) => {
+  const terms = parseSearchQuery(q);
+  const filter = {};
+  if (subject) filter.subject = subject;
+  if (difficulty) filter.difficulty = difficulty;
+
+  const quizzes = await Quiz.find(filter);
+  const matches = [];
+  for (const quiz of quizzes) {
+    for (const question of quiz.questions) {
+      if (!hasAnyTag(question, tags)) continue;
+      const score = terms.length > 0 ? scoreQuestion(question, terms) : 1;
+      if (score > 0) matches.push({ quiz, question, score });
+    }
+  }
+
+  matches.sort(
+    (a, b) =>
+      b.score - a.score ||
+      a.quiz.subject.localeCompare(b.quiz.subject) ||
+      DIFFICULTY_ORDER.indexOf(a.quiz.difficulty) - DIFFICULTY_ORDER.indexOf(b.quiz.difficulty)
+  );
+
+  const pageSize = Math.min(Math.max(limit, 1), MAX_SEARCH_RESULTS);
+  const start = (Math.max(page, 1) - 1) * pageSize;
+  return { total: matches.length, page: Math.max(page, 1), results: matches.slice(start, start + pageSize) };
+};
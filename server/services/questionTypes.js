@@ -0,0 +1,132 @@
+// Question types - validation and grading rules for each supported `type`
+//
+//   single      one correct option      -> correctAnswer: index
+//   multiple    choose all that apply   -> correctAnswers: [index, ...]
+//   true-false  options True / False    -> correctAnswer: 0 | 1
+//   numeric     free number             -> numericAnswer, tolerance
+//   text        short free text         -> acceptedAnswers: [string, ...]
+
+export const QUESTION_TYPES = ['single', 'multiple', 'true-false', 'numeric', 'text'];
+
+// Every stored field of a question (besides its _id)
+export const QUESTION_FIELDS = [
+  'type',
+  'question',
+  'options',
+  'correctAnswer',
+  'correctAnswers',
+  'numericAnswer',
+  'tolerance',
+  'acceptedAnswers',
+  'caseSensitive',
+  'explanation',
+  'tags',
+  'objectives',
+  'translations',
+];
+
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 10;
+
+const isIndex = (value, options) => Number.isInteger(value) && value >= 0 && value < options.length;
+
+const normalizeText = (value, caseSensitive) => {
+  const collapsed = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+// Check one question's type-specific fields; returns an error message or null
+export const validateQuestion = (q) => {
+  const type = q.type || 'single';
+  const options = Array.isArray(q.options) ? q.options : [];
+
+  if (!QUESTION_TYPES.includes(type)) return `type must be one of ${QUESTION_TYPES.join(', ')}`;
+
+  if (type === 'single' || type === 'multiple') {
+    if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+      return `must have ${MIN_OPTIONS} to ${MAX_OPTIONS} options`;
+    }
+    if (options.some((o) => typeof o !== 'string' || !o.trim())) return 'options must be non-empty strings';
+  }
+
+  if (type === 'single' && !isIndex(q.correctAnswer, options)) {
+    return `correctAnswer must be 0..${options.length - 1}`;
+  }
+
+  if (type === 'multiple') {
+    const answers = q.correctAnswers;
+    if (!Array.isArray(answers) || answers.length === 0) return 'correctAnswers must be a non-empty array';
+    if (!answers.every((a) => isIndex(a, options))) return `correctAnswers must be indexes 0..${options.length - 1}`;
+    if (new Set(answers).size !== answers.length) return 'correctAnswers must not repeat';
+  }
+
+  if (type === 'true-false') {
+    if (options.length !== 2) return 'true-false questions must have exactly 2 options';
+    if (q.correctAnswer !== 0 && q.correctAnswer !== 1) return 'correctAnswer must be 0 (True) or 1 (False)';
+  }
+
+  if (type === 'numeric') {
+    if (typeof q.numericAnswer !== 'number' || !Number.isFinite(q.numericAnswer)) {
+      return 'numericAnswer must be a number';
+    }
+    if (q.tolerance !== undefined && q.tolerance !== null && !(typeof q.tolerance === 'number' && q.tolerance >= 0)) {
+      return 'tolerance must be a number >= 0';
+    }
+  }
+
+  if (type === 'text') {
+    const accepted = q.acceptedAnswers;
+    if (!Array.isArray(accepted) || accepted.length === 0 || accepted.some((a) => typeof a !== 'string' || !a.trim())) {
+      return 'acceptedAnswers must be a non-empty array of strings';
+    }
+  }
+
+  return null;
+};
+
+// Whether a submitted answer has the right shape for the question's type
+export const isValidAnswerShape = (question, answer) => {
+  switch (question.type || 'single') {
+    case 'multiple':
+      return Array.isArray(answer) && answer.every((a) => Number.isInteger(a));
+    case 'numeric':
+      return typeof answer === 'number' && Number.isFinite(answer);
+    case 'text':
+      return typeof answer === 'string';
+    default:
+      return Number.isInteger(answer);
+  }
+};
+
+// Grade a submitted answer against the stored question
+export const isCorrectAnswer = (question, answer) => {
+  switch (question.type || 'single') {
+    case 'multiple': {
+      const expected = new Set(question.correctAnswers);
+      const given = new Set(answer);
+      return given.size === expected.size && [...given].every((a) => expected.has(a));
+    }
+    case 'numeric':
+      return Math.abs(answer - question.numericAnswer) <= (question.tolerance || 0);
+    case 'text': {
+      const given = normalizeText(answer, question.caseSensitive);
+      return question.acceptedAnswers.some((a) => normalizeText(a, question.caseSensitive) === given);
+    }
+    default:
+      return answer === question.correctAnswer;
+  }
+};
+
+// The type-specific answer fields revealed once a question has been answered
+export const answerKey = (question) => {
+  switch (question.type || 'single') {
+    case 'multiple':
+      return { correctAnswers: question.correctAnswers };
+    case 'numeric':
+      return { numericAnswer: question.numericAnswer, tolerance: question.tolerance || 0 };
+    case 'text':
+      return { acceptedAnswers: question.acceptedAnswers };
+    default:
+      return { correctAnswer: question.correctAnswer };
+  }
+};
@@ -0,0 +1,117 @@
+import Quiz from '../models/Quiz.js';
+import QuizRevision from '../models/QuizRevision.js';
+import { QUESTION_FIELDS } from './questionTypes.js';
+
+// Question-bank history. Every change to a set goes through saveQuiz, which bumps
+// the set's version and stores the full question list plus a diff as a QuizRevision.
+// Question ids survive edits and rollbacks, so attempts can look up the exact
+// version of a question they were graded against.
+
+const SYSTEM_AUTHOR = { user: null, username: 'system' };
+
+// Revision author for a signed-in user, or a label for scripts (e.g. "bank.js")
+export const authorOf = (user, label = SYSTEM_AUTHOR.username) =>
+  user ? { user: user._id, username: user.username } : { user: null, username: label };
+
+const toPlain = (question) => (typeof question.toObject === 'function' ? question.toObject() : question);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Per-question differences between two versions of a set's question list
+export const diffQuestions = (before, after) => {
+  const beforeById = new Map(before.map((q, i) => [String(q._id), { q, i }]));
+  const afterById = new Map(after.map((q, i) => [String(q._id), { q, i }]));
+  const changes = [];
+
+  for (const [id, { q, i }] of afterById) {
+    const previous = beforeById.get(id);
+    if (!previous) {
+      changes.push({ questionId: q._id, change: 'added', question: q.question, to: i });
+      continue;
+    }
+
+    const fields = QUESTION_FIELDS.filter((field) => !sameValue(previous.q[field], q[field])).map((field) => ({
+      field,
+      before: previous.q[field],
+      after: q[field],
+    }));
+    if (fields.length > 0) {
+      changes.push({ questionId: q._id, change: 'modified', question: q.question, fields });
+    }
+    if (previous.i !== i) {
+      changes.push({ questionId: q._id, change: 'moved', question: q.question, from: previous.i, to: i });
+    }
+  }
+
+  for (const [id, { q, i }] of beforeById) {
+    if (!afterById.has(id)) changes.push({ questionId: q._id, change: 'removed', question: q.question, from: i });
+  }
+
+  return changes;
+};
+
+const describeChanges = (changes) => {
+  const counts = {};
+  for (const c of changes) counts[c.change] = (counts[c.change] || 0) + 1;
+  const parts = ['added', 'modified', 'removed', 'moved']
+    .filter((change) => counts[change])
+    .map((change) => `${counts[change]} ${change}`);
+  return parts.length > 0 ? parts.join(', ') : 'no changes';
+};
+
+// Save a set and record the change as a new version. Use this instead of quiz.save()
+// for anything that edits questions.
+export const saveQuiz = async (quiz, { author = SYSTEM_AUTHOR, action, summary }) => {
+  const stored = quiz.isNew ? null : await Quiz.findById(quiz._id).lean();
+  const previousVersion = stored?.version || 0;
+
+  // Sets that predate the change history get their current state recorded first,
+  // so the first tracked change can still be rolled back
+  if (stored && !(await QuizRevision.exists({ quiz: quiz._id, version: previousVersion }))) {
+    await QuizRevision.create({
+      quiz: quiz._id,
+      version: previousVersion,
+      subject: stored.subject,
+      difficulty: stored.difficulty,
+      action: 'baseline',
+      summary: 'Contents before change history was recorded',
+      author: SYSTEM_AUTHOR,
+      questions: stored.questions,
+      changes: [],
+    });
+  }
+
+  quiz.version = previousVersion + 1;
+  quiz.numberOfQuestions = quiz.questions.length;
+  await quiz.save();
+
+  const questions = quiz.questions.map(toPlain);
+  const changes = diffQuestions(stored?.questions || [], questions);
+
+  return QuizRevision.create({
+    quiz: quiz._id,
+    version: quiz.version,
+    subject: quiz.subject,
+    difficulty: quiz.difficulty,
+    action,
+    summary: summary || describeChanges(changes),
+    author,
+    questions,
+    changes,
+  });
+};
+
+// Restore a set to an earlier version. The rollback is itself a new version.
+export const rollbackQuiz = async (quiz, version, author) => {
+  const revision = await QuizRevision.findOne({ quiz: quiz._id, version });
+  if (!revision) return null;
+
+  quiz.questions = revision.questions;
+  return saveQuiz(quiz, { author, action: 'rollback', summary: `Rolled back to version ${version}` });
+};
+
+// The questions of one version of a set, keyed by question id (null if that version wasn't recorded)
+export const loadQuestionsAtVersion = async (quizId, version) => {
+  const revision = await QuizRevision.findOne({ quiz: quizId, version }, { questions: 1 }).lean();
+  return revision ? new Map(revision.questions.map((q) => [String(q._id), q])) : null;
+};
@@ -0,0 +1,285 @@
+import crypto from 'crypto';
+import { toPublicQuestion, gradeAnswer, revealAnswer } from './grading.js';
+import { isValidAnswerShape } from './questionTypes.js';
+
+// Live multiplayer rooms. Rooms only exist in this server's memory: a host opens
+// one, players join with its code, and every question, answer reveal and
+// leaderboard update is pushed to connected players over server-sent events.
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_PLAYERS = 50;
+const REVEAL_MS = 5000;
+const HEARTBEAT_MS = 25000;
+// Finished rooms stay readable for a while; idle ones are dropped eventually
+const FINISHED_TTL_MS = 10 * 60 * 1000;
+const IDLE_TTL_MS = 2 * 60 * 60 * 1000;
+
+export const MIN_QUESTION_SEC = 5;
+export const MAX_QUESTION_SEC = 120;
+export const DEFAULT_QUESTION_SEC = 20;
+
+// A correct answer is worth 500-1000 points depending on how fast it came in
+const BASE_POINTS = 500;
+const SPEED_POINTS = 500;
+
+const rooms = new Map();
+
+const roomError = (status, message) => Object.assign(new Error(message), { status });
+
+const newCode = () => {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+};
+
+export const pointsFor = (isCorrect, elapsedMs, limitMs) => {
+  if (!isCorrect) return 0;
+  const remaining = Math.max(0, 1 - elapsedMs / limitMs);
+  return Math.round(BASE_POINTS + SPEED_POINTS * remaining);
+};
+
+// Highest score first; ties go to whoever spent less time answering
+export const leaderboardFor = (room) =>
+  [...room.players.values()]
+    .map((p) => ({
+      userId: p.userId,
+      username: p.username,
+      score: p.score,
+      correct: p.correct,
+      answered: p.answered,
+      totalTimeMs: p.totalTimeMs,
+    }))
+    .sort((a, b) => b.score - a.score || a.totalTimeMs - b.totalTimeMs)
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+// The answer and everyone's result for the current question, once it has been revealed
+const revealFor = (room) => {
+  const question = room.questions[room.current];
+  return {
+    index: room.current,
+    ...revealAnswer(question),
+    explanation: question.explanation,
+    results: [...room.players.keys()].map((userId) => {
+      const answer = room.answers.get(userId);
+      return { userId, isCorrect: Boolean(answer?.isCorrect), points: answer?.points || 0 };
+    }),
+    leaderboard: leaderboardFor(room),
+  };
+};
+
+// Public view of a room (no answers until the current question is revealed)
+export const roomSnapshot = (room, userId) => {
+  const question = room.questions[room.current];
+  const answer = room.answers.get(String(userId));
+  return {
+    code: room.code,
+    hostId: room.hostId,
+    subject: room.subject,
+    difficulty: room.difficulty,
+    questionLimitSec: room.questionLimitSec,
+    totalQuestions: room.questions.length,
+    status: room.status,
+    players: leaderboardFor(room),
+    current:
+      room.status === 'question' || room.status === 'reveal'
+        ? {
+            index: room.current,
+            question: toPublicQuestion(question),
+            deadline: room.deadline,
+            answered: Boolean(answer),
+            selectedAnswer: answer?.selectedAnswer ?? null,
+          }
+        : null,
+    // Lets a client that reconnects mid-reveal show the answer and results
+    reveal: room.status === 'reveal' ? revealFor(room) : null,
+    serverNow: new Date(),
+  };
+};
+
+const send = (client, event, data) => {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (room, event, data) => {
+  for (const client of room.clients) send(client, event, data);
+};
+
+const touch = (room) => {
+  room.updatedAt = Date.now();
+};
+
+export const getRoom = (code) => {
+  const room = rooms.get(String(code || '').toUpperCase());
+  if (!room) throw roomError(404, 'Room not found');
+  return room;
+};
+
+// questions are full question documents - answers never leave this module until reveal
+export const createRoom = ({ host, subject, difficulty, questions, questionLimitSec }) => {
+  const room = {
+    code: newCode(),
+    hostId: String(host._id),
+    subject,
+    difficulty,
+    questionLimitSec,
+    questions,
+    status: 'lobby',
+    players: new Map(),
+    answers: new Map(),
+    current: -1,
+    questionStartedAt: null,
+    deadline: null,
+    clients: new Set(),
+    timer: null,
+    updatedAt: Date.now(),
+  };
+  rooms.set(room.code, room);
+  joinRoom(room, host);
+  console.log(`🎮 Room ${room.code} opened by ${host.username}: ${subject} - ${difficulty}`);
+  return room;
+};
+
+export const joinRoom = (room, user) => {
+  const userId = String(user._id);
+  if (room.players.has(userId)) return room;
+
+  if (room.status !== 'lobby') throw roomError(409, 'This room has already started');
+  if (room.players.size >= MAX_PLAYERS) throw roomError(409, 'This room is full');
+
+  room.players.set(userId, {
+    userId,
+    username: user.username,
+    score: 0,
+    correct: 0,
+    answered: 0,
+    totalTimeMs: 0,
+  });
+  touch(room);
+  broadcast(room, 'players', { players: leaderboardFor(room) });
+  return room;
+};
+
+// Attach an SSE response to the room. The current state is sent straight away so
+// late or reconnecting clients catch up.
+export const subscribe = (room, userId, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const client = { userId: String(userId), res };
+  room.clients.add(client);
+  send(client, 'state', roomSnapshot(room, userId));
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    room.clients.delete(client);
+  });
+};
+
+const startQuestion = (room) => {
+  room.current += 1;
+  room.status = 'question';
+  room.answers = new Map();
+  room.questionStartedAt = new Date();
+  room.deadline = new Date(room.questionStartedAt.getTime() + room.questionLimitSec * 1000);
+  touch(room);
+
+  broadcast(room, 'question', {
+    index: room.current,
+    totalQuestions: room.questions.length,
+    question: toPublicQuestion(room.questions[room.current]),
+    deadline: room.deadline,
+    serverNow: new Date(),
+  });
+
+  clearTimeout(room.timer);
+  room.timer = setTimeout(() => revealQuestion(room), room.questionLimitSec * 1000);
+};
+
+const revealQuestion = (room) => {
+  if (room.status !== 'question') return;
+  clearTimeout(room.timer);
+
+  room.status = 'reveal';
+  touch(room);
+
+  broadcast(room, 'reveal', revealFor(room));
+
+  room.timer = setTimeout(
+    () => (room.current + 1 < room.questions.length ? startQuestion(room) : finishRoom(room)),
+    REVEAL_MS
+  );
+};
+
+const finishRoom = (room) => {
+  clearTimeout(room.timer);
+  room.status = 'finished';
+  touch(room);
+  broadcast(room, 'finished', { leaderboard: leaderboardFor(room) });
+  console.log(`🏁 Room ${room.code} finished`);
+
+  room.timer = setTimeout(() => closeRoom(room), FINISHED_TTL_MS);
+};
+
+const closeRoom = (room) => {
+  clearTimeout(room.timer);
+  for (const client of room.clients) client.res.end();
+  rooms.delete(room.code);
+};
+
+export const startRoom = (room, userId) => {
+  if (String(userId) !== room.hostId) throw roomError(403, 'Only the host can start the room');
+  if (room.status !== 'lobby') throw roomError(409, 'This room has already started');
+  startQuestion(room);
+  return room;
+};
+
+// Record one player's answer to the current question. The score is fixed when the
+// answer arrives; the result is only broadcast once the question is revealed.
+export const submitAnswer = (room, userId, questionIndex, selectedAnswer, now = new Date()) => {
+  const player = room.players.get(String(userId));
+  if (!player) throw roomError(403, 'You are not in this room');
+  if (room.status !== 'question' || questionIndex !== room.current) {
+    throw roomError(409, 'That question is no longer open');
+  }
+  if (room.answers.has(player.userId)) throw roomError(409, 'You have already answered this question');
+
+  const question = room.questions[room.current];
+  if (!isValidAnswerShape(question, selectedAnswer)) {
+    throw roomError(400, `selectedAnswer has the wrong shape for a ${question.type || 'single'} question`);
+  }
+  if (now > room.deadline) throw roomError(409, 'Time is up for this question');
+
+  const elapsedMs = now - room.questionStartedAt;
+  const isCorrect = gradeAnswer(question, selectedAnswer);
+  const points = pointsFor(isCorrect, elapsedMs, room.questionLimitSec * 1000);
+
+  room.answers.set(player.userId, { selectedAnswer, isCorrect, points, elapsedMs });
+  player.score += points;
+  player.correct += isCorrect ? 1 : 0;
+  player.answered += 1;
+  player.totalTimeMs += elapsedMs;
+  touch(room);
+
+  broadcast(room, 'answered', { index: room.current, count: room.answers.size, of: room.players.size });
+
+  // Nobody left to wait for
+  if (room.answers.size === room.players.size) revealQuestion(room);
+
+  return { index: room.current, elapsedMs };
+};
+
+// Drop rooms nobody has touched in a long time
+setInterval(() => {
+  const cutoff = Date.now() - IDLE_TTL_MS;
+  for (const room of rooms.values()) {
+    if (room.updatedAt < cutoff) closeRoom(room);
+  }
+}, 60 * 1000).unref();
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+
+// Seeded question sampling. A seed fully determines which questions are drawn
+// from a set, their order and (optionally) their option order, so sending the
+// same seed back recreates the same quiz.
+
+const SEED_PATTERN = /^[a-z0-9]{1,32}$/i;
+
+// How many fresh seeds to try when steering away from recently seen questions
+const SEED_CANDIDATES = 100;
+
+export const isValidSeed = (seed) => typeof seed === 'string' && SEED_PATTERN.test(seed);
+
+export const newSeed = () => crypto.randomBytes(4).toString('hex');
+
+// String -> 32-bit hash (FNV-1a)
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Deterministic PRNG (mulberry32) returning floats in [0, 1)
+export const createRng = (seed) => {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates: the first `count` items of the result are a uniform sample
+export const shuffle = (items, rng, count = items.length) => {
+  const result = [...items];
+  const n = Math.min(count, result.length);
+  for (let i = 0; i < n; i++) {
+    const j = i + Math.floor(rng() * (result.length - i));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result.slice(0, n);
+};
+
+// Pick `count` questions for a seed
+export const sampleQuestions = (questions, count, seed) =>
+  shuffle(questions, createRng(`${seed}:questions`), count);
+
+const countFresh = (questions, recent) => questions.filter((q) => !recent.has(String(q._id))).length;
+
+// Pick a seed (and its sample) that avoids recently seen questions as far as the
+// set allows. Only the seed is needed to rebuild the sample later.
+export const sampleAvoidingRecent = (questions, count, recentIds = []) => {
+  const recent = new Set(recentIds.map(String));
+  const target = Math.max(0, Math.min(count, questions.length) - countFresh(questions, recent));
+
+  let best = null;
+  for (let i = 0; i < SEED_CANDIDATES; i++) {
+    const seed = newSeed();
+    const sample = sampleQuestions(questions, count, seed);
+    const repeats = sample.filter((q) => recent.has(String(q._id))).length;
+    if (!best || repeats < best.repeats) best = { seed, sample, repeats };
+    if (repeats <= target) break;
+  }
+  return { seed: best.seed, questions: best.sample };
+};
+
+const SHUFFLABLE_TYPES = ['single', 'multiple'];
+
+// Display order of a question's options for a seed: order[displayed] = original
+// index. Null when the options keep their authored order (true/false, non-choice types).
+export const optionOrderFor = (question, seed) => {
+  if (!SHUFFLABLE_TYPES.includes(question.type || 'single')) return null;
+  const indexes = question.options.map((_, i) => i);
+  return shuffle(indexes, createRng(`${seed}:options:${question._id}`));
+};
+
+// The question as the learner sees it: options in display order, with the answer
+// indexes remapped to match. Grading and review work on this view unchanged.
+export const applyOptionOrder = (question, order) => {
+  if (!question || !order || order.length !== question.options?.length) return question;
+
+  const source = typeof question.toObject === 'function' ? question.toObject() : { ...question };
+  const displayed = (original) => order.indexOf(original);
+
+  return {
+    ...source,
+    options: order.map((original) => source.options[original]),
+    correctAnswer: source.correctAnswer === null || source.correctAnswer === undefined
+      ? source.correctAnswer
+      : displayed(source.correctAnswer),
+    correctAnswers: (source.correctAnswers || []).map(displayed).sort((a, b) => a - b),
+  };
+};
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import SavedQuiz from '../models/SavedQuiz.js';
+import Attempt from '../models/Attempt.js';
+import { normalizeTiming } from './timing.js';
+import { findQuestionsByIds, toAnswerSlot, labelFor } from './questionBank.js';
+
+// Saved quizzes freeze a list of questions (at the set versions they had when saved)
+// together with the settings every taker gets. They're shared by code; adding a due
+// date turns one into an assignment whose creator can follow who has completed it.
+
+export const MAX_SAVED_QUESTIONS = 50;
+export const MAX_ATTEMPTS_LIMIT = 20;
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const savedQuizError = (status, message) => Object.assign(new Error(message), { status });
+
+const newShareCode = async () => {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  } while (await SavedQuiz.exists({ code }));
+  return code;
+};
+
+// Check the settings sent with a new saved quiz; throws a 400 error
+const normalizeSettings = (body) => {
+  const title = typeof body.title === 'string' ? body.title.trim() : '';
+  if (!title) throw savedQuizError(400, 'title is required');
+  if (title.length > 100) throw savedQuizError(400, 'title can be at most 100 characters');
+  if (body.description && (typeof body.description !== 'string' || body.description.length > 500)) {
+    throw savedQuizError(400, 'description must be text of at most 500 characters');
+  }
+
+  let timing;
+  try {
+    timing = normalizeTiming(body.timing);
+  } catch (error) {
+    throw savedQuizError(400, error.message);
+  }
+
+  let maxAttempts = null;
+  if (body.maxAttempts !== undefined && body.maxAttempts !== null) {
+    maxAttempts = Number(body.maxAttempts);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT) {
+      throw savedQuizError(400, `maxAttempts must be a whole number from 1 to ${MAX_ATTEMPTS_LIMIT}`);
+    }
+  }
+
+  let dueAt = null;
+  if (body.dueAt) {
+    dueAt = new Date(body.dueAt);
+    if (Number.isNaN(dueAt.getTime())) throw savedQuizError(400, 'dueAt must be a date');
+    if (dueAt <= new Date()) throw savedQuizError(400, 'dueAt must be in the future');
+  }
+
+  return {
+    title,
+    description: body.description || '',
+    timing,
+    shuffleOptions: Boolean(body.shuffleOptions),
+    maxAttempts,
+    showAnswers: body.showAnswers !== false,
+    dueAt,
+  };
+};
+
+// Freeze body.questionIds (in that order) with the given settings
+export const createSavedQuiz = async (owner, body) => {
+  const settings = normalizeSettings(body);
+
+  const ids = Array.isArray(body.questionIds) ? [...new Set(body.questionIds.map(String))] : [];
+  if (ids.length === 0) throw savedQuizError(400, 'questionIds must list at least one question');
+  if (ids.length > MAX_SAVED_QUESTIONS) {
+    throw savedQuizError(400, `A saved quiz can have at most ${MAX_SAVED_QUESTIONS} questions`);
+  }
+
+  const sourced = await findQuestionsByIds(ids);
+  if (sourced.length !== ids.length) throw savedQuizError(400, 'Some of the questions no longer exist');
+  // Saving them again with other settings would get round a restricted quiz as well
+  await checkQuestionsUnrestricted(ids, owner);
+
+  const savedQuiz = await SavedQuiz.create({
+    ...settings,
+    ...labelFor(sourced),
+    code: await newShareCode(),
+    owner: owner._id,
+    questions: sourced.map(toAnswerSlot),
+  });
+
+  console.log(`🔗 Saved quiz ${savedQuiz.code} created by ${owner.username}: "${savedQuiz.title}" (${ids.length} questions)`);
+  return savedQuiz;
+};
+
+export const getSavedQuiz = async (code) => {
+  const savedQuiz = await SavedQuiz.findOne({ code: String(code || '').toUpperCase() }).populate('owner', 'username');
+  if (!savedQuiz) throw savedQuizError(404, 'Saved quiz not found');
+  return savedQuiz;
+};
+
+// Only the creator (or an admin) sees results and can delete a saved quiz
+export const canManage = (savedQuiz, user) =>
+  user.role === 'admin' || String(savedQuiz.owner?._id || savedQuiz.owner) === String(user._id);
+
+// Attempts the user has started on a saved quiz (abandoned ones count too)
+export const attemptsUsed = (savedQuiz, userId) => Attempt.countDocuments({ savedQuiz: savedQuiz._id, user: userId });
+
+// Throws a 403 error when the user has no attempts left. Otherwise returns the number the
+// new attempt is saved with (null when attempts are unlimited); its unique index stops two
+// simultaneous starts from both getting past the limit.
+export const checkAttemptsLeft = async (savedQuiz, userId) => {
+  if (savedQuiz.maxAttempts === null) return null;
+  const used = await attemptsUsed(savedQuiz, userId);
+  if (used >= savedQuiz.maxAttempts) {
+    throw savedQuizError(403, `You have used all ${savedQuiz.maxAttempts} attempt(s) at this quiz`);
+  }
+  return used + 1;
+};
+
+// Throws a 403 error when any of the questions is in a restricted saved quiz (hidden answers
+// or an attempt limit) the user has taken and doesn't manage. Starting those questions by
+// id would get round the quiz's settings.
+export const checkQuestionsUnrestricted = async (questionIds, user) => {
+  const taken = await Attempt.distinct('savedQuiz', { user: user._id, savedQuiz: { $ne: null } });
+  if (taken.length === 0 || questionIds.length === 0) return;
+
+  const restricted = await SavedQuiz.find({
+    _id: { $in: taken },
+    'questions.questionId': { $in: questionIds },
+    $or: [{ showAnswers: false }, { maxAttempts: { $ne: null } }],
+  });
+  const blocking = restricted.find((savedQuiz) => !canManage(savedQuiz, user));
+  if (blocking) {
+    throw savedQuizError(403, `Some of these questions are part of "${blocking.title}" - take them from its code instead`);
+  }
+};
+
+// Public description of a saved quiz (no questions)
+export const toSavedQuizSummary = (savedQuiz) => ({
+  code: savedQuiz.code,
+  title: savedQuiz.title,
+  description: savedQuiz.description,
+  owner: savedQuiz.owner?.username ?? null,
+  subject: savedQuiz.subject,
+  difficulty: savedQuiz.difficulty,
+  questionCount: savedQuiz.questions.length,
+  timing: savedQuiz.timing,
+  shuffleOptions: savedQuiz.shuffleOptions,
+  maxAttempts: savedQuiz.maxAttempts,
+  showAnswers: savedQuiz.showAnswers,
+  dueAt: savedQuiz.dueAt,
+  createdAt: savedQuiz.createdAt,
+});
+
+// One row per learner who completed the quiz: attempts, best and latest score, and
+// whether their first completion came after the due date
+export const savedQuizResults = async (savedQuiz) => {
+  const attempts = await Attempt.find(
+    { savedQuiz: savedQuiz._id, status: 'completed' },
+    { user: 1, score: 1, totalQuestions: 1, completedAt: 1, durationMs: 1 }
+  )
+    .sort({ completedAt: 1 })
+    .populate('user', 'username');
+
+  const rows = new Map();
+  for (const attempt of attempts) {
+    const key = String(attempt.user?._id || attempt.user);
+    const row = rows.get(key) || {
+      userId: key,
+      username: attempt.user?.username ?? 'deleted user',
+      attempts: 0,
+      bestScore: 0,
+      totalQuestions: attempt.totalQuestions,
+      firstCompletedAt: attempt.completedAt,
+      late: Boolean(savedQuiz.dueAt) && attempt.completedAt > savedQuiz.dueAt,
+    };
+    row.attempts += 1;
+    row.bestScore = Math.max(row.bestScore, attempt.score);
+    row.lastScore = attempt.score;
+    row.lastCompletedAt = attempt.completedAt;
+    row.lastDurationMs = attempt.durationMs;
+    rows.set(key, row);
+  }
+
+  return [...rows.values()].sort((a, b) => a.username.localeCompare(b.username));
+};
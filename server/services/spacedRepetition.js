@@ -0,0 +1,103 @@
+import ReviewSchedule from '../models/ReviewSchedule.js';
+import { findQuestionsByIds } from './questionBank.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+// SM-2 quality for a graded answer: correct answers count as "correct after
+// some hesitation" (4), wrong answers and timeouts as "incorrect" (1)
+const qualityFor = (isCorrect) => (isCorrect ? 4 : 1);
+
+// Next SM-2 state after one review. A lapse is due again immediately so it
+// shows up in the next review session.
+export const nextSchedule = (state, isCorrect, now = new Date()) => {
+  const quality = qualityFor(isCorrect);
+  const easeFactor = Math.max(
+    MIN_EASE,
+    state.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  if (!isCorrect) {
+    return {
+      easeFactor,
+      repetitions: 0,
+      intervalDays: 0,
+      lapses: state.lapses + 1,
+      dueAt: now,
+      lastReviewedAt: now,
+    };
+  }
+
+  const repetitions = state.repetitions + 1;
+  const intervalDays =
+    repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(state.intervalDays * easeFactor);
+
+  return {
+    easeFactor,
+    repetitions,
+    intervalDays,
+    lapses: state.lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS),
+    lastReviewedAt: now,
+  };
+};
+
+// Update a user's schedule after a graded answer. Questions enter the schedule
+// the first time they're missed; correct answers only advance existing entries.
+export const recordReview = async (userId, slot, isCorrect, now = new Date()) => {
+  const schedule = await ReviewSchedule.findOne({ user: userId, questionId: slot.questionId });
+
+  if (!schedule) {
+    if (isCorrect) return null;
+    return ReviewSchedule.create({
+      user: userId,
+      quiz: slot.quiz,
+      questionId: slot.questionId,
+      subject: slot.subject,
+      difficulty: slot.difficulty,
+      ...nextSchedule({ easeFactor: 2.5, repetitions: 0, intervalDays: 0, lapses: 0 }, false, now),
+    });
+  }
+
+  // Reviews older than the latest one recorded (offline attempts synced late) would rewind the schedule
+  if (schedule.lastReviewedAt && now < schedule.lastReviewedAt) return null;
+
+  schedule.set(nextSchedule(schedule, isCorrect, now));
+  return schedule.save();
+};
+
+// Schedule entry source for an answer; older attempts only stored the set on the attempt
+const reviewSlot = (attempt, answer) => ({
+  questionId: answer.questionId,
+  quiz: answer.quiz || attempt.quiz,
+  subject: answer.subject || attempt.subject,
+  difficulty: answer.difficulty || attempt.difficulty,
+});
+
+// recordReview for an answer given in an attempt. Attempts that keep their answers hidden
+// (saved quizzes with showAnswers: false) leave the schedule alone: a review session would
+// serve those questions with their answers and explanations.
+export const recordAttemptReview = async (attempt, answer, isCorrect, now = new Date()) => {
+  if (attempt.showAnswers === false) return null;
+  return recordReview(attempt.user, reviewSlot(attempt, answer), isCorrect, now);
+};
+
+export const countDue = (userId, now = new Date()) =>
+  ReviewSchedule.countDocuments({ user: userId, dueAt: { $lte: now } });
+
+// Sourced questions due for review, most overdue first. Entries whose question
+// has since been deleted are dropped from the schedule.
+export const getDueQuestions = async (userId, limit, now = new Date()) => {
+  const due = await ReviewSchedule.find({ user: userId, dueAt: { $lte: now } })
+    .sort({ dueAt: 1 })
+    .limit(limit);
+
+  const sourced = await findQuestionsByIds(due.map((d) => d.questionId));
+  const found = new Set(sourced.map((s) => String(s.question._id)));
+  const orphaned = due.filter((d) => !found.has(String(d.questionId))).map((d) => d._id);
+  if (orphaned.length > 0) {
+    await ReviewSchedule.deleteMany({ _id: { $in: orphaned } });
+  }
+
+  return sourced;
+};
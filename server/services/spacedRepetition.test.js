@@ -0,0 +1,41 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ReviewSchedule from '../models/ReviewSchedule.js';
+import { recordAttemptReview } from './spacedRepetition.js';
+
+const attemptWith = (settings) => ({
+  user: new mongoose.Types.ObjectId(),
+  quiz: new mongoose.Types.ObjectId(),
+  subject: 'JavaScript',
+  difficulty: 'easy',
+  ...settings,
+});
+
+const answer = { questionId: new mongoose.Types.ObjectId() };
+
+afterEach(() => mock.restoreAll());
+
+test('a missed question in a normal attempt enters the review schedule', async () => {
+  mock.method(ReviewSchedule, 'findOne', async () => null);
+  const create = mock.method(ReviewSchedule, 'create', async (entry) => entry);
+  const attempt = attemptWith({});
+
+  await recordAttemptReview(attempt, answer, false);
+
+  assert.equal(create.mock.callCount(), 1);
+  const [entry] = create.mock.calls[0].arguments;
+  assert.equal(entry.user, attempt.user);
+  assert.equal(entry.questionId, answer.questionId);
+  assert.equal(entry.subject, 'JavaScript');
+});
+
+test('answers in a saved quiz that hides its answers leave the schedule alone', async () => {
+  const findOne = mock.method(ReviewSchedule, 'findOne', async () => null);
+  const create = mock.method(ReviewSchedule, 'create', async (entry) => entry);
+
+  assert.equal(await recordAttemptReview(attemptWith({ showAnswers: false }), answer, false), null);
+
+  assert.equal(findOne.mock.callCount(), 0);
+  assert.equal(create.mock.callCount(), 0);
+});
@@ -0,0 +1,77 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Subject from '../models/Subject.js';
+import Quiz from '../models/Quiz.js';
+import QuizRevision from '../models/QuizRevision.js';
+import Attempt from '../models/Attempt.js';
+import ReviewSchedule from '../models/ReviewSchedule.js';
+import SavedQuiz from '../models/SavedQuiz.js';
+import XpEvent from '../models/XpEvent.js';
+import { renameSubjectBadges } from './gamification.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Insert the subjects from subjects.json that aren't in the collection yet
+export const seedSubjects = async () => {
+  const subjectsFile = path.join(__dirname, '..', 'subjects.json');
+  const subjects = JSON.parse(await fs.readFile(subjectsFile, 'utf-8'));
+
+  let inserted = 0;
+  for (const subject of subjects) {
+    const exists = await Subject.exists({ name: subject.name });
+    if (!exists) {
+      await Subject.create(subject);
+      inserted += 1;
+    }
+  }
+
+  return inserted;
+};
+
+// Create bare Subject documents for any of the given names that are missing
+// (used by imports so a new topic in questions.json shows up in the UI)
+export const ensureSubjects = async (names) => {
+  const existing = new Set(await Subject.distinct('name'));
+  const missing = [...new Set(names)].filter((name) => !existing.has(name));
+  if (missing.length === 0) return 0;
+
+  const last = await Subject.findOne().sort({ order: -1 });
+  let order = last ? last.order : 0;
+  for (const name of missing) {
+    order += 1;
+    await Subject.create({ name, order });
+  }
+
+  return missing.length;
+};
+
+// Sets the name of one array entry's subject field wherever it still has the old name
+const renameInArray = (path, previousName, name) => [
+  { [`${path}.subject`]: previousName },
+  { $set: { [`${path}.$[entry].subject`]: name } },
+  { arrayFilters: [{ 'entry.subject': previousName }] },
+];
+
+// Carry a subject's new name into every record that stores it, so stats, review queues,
+// leaderboards and badges don't split between the old and new names
+export const renameSubject = async (previousName, name) => {
+  const rename = [{ subject: previousName }, { $set: { subject: name } }];
+  await Promise.all([
+    Quiz.updateMany(...rename),
+    QuizRevision.updateMany(...rename),
+    Attempt.updateMany(...rename),
+    Attempt.updateMany(...renameInArray('answers', previousName, name)),
+    Attempt.updateMany(
+      { 'blueprint.subjects.name': previousName },
+      { $set: { 'blueprint.subjects.$[entry].name': name } },
+      { arrayFilters: [{ 'entry.name': previousName }] }
+    ),
+    ReviewSchedule.updateMany(...rename),
+    XpEvent.updateMany(...rename),
+    SavedQuiz.updateMany(...rename),
+    SavedQuiz.updateMany(...renameInArray('questions', previousName, name)),
+    renameSubjectBadges(previousName, name),
+  ]);
+};
@@ -0,0 +1,65 @@
+// Tags and learning objectives - finer structure inside a subject. Tags are short topic
+// labels ("trees", "heaps") used to narrow quizzes and searches; objectives are free-text
+// statements of what a question checks ("Trace an insertion into a binary heap").
+//
+// Tags are stored normalized: lowercase words joined by dashes ("Binary Trees" -> "binary-trees").
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 40;
+export const MAX_OBJECTIVES = 5;
+export const MAX_OBJECTIVE_LENGTH = 200;
+
+export const normalizeTag = (tag) =>
+  String(tag ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}+#.]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+// A list of tags, or one comma-separated string, as unique normalized tags
+export const normalizeTags = (value) => {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+export const normalizeObjectives = (value) => {
+  const list = Array.isArray(value) ? value : [];
+  return [...new Set(list.map((o) => String(o ?? '').trim().replace(/\s+/g, ' ')).filter(Boolean))];
+};
+
+// ?tags=trees,heaps (or ?tags=trees&tags=heaps) -> ['trees', 'heaps']
+export const parseTagsQuery = (value) => normalizeTags(Array.isArray(value) ? value.join(',') : value);
+
+// Whether a question carries any of the tags; an empty list matches everything
+export const hasAnyTag = (question, tags) => tags.length === 0 || (question.tags || []).some((tag) => tags.includes(tag));
+
+// Check a question's tags and objectives; returns an error message or null
+export const validateTags = (q) => {
+  if (q.tags !== undefined && q.tags !== null && !Array.isArray(q.tags) && typeof q.tags !== 'string') {
+    return 'tags must be a list of strings';
+  }
+  const tags = normalizeTags(q.tags);
+  if (tags.length > MAX_TAGS) return `can have at most ${MAX_TAGS} tags`;
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) return `tags must be at most ${MAX_TAG_LENGTH} characters`;
+
+  if (q.objectives !== undefined && q.objectives !== null && !Array.isArray(q.objectives)) {
+    return 'objectives must be a list of strings';
+  }
+  const objectives = normalizeObjectives(q.objectives);
+  if (objectives.length > MAX_OBJECTIVES) return `can have at most ${MAX_OBJECTIVES} learning objectives`;
+  if (objectives.some((o) => o.length > MAX_OBJECTIVE_LENGTH)) {
+    return `learning objectives must be at most ${MAX_OBJECTIVE_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Tags used in a list of questions with how many questions carry each, most used first
+export const countTags = (questions) => {
+  const counts = new Map();
+  for (const question of questions) {
+    for (const tag of question.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
@@ -0,0 +1,53 @@
+// Timed-quiz rules - deadlines are always computed from server timestamps
+
+// Allowance for network latency between the countdown hitting zero and the request landing
+export const GRACE_MS = 2000;
+
+const QUESTION_LIMIT_RANGE = [5, 600];
+const TOTAL_LIMIT_RANGE = [30, 7200];
+
+const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+
+// Validate the timing options sent when starting an attempt
+export const normalizeTiming = (timing = {}) => {
+  const mode = timing?.mode;
+
+  if (mode === 'question') {
+    const limit = Number(timing.questionLimitSec);
+    if (!Number.isFinite(limit)) throw new Error('questionLimitSec is required for per-question timing');
+    return { mode, questionLimitSec: clamp(Math.round(limit), QUESTION_LIMIT_RANGE), totalLimitSec: null };
+  }
+
+  if (mode === 'quiz') {
+    const limit = Number(timing.totalLimitSec);
+    if (!Number.isFinite(limit)) throw new Error('totalLimitSec is required for whole-quiz timing');
+    return { mode, questionLimitSec: null, totalLimitSec: clamp(Math.round(limit), TOTAL_LIMIT_RANGE) };
+  }
+
+  return { mode: 'none', questionLimitSec: null, totalLimitSec: null };
+};
+
+// When the given answer slot stops accepting answers, or null if untimed
+export const answerDeadline = (attempt, answer) => {
+  const { mode, questionLimitSec, totalLimitSec } = attempt.timing || {};
+
+  if (mode === 'quiz') {
+    return new Date(attempt.createdAt.getTime() + totalLimitSec * 1000);
+  }
+  if (mode === 'question' && answer?.presentedAt) {
+    return new Date(answer.presentedAt.getTime() + questionLimitSec * 1000);
+  }
+  return null;
+};
+
+export const isPastDeadline = (deadline, now = new Date()) =>
+  Boolean(deadline) && now.getTime() > deadline.getTime() + GRACE_MS;
+
+// Mark an answer slot as timed out (counts as wrong)
+export const recordTimeout = (answer, now = new Date()) => {
+  answer.selectedAnswer = null;
+  answer.isCorrect = false;
+  answer.timedOut = true;
+  answer.answeredAt = now;
+  answer.timeTakenMs = answer.presentedAt ? now - answer.presentedAt : null;
+};
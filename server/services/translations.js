@@ -0,0 +1,80 @@
+// Question translations. A question's own text, options and explanation are English (the
+// default locale); `translations` adds other languages as [{ locale, question, options,
+// explanation }]. Answer keys are shared: options are translated in place, index for index.
+//
+// Serving a question in a locale uses the exact translation (es-MX), else one for the same
+// language (es), else English. Options or an explanation a translation leaves out stay English.
+
+export const DEFAULT_LOCALE = 'en';
+export const MAX_TRANSLATIONS = 20;
+
+const LOCALE_CODE = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+// "es", "pt_br" or "PT-BR" -> "es", "pt-BR", "pt-BR"; null when it isn't a locale code
+export const normalizeLocale = (value) => {
+  const [language = '', region, ...rest] = String(value ?? '').trim().split(/[-_]/);
+  if (rest.length > 0) return null;
+  const code = region === undefined ? language.toLowerCase() : `${language.toLowerCase()}-${region.toUpperCase()}`;
+  return LOCALE_CODE.test(code) ? code : null;
+};
+
+// The translation a locale is served from, or null for English
+export const findTranslation = (question, locale) => {
+  const code = normalizeLocale(locale);
+  if (!code || code === DEFAULT_LOCALE || !question?.translations?.length) return null;
+  const language = code.split('-')[0];
+  return (
+    question.translations.find((t) => t.locale === code) ||
+    question.translations.find((t) => t.locale === language) ||
+    null
+  );
+};
+
+// The question with its text, options and explanation in the given locale where translated.
+// Everything else (answer keys, tags, _id) is untouched, so grading works on either version.
+export const localizeQuestion = (question, locale) => {
+  const translation = findTranslation(question, locale);
+  if (!translation) return question;
+
+  const source = typeof question.toObject === 'function' ? question.toObject() : { ...question };
+  return {
+    ...source,
+    question: translation.question || source.question,
+    options: (source.options || []).map((option, index) => translation.options?.[index] || option),
+    explanation: translation.explanation || source.explanation,
+  };
+};
+
+const isBlank = (value) => value === undefined || value === null;
+
+// Check a question's translations; returns an error message or null
+export const validateTranslations = (q) => {
+  if (isBlank(q.translations)) return null;
+  if (!Array.isArray(q.translations)) return 'translations must be a list of { locale, question, options, explanation }';
+  if (q.translations.length > MAX_TRANSLATIONS) return `can have at most ${MAX_TRANSLATIONS} translations`;
+
+  const optionCount = Array.isArray(q.options) ? q.options.length : 0;
+  const seen = new Set();
+  for (const translation of q.translations) {
+    if (!translation || typeof translation !== 'object') return 'has an invalid translation';
+    const locale = normalizeLocale(translation.locale);
+    if (!locale) return `has a translation with an invalid locale "${translation.locale ?? ''}"`;
+    if (locale === DEFAULT_LOCALE) return `can't have an "${locale}" translation - its own text is English`;
+    if (seen.has(locale)) return `has more than one "${locale}" translation`;
+    seen.add(locale);
+
+    if (typeof translation.question !== 'string' || !translation.question.trim()) {
+      return `"${locale}" translation is missing the question text`;
+    }
+    const { options, explanation } = translation;
+    if (!isBlank(options) && !Array.isArray(options)) return `"${locale}" translation options must be a list`;
+    if (options?.length > 0) {
+      if (options.length !== optionCount) {
+        return `"${locale}" translation has ${options.length} option(s); the question has ${optionCount}`;
+      }
+      if (options.some((option) => typeof option !== 'string')) return `"${locale}" translation options must be text`;
+    }
+    if (!isBlank(explanation) && typeof explanation !== 'string') return `"${locale}" translation explanation must be text`;
+  }
+  return null;
+};
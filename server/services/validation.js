@@ -0,0 +1,32 @@
+import { validateQuestion } from './questionTypes.js';
+import { validateTags } from './tags.js';
+import { validateAssets } from './assets.js';
+import { validateTranslations } from './translations.js';
+
+// Validate one { subject, difficulty, questions } set; returns an error message or null.
+// Used by seedData.js; bank imports check question by question.
+export const validateQuizSet = (quizSet) => {
+  if (!quizSet || typeof quizSet !== 'object') return 'Invalid quiz set (not an object)';
+  const { subject, difficulty, questions } = quizSet;
+  if (!subject || typeof subject !== 'string') return 'Missing/invalid subject';
+  if (!difficulty || typeof difficulty !== 'string') return 'Missing/invalid difficulty';
+  if (!Array.isArray(questions) || questions.length === 0) return 'Missing/invalid questions array';
+
+  for (const [index, q] of questions.entries()) {
+    const error = validateQuizQuestion(q);
+    if (error) return `Question ${index} ${error}`;
+  }
+
+  return null;
+};
+
+// Validate one question for a bank file; returns an error message or null.
+// Images it refers to (asset:<name>) have to exist in the asset directory already.
+export const validateQuizQuestion = (q) => {
+  if (!q || typeof q !== 'object') return 'is invalid';
+  if (typeof q.question !== 'string' || !q.question.trim()) return 'missing question text';
+  const typeError = validateQuestion(q);
+  if (typeError) return typeError;
+  if (typeof q.explanation !== 'string' || !q.explanation.trim()) return 'missing explanation';
+  return validateTags(q) || validateTranslations(q) || validateAssets(q);
+};
@@ -4,6 +4,9 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import Quiz from './models/Quiz.js';
+import { seedSubjects } from './services/subjects.js';
+import { importBank } from './services/bankTransfer.js';
+import { authorOf } from './services/revisions.js';
 
 dotenv.config();
 
@@ -12,24 +15,44 @@ const __dirname = path.dirname(__filename);
 
 const MONGODB_URI = process.env.MONGODB_URI;
 
-const validateQuizSet = (quizSet) => {
-  if (!quizSet || typeof quizSet !== 'object') return 'Invalid quiz set (not an object)';
-  const { subject, difficulty, questions } = quizSet;
-  if (!subject || typeof subject !== 'string') return 'Missing/invalid subject';
-  if (!difficulty || typeof difficulty !== 'string') return 'Missing/invalid difficulty';
-  if (!Array.isArray(questions) || questions.length === 0) return 'Missing/invalid questions array';
+const questionKey = (subject, difficulty, text) => [subject, difficulty, String(text ?? '').trim()].join('\u0000');
 
-  for (const [index, q] of questions.entries()) {
-    if (!q || typeof q !== 'object') return `Question ${index} is invalid`;
-    if (typeof q.question !== 'string' || !q.question.trim()) return `Question ${index} missing question text`;
-    if (!Array.isArray(q.options) || q.options.length !== 4) return `Question ${index} must have exactly 4 options`;
-    if (typeof q.correctAnswer !== 'number' || q.correctAnswer < 0 || q.correctAnswer > 3) {
-      return `Question ${index} correctAnswer must be 0..3`;
-    }
-    if (typeof q.explanation !== 'string' || !q.explanation.trim()) return `Question ${index} missing explanation`;
+// questions.json has no question ids, so each question takes the id of the question with
+// the same text in its set. Upserting then updates questions in place instead of creating
+// new ids on every upload, which would orphan the attempts, reviews and saved quizzes
+// that point at them. A question whose text changed is added as a new one.
+const withBankIds = async (content) => {
+  let sets;
+  try {
+    sets = JSON.parse(content);
+  } catch {
+    return content; // importBank reports the syntax error
   }
-
-  return null;
+  if (!Array.isArray(sets)) return content;
+
+  const quizzes = await Quiz.find({}, { subject: 1, difficulty: 1, 'questions._id': 1, 'questions.question': 1 });
+  const ids = new Map(
+    quizzes.flatMap((quiz) =>
+      quiz.questions.map((q) => [questionKey(quiz.subject, quiz.difficulty, q.question), String(q._id)])
+    )
+  );
+
+  const withIds = sets.map((set) =>
+    set && Array.isArray(set.questions)
+      ? {
+          ...set,
+          questions: set.questions.map((q) => {
+            if (!q || typeof q !== 'object' || q._id) return q;
+            const key = questionKey(typeof set.subject === 'string' ? set.subject.trim() : set.subject, set.difficulty, q.question);
+            const _id = ids.get(key);
+            // Each bank question is claimed once, so repeated text in the file stays separate
+            ids.delete(key);
+            return _id ? { _id, ...q } : q;
+          }),
+        }
+      : set
+  );
+  return JSON.stringify(withIds);
 };
 
 const run = async () => {
@@ -41,56 +64,43 @@ const run = async () => {
 
   const questionsFile = path.join(__dirname, 'questions.json');
 
-  let quizSets;
+  let content;
   try {
-    const raw = await fs.readFile(questionsFile, 'utf-8');
-    quizSets = JSON.parse(raw);
+    content = await fs.readFile(questionsFile, 'utf-8');
   } catch (e) {
-    console.error(`❌ Failed to read/parse questions.json at ${questionsFile}`);
+    console.error(`❌ Failed to read questions.json at ${questionsFile}`);
     console.error(e?.message || e);
     process.exitCode = 1;
     return;
   }
 
-  if (!Array.isArray(quizSets) || quizSets.length === 0) {
-    console.error('❌ questions.json must be a non-empty JSON array');
-    process.exitCode = 1;
-    return;
-  }
-
-  for (const [i, quizSet] of quizSets.entries()) {
-    const err = validateQuizSet(quizSet);
-    if (err) {
-      console.error(`❌ Validation failed for quizSet[${i}]: ${err}`);
-      process.exitCode = 1;
-      return;
-    }
-  }
-
   try {
     await mongoose.connect(MONGODB_URI);
     console.log('✅ MongoDB connected');
 
-    let upserted = 0;
-    for (const quizSet of quizSets) {
-      const { subject, difficulty, questions } = quizSet;
-
-      await Quiz.findOneAndUpdate(
-        { subject, difficulty },
-        {
-          $set: {
-            subject,
-            difficulty,
-            questions,
-            numberOfQuestions: questions.length,
-          },
-        },
-        { upsert: true, new: true, setDefaultsOnInsert: true }
-      );
-      upserted += 1;
+    await seedSubjects();
+
+    const report = await importBank(await withBankIds(content), {
+      format: 'json',
+      mode: 'upsert',
+      author: authorOf(null, 'upload.js'),
+    });
+    if (report.errors.length > 0) {
+      for (const error of report.errors) {
+        console.error(`❌ ${error.location || `line ${error.line}`}: ${error.message}`);
+      }
+      console.error(`❌ ${report.errors.length} problem(s) in questions.json - nothing was uploaded`);
+      process.exitCode = 1;
+      return;
     }
 
-    console.log(`✅ Uploaded ${upserted} quiz sets from questions.json`);
+    if (report.duplicates.length > 0) {
+      console.warn(`⚠️  ${report.duplicates.length} group(s) of duplicate questions in questions.json - run 'npm run duplicates' for the full report`);
+    }
+    if (report.subjectsCreated > 0) {
+      console.log(`📚 Created ${report.subjectsCreated} new subject(s) - set their icon and description in the admin API`);
+    }
+    console.log(`✅ Uploaded ${report.sets.length} quiz sets from questions.json`);
   } catch (e) {
     console.error('❌ Upload failed');
     console.error(e?.message || e);
@@ -1,72 +1,425 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useEffectEvent } from 'react'
+import Auth from './Components/Auth/Auth'
 import SubjectSelection from './Components/SubjectSelection/SubjectSelection'
 import QuizDisplay from './Components/QuizDisplay/QuizDisplay'
 import Results from './Components/Results/Results'
-import { fetchQuizQuestions } from './services/quizService'
+import Dashboard from './Components/Dashboard/Dashboard'
+import AdminEditor from './Components/AdminEditor/AdminEditor'
+import Room from './Components/Room/Room'
+import SavedQuizzes from './Components/SavedQuizzes/SavedQuizzes'
+import SyncStatus from './Components/OfflinePacks/SyncStatus'
+import Profile from './Components/Profile/Profile'
+import Leaderboards from './Components/Profile/Leaderboards'
+import LanguageSwitcher from './Components/I18n/LanguageSwitcher'
+import { useI18n } from './Components/I18n/i18nContext'
+import { startQuizAttempt, getActiveAttempt, abandonAttempt, clearQuizProgress } from './services/quizService'
+import { getCurrentUser, logout } from './services/authService'
+import { createRoom, joinRoom } from './services/roomService'
+import { createSavedQuiz, sharedQuizCodeFromUrl, clearSharedQuizFromUrl } from './services/savedQuizService'
+import { startOfflineAttempt, syncPendingAttempts } from './services/offlineService'
 import './App.css'
 
+// Name shown for an attempt (t from useI18n); review and retry attempts can mix sets, so use what the server labelled them
+const attemptLabel = (t, attempt) =>
+  attempt.savedQuiz ? attempt.savedQuiz.title : attempt.mode === 'review' ? t('app.dueForReview') : attempt.subject
+
+// Results of a just-finished offline quiz once the sync report has graded it
+const withSyncedResults = (results, report) => {
+  const synced = results?.pendingSync && report.synced.find((r) => r.clientId === results.clientId)
+  if (!synced) return results
+  return { ...results, pendingSync: false, score: synced.score, totalQuestions: synced.totalQuestions, answers: synced.answers }
+}
+
 const App = () => {
+  const { t } = useI18n()
+  const [user, setUser] = useState(null)
+  const [authChecked, setAuthChecked] = useState(false)
   const [appState, setAppState] = useState('selection')
   const [selectedSubject, setSelectedSubject] = useState(null)
   const [selectedDifficulty, setSelectedDifficulty] = useState(null)
   const [selectedNumberOfQuestions, setSelectedNumberOfQuestions] = useState(5)
   const [questions, setQuestions] = useState([])
+  const [attemptTotal, setAttemptTotal] = useState(null)
+  const [attemptId, setAttemptId] = useState(null)
+  const [selectedTiming, setSelectedTiming] = useState({ mode: 'none' })
+  const [selectedMode, setSelectedMode] = useState('standard')
+  const [selectedShuffle, setSelectedShuffle] = useState(false)
+  const [selectedQuestionIds, setSelectedQuestionIds] = useState(null)
+  const [selectedBlueprint, setSelectedBlueprint] = useState(null)
+  const [selectedTags, setSelectedTags] = useState([])
+  const [selectedSavedQuiz, setSelectedSavedQuiz] = useState(null)
+  const [attemptSavedQuiz, setAttemptSavedQuiz] = useState(null)
+  const [attemptSeed, setAttemptSeed] = useState(null)
+  const [roomCode, setRoomCode] = useState(null)
+  const [attemptTiming, setAttemptTiming] = useState(null)
+  const [attemptResume, setAttemptResume] = useState(null)
+  const [resumable, setResumable] = useState(null)
+  const [offlineClient, setOfflineClient] = useState(null)
+  const [syncReport, setSyncReport] = useState(null)
   const [quizResults, setQuizResults] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
+  // Restore the session from a stored token on first load
+  useEffect(() => {
+    let cancelled = false
+    getCurrentUser().then((currentUser) => {
+      if (cancelled) return
+      setUser(currentUser)
+      setAuthChecked(true)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Offer to pick up a quiz left in progress (reload, closed tab, lost connection)
+  useEffect(() => {
+    if (!user) return undefined
+    let cancelled = false
+    getActiveAttempt()
+      .then((attempt) => {
+        if (!cancelled) setResumable(attempt)
+      })
+      .catch(() => {
+        // Nothing to offer if the check fails; starting a new quiz still works
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [user])
+
+  // Send quizzes taken offline to the server now, and again whenever the connection comes back
+  useEffect(() => {
+    if (!user) return undefined
+    let cancelled = false
+    const sync = () => {
+      syncPendingAttempts()
+        .then((report) => {
+          if (cancelled) return
+          setSyncReport(report)
+          setQuizResults((current) => withSyncedResults(current, report))
+        })
+        .catch(() => {
+          // Offline storage unavailable; there's nothing queued to sync
+        })
+    }
+    sync()
+    window.addEventListener('online', sync)
+    return () => {
+      cancelled = true
+      window.removeEventListener('online', sync)
+    }
+  }, [user])
+
   const handleSelectSubject = async (selectionData) => {
     setSelectedSubject(selectionData.subject.name)
     setSelectedDifficulty(selectionData.difficulty)
     setSelectedNumberOfQuestions(selectionData.numberOfQuestions || 5)
+    setSelectedTiming(selectionData.timing || { mode: 'none' })
+    setSelectedMode(selectionData.mode || 'standard')
+    setSelectedShuffle(Boolean(selectionData.shuffleOptions))
+    setSelectedQuestionIds(selectionData.questionIds || null)
+    setSelectedBlueprint(selectionData.blueprint || null)
+    setSelectedTags(selectionData.tags || [])
+    setSelectedSavedQuiz(selectionData.savedQuiz || null)
+    setOfflineClient(null)
+    // Starting a new attempt gives up on any other one still in progress
+    setResumable(null)
+    setAttemptResume(null)
     setAppState('loading')
     setError(null)
 
     try {
       setLoading(true)
-      const generatedQuestions = await fetchQuizQuestions(
+      const attempt = await startQuizAttempt(
         selectionData.subject.name,
         selectionData.difficulty,
-        selectionData.numberOfQuestions || 5
+        selectionData.numberOfQuestions || 5,
+        {
+          timing: selectionData.timing,
+          questionIds: selectionData.questionIds,
+          mode: selectionData.mode,
+          seed: selectionData.seed,
+          shuffleOptions: selectionData.shuffleOptions,
+          blueprint: selectionData.blueprint,
+          savedQuiz: selectionData.savedQuiz,
+          tags: selectionData.tags,
+        }
       )
 
-      setQuestions(generatedQuestions)
+      setSelectedSubject(attemptLabel(t, attempt))
+      setSelectedDifficulty(attempt.difficulty)
+      setAttemptSavedQuiz(attempt.savedQuiz)
+
+      setAttemptId(attempt.attemptId)
+      setAttemptSeed(attempt.seed)
+      setAttemptTiming({ timing: attempt.timing, deadline: attempt.deadline, serverNow: attempt.serverNow })
+      setQuestions(attempt.questions)
+      setAttemptTotal(attempt.total)
       setAppState('quiz')
     } catch (err) {
-      setError(err.message || 'Failed to fetch quiz questions')
+      if (err.status === 401) {
+        handleLogout()
+        return
+      }
+      setError(err.message || t('app.startFailed'))
       setAppState('selection')
     } finally {
       setLoading(false)
     }
   }
 
+  // Restore an in-progress attempt exactly where it was: same questions, answers and deadlines
+  const handleResume = () => {
+    const attempt = resumable
+    setResumable(null)
+    setSelectedSubject(attemptLabel(t, attempt))
+    setSelectedDifficulty(attempt.difficulty)
+    setSelectedNumberOfQuestions(attempt.total)
+    setSelectedTiming(attempt.timing || { mode: 'none' })
+    setSelectedMode(attempt.mode)
+    setSelectedShuffle(attempt.shuffleOptions)
+    setSelectedQuestionIds(null)
+    setSelectedBlueprint(attempt.blueprint)
+    setSelectedTags(attempt.tags || [])
+    setSelectedSavedQuiz(attempt.savedQuiz?.code || null)
+    setAttemptSavedQuiz(attempt.savedQuiz)
+    setAttemptId(attempt.attemptId)
+    setAttemptSeed(attempt.seed)
+    setAttemptTiming({ timing: attempt.timing, deadline: attempt.deadline, serverNow: attempt.serverNow })
+    setQuestions(attempt.questions)
+    setAttemptTotal(attempt.total)
+    setAttemptResume({ answers: attempt.answers, score: attempt.score })
+    setOfflineClient(null)
+    setError(null)
+    setAppState('quiz')
+  }
+
+  // Offline attempts run entirely in the browser from a downloaded pack and are synced afterwards.
+  // questionIds pins the exact questions (retries); otherwise a random sample of the pack.
+  const handleStartOffline = async ({ subject, difficulty, numberOfQuestions, timing, questionIds }) => {
+    setError(null)
+    try {
+      const attempt = await startOfflineAttempt(subject, difficulty, numberOfQuestions, { timing, questionIds })
+      setSelectedSubject(attempt.subject)
+      setSelectedDifficulty(attempt.difficulty)
+      setSelectedNumberOfQuestions(numberOfQuestions)
+      setSelectedTiming(attempt.timing)
+      setSelectedMode('standard')
+      setSelectedShuffle(false)
+      setSelectedQuestionIds(null)
+      setSelectedBlueprint(null)
+      setSelectedTags([])
+      setSelectedSavedQuiz(null)
+      setAttemptSavedQuiz(null)
+      setAttemptSeed(null)
+      setOfflineClient(attempt.client)
+      setAttemptId(attempt.attemptId)
+      setAttemptTiming({ timing: attempt.timing, deadline: attempt.deadline, serverNow: attempt.serverNow })
+      setQuestions(attempt.questions)
+      setAttemptTotal(attempt.total)
+      setAttemptResume(null)
+      setAppState('quiz')
+    } catch (err) {
+      setError(err.message || t('app.offlineFailed'))
+    }
+  }
+
+  const handleDiscardResume = () => {
+    abandonAttempt(resumable.attemptId).catch(() => {
+      // Already finished or gone; either way there's nothing left to resume
+    })
+    clearQuizProgress()
+    setResumable(null)
+  }
+
   const handleQuizComplete = (results) => {
-    setQuizResults(results)
+    setQuizResults(offlineClient ? { ...results, clientId: attemptId } : results)
     setAppState('results')
+    if (offlineClient) {
+      // Queued on completion; grade it straight away if the connection happens to be up
+      syncPendingAttempts()
+        .then((report) => {
+          setSyncReport(report)
+          setQuizResults((current) => withSyncedResults(current, report))
+        })
+        .catch(() => {})
+    }
+  }
+
+  // identical: the same questions in the same order (via the attempt's seed);
+  // otherwise a fresh sample that avoids recently seen questions
+  const handleRetry = ({ identical = false } = {}) => {
+    if (offlineClient) {
+      handleStartOffline({
+        subject: selectedSubject,
+        difficulty: selectedDifficulty,
+        numberOfQuestions: selectedNumberOfQuestions,
+        timing: selectedTiming,
+        ...(identical ? { questionIds: questions.map((q) => q._id) } : {}),
+      })
+      return
+    }
+
+    // The review queue changes as questions are answered, so pin the questions themselves
+    const questionIds = selectedQuestionIds || (selectedMode === 'review' ? questions.map((q) => q._id) : null)
+
+    handleSelectSubject({
+      subject: { name: selectedSubject },
+      difficulty: selectedDifficulty,
+      numberOfQuestions: selectedNumberOfQuestions,
+      timing: selectedTiming,
+      shuffleOptions: selectedShuffle,
+      blueprint: selectedBlueprint,
+      savedQuiz: selectedSavedQuiz,
+      tags: selectedTags,
+      ...(identical
+        ? { seed: attemptSeed, ...(questionIds ? { questionIds } : { mode: selectedMode }) }
+        : { mode: selectedMode }),
+    })
+  }
+
+  // Start a session from the spaced-repetition queue (any subject)
+  const handleStartReview = ({ numberOfQuestions, timing, shuffleOptions }) => {
+    handleSelectSubject({
+      subject: { name: t('app.dueForReview') },
+      difficulty: 'mixed',
+      numberOfQuestions,
+      timing,
+      shuffleOptions,
+      mode: 'review',
+    })
+  }
+
+  // Start a new attempt made up of just the given questions (same subject/difficulty)
+  const handleRetryQuestions = (questionIds) => {
+    if (offlineClient) {
+      handleStartOffline({
+        subject: selectedSubject,
+        difficulty: selectedDifficulty,
+        numberOfQuestions: questionIds.length,
+        timing: selectedTiming,
+        questionIds,
+      })
+      return
+    }
+
+    handleSelectSubject({
+      subject: { name: selectedSubject },
+      difficulty: selectedDifficulty,
+      numberOfQuestions: questionIds.length,
+      timing: selectedTiming,
+      shuffleOptions: selectedShuffle,
+      questionIds,
+    })
+  }
+
+  // Saved quizzes bring their own questions and settings
+  const handleOpenSavedQuiz = (code) => {
+    handleSelectSubject({ subject: { name: t('app.savedQuiz') }, difficulty: 'mixed', savedQuiz: code })
   }
 
-  const handleRetry = () => {
-    handleSelectSubject({ subject: { name: selectedSubject }, difficulty: selectedDifficulty, numberOfQuestions: selectedNumberOfQuestions })
+  // Freeze the questions just taken, with the same timing, as a shareable saved quiz
+  const handleSaveQuiz = (settings) =>
+    createSavedQuiz({
+      ...settings,
+      questionIds: quizResults.answers.map((a) => a.questionId),
+      timing: selectedTiming,
+      shuffleOptions: selectedShuffle,
+    })
+
+  // Shared links (?quiz=CODE) open straight into the quiz once someone is signed in
+  const openSharedQuiz = useEffectEvent((code) => handleOpenSavedQuiz(code))
+
+  useEffect(() => {
+    const code = user ? sharedQuizCodeFromUrl() : null
+    if (!code) return
+    clearSharedQuizFromUrl()
+    openSharedQuiz(code)
+  }, [user])
+
+  // Rooms are played live over the server's event stream; the Room component takes over from here
+  const enterRoom = async (openRoom) => {
+    setError(null)
+    try {
+      const room = await openRoom()
+      setRoomCode(room.code)
+      setAppState('room')
+    } catch (err) {
+      if (err.status === 401) {
+        handleLogout()
+        return
+      }
+      setError(err.message || t('app.roomFailed'))
+    }
   }
 
+  const handleHostRoom = ({ subject, difficulty, numberOfQuestions, questionLimitSec }) =>
+    enterRoom(() => createRoom({ subject: subject.name, difficulty, count: numberOfQuestions, questionLimitSec }))
+
+  const handleJoinRoom = (code) => enterRoom(() => joinRoom(code))
+
   const handleSelectNewSubject = () => {
     setAppState('selection')
     setSelectedSubject(null)
     setSelectedDifficulty(null)
     setSelectedNumberOfQuestions(5)
+    setSelectedTiming({ mode: 'none' })
+    setSelectedMode('standard')
+    setSelectedShuffle(false)
+    setSelectedQuestionIds(null)
+    setSelectedBlueprint(null)
+    setSelectedTags([])
+    setSelectedSavedQuiz(null)
+    setAttemptSavedQuiz(null)
+    setAttemptSeed(null)
+    setRoomCode(null)
     setQuestions([])
+    setAttemptTotal(null)
+    setAttemptId(null)
+    setAttemptTiming(null)
+    setAttemptResume(null)
+    setOfflineClient(null)
     setQuizResults(null)
     setError(null)
   }
 
+  const handleLogout = () => {
+    logout()
+    setUser(null)
+    handleSelectNewSubject()
+  }
+
+  if (!authChecked) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+      </div>
+    )
+  }
+
+  if (!user) {
+    return <Auth onAuthenticated={setUser} />
+  }
+
   return (
     <div className="app">
+      <div className="user-bar">
+        <span>{user.username}{user.role === 'admin' ? ` ${t('app.admin')}` : ''}</span>
+        <LanguageSwitcher />
+        {user.role === 'admin' && appState === 'selection' && (
+          <button onClick={() => setAppState('admin')}>{t('app.questionBank')}</button>
+        )}
+        <button onClick={handleLogout}>{t('app.logOut')}</button>
+      </div>
+
       {error && (
         <div className="error-banner">
           <div>{error}</div>
           <div style={{marginTop:8}}>
-            <button onClick={() => handleSelectSubject({ subject: { name: selectedSubject }, difficulty: selectedDifficulty })}>Retry</button>
-            <button onClick={handleSelectNewSubject} style={{marginLeft:8}}>Go Back</button>
+            <button onClick={() => handleRetry()}>{t('app.retry')}</button>
+            <button onClick={handleSelectNewSubject} style={{marginLeft:8}}>{t('app.goBack')}</button>
           </div>
         </div>
       )}
@@ -74,17 +427,80 @@ const App = () => {
       {loading && (
         <div className="loading-container">
           <div className="spinner"></div>
-          <p>Loading quiz questions...</p>
+          <p>{t('app.loadingQuiz')}</p>
+        </div>
+      )}
+
+      {appState === 'selection' && !loading && resumable && (
+        <div className="resume-banner">
+          <span>
+            {t(['mixed', 'adaptive'].includes(resumable.difficulty) ? 'app.resumeQuiz' : 'app.resumeQuizLevel', {
+              name: attemptLabel(t, resumable),
+              difficulty: t(`difficulty.${resumable.difficulty}`),
+              current: Math.min(resumable.answers.filter(Boolean).length + 1, resumable.total),
+              total: resumable.total,
+            })}
+          </span>
+          <div>
+            <button onClick={handleResume}>{t('app.resume')}</button>
+            <button className="secondary" onClick={handleDiscardResume}>{t('app.discard')}</button>
+          </div>
         </div>
       )}
 
+      {['selection', 'results'].includes(appState) && !loading && !resumable && syncReport && (
+        <SyncStatus report={syncReport} onDismiss={() => setSyncReport(null)} />
+      )}
+
       {appState === 'selection' && !loading && (
-        <SubjectSelection onSelectSubject={handleSelectSubject} />
+        <SubjectSelection
+          onSelectSubject={handleSelectSubject}
+          onStartReview={handleStartReview}
+          onHostRoom={handleHostRoom}
+          onJoinRoom={handleJoinRoom}
+          onOpenDashboard={() => setAppState('dashboard')}
+          onOpenSavedQuizzes={() => setAppState('savedQuizzes')}
+          onOpenProfile={() => setAppState('profile')}
+          onOpenLeaderboards={() => setAppState('leaderboards')}
+          onStartOffline={handleStartOffline}
+        />
+      )}
+
+      {appState === 'savedQuizzes' && (
+        <SavedQuizzes onBack={() => setAppState('selection')} onOpen={handleOpenSavedQuiz} />
+      )}
+
+      {appState === 'admin' && user.role === 'admin' && (
+        <AdminEditor onBack={() => setAppState('selection')} />
+      )}
+
+      {appState === 'room' && roomCode && (
+        <Room code={roomCode} user={user} onLeave={handleSelectNewSubject} />
+      )}
+
+      {appState === 'dashboard' && (
+        <Dashboard onBack={() => setAppState('selection')} />
+      )}
+
+      {appState === 'profile' && (
+        <Profile onBack={() => setAppState('selection')} onOpenLeaderboards={() => setAppState('leaderboards')} />
+      )}
+
+      {appState === 'leaderboards' && (
+        <Leaderboards user={user} onBack={() => setAppState('selection')} />
       )}
 
       {appState === 'quiz' && !loading && (
         <QuizDisplay
+          key={attemptId}
           questions={questions}
+          total={attemptTotal}
+          attemptId={attemptId}
+          timing={attemptTiming?.timing}
+          quizDeadline={attemptTiming?.deadline}
+          serverNow={attemptTiming?.serverNow}
+          resume={attemptResume}
+          client={offlineClient || undefined}
           onComplete={handleQuizComplete}
           subject={selectedSubject}
           difficulty={selectedDifficulty}
@@ -95,9 +511,17 @@ const App = () => {
         <Results
           score={quizResults.score}
           totalQuestions={quizResults.totalQuestions}
+          answers={quizResults.answers}
+          proficiency={quizResults.proficiency}
+          reward={quizResults.reward}
+          showAnswers={quizResults.showAnswers !== false}
+          pendingSync={Boolean(quizResults.pendingSync)}
+          savedQuiz={attemptSavedQuiz}
           subject={selectedSubject}
           difficulty={selectedDifficulty}
           onRetry={handleRetry}
+          onRetryQuestions={handleRetryQuestions}
+          onSaveQuiz={offlineClient ? undefined : handleSaveQuiz}
           onSelectNewSubject={handleSelectNewSubject}
         />
       )}
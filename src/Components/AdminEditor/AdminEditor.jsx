@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import QuestionEditor from './QuestionEditor';
+import BankTransfer from './BankTransfer';
+import SetHistory from './SetHistory';
+import QuestionAnalytics from './QuestionAnalytics';
+import QuestionSearch from './QuestionSearch';
+import {
+  listQuestionSets,
+  getQuestionSet,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  reorderQuestions,
+} from '../../services/adminService';
+import { getAvailableSubjects } from '../../services/quizService';
+import './AdminEditor.css';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+let draftCounter = 0;
+
+const AdminEditor = ({ onBack }) => {
+  const [sets, setSets] = useState([]);
+  const [subjects, setSubjects] = useState([]);
+  const [selectedSet, setSelectedSet] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  // Question opened from a search result, highlighted in its set
+  const [focusedId, setFocusedId] = useState(null);
+  const [newSubject, setNewSubject] = useState('');
+  const [newDifficulty, setNewDifficulty] = useState('easy');
+  // Side panel above the questions: null, 'history' or 'analytics'
+  const [panel, setPanel] = useState(null);
+  // Bumped after every change so an open history panel reloads
+  const [historyKey, setHistoryKey] = useState(0);
+  const [error, setError] = useState(null);
+
+  const refreshSets = () => {
+    setHistoryKey((key) => key + 1);
+    return listQuestionSets()
+      .then(setSets)
+      .catch((err) => setError(err.message || 'Failed to load question sets'));
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([listQuestionSets(), getAvailableSubjects()])
+      .then(([setsData, subjectsData]) => {
+        if (cancelled) return;
+        setSets(setsData);
+        setSubjects(subjectsData);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load question sets');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const openSet = async (subject, difficulty, questionId = null) => {
+    setError(null);
+    setSelectedSet({ subject, difficulty });
+    setFocusedId(questionId);
+    try {
+      const quiz = await getQuestionSet(subject, difficulty);
+      setQuestions(quiz.questions);
+    } catch (err) {
+      // A brand-new set has no document until its first question is saved
+      if (err.status === 404) {
+        setQuestions([]);
+      } else {
+        setError(err.message || 'Failed to load questions');
+      }
+    }
+  };
+
+  const handleCreateSet = (e) => {
+    e.preventDefault();
+    if (!newSubject) return;
+    openSet(newSubject, newDifficulty);
+  };
+
+  const addDraft = () => {
+    draftCounter += 1;
+    setQuestions([...questions, { draftKey: `draft-${draftCounter}` }]);
+  };
+
+  const handleSave = async (index, fields) => {
+    const existing = questions[index];
+    const saved = existing._id
+      ? await updateQuestion(existing._id, fields)
+      : await createQuestion(selectedSet.subject, selectedSet.difficulty, fields);
+
+    const next = [...questions];
+    next[index] = saved;
+    setQuestions(next);
+    refreshSets();
+  };
+
+  const handleDelete = async (index) => {
+    const existing = questions[index];
+    if (existing._id) {
+      if (!window.confirm('Delete this question?')) return;
+      try {
+        await deleteQuestion(existing._id);
+      } catch (err) {
+        setError(err.message || 'Failed to delete question');
+        return;
+      }
+      refreshSets();
+    }
+    setQuestions(questions.filter((_, i) => i !== index));
+  };
+
+  const handleMove = async (index, direction) => {
+    const next = [...questions];
+    const target = index + direction;
+    [next[index], next[target]] = [next[target], next[index]];
+    setQuestions(next);
+
+    // Unsaved drafts have no id yet; only persist the order of saved questions
+    const savedIds = next.filter((q) => q._id).map((q) => q._id);
+    if (savedIds.length === questions.filter((q) => q._id).length && savedIds.length > 1) {
+      try {
+        await reorderQuestions(selectedSet.subject, selectedSet.difficulty, savedIds);
+        setHistoryKey((key) => key + 1);
+      } catch (err) {
+        setError(err.message || 'Failed to reorder questions');
+      }
+    }
+  };
+
+  return (
+    <div className="admin-container">
+      <div className="admin-content">
+        <div className="admin-header">
+          <h1>Question Bank</h1>
+          <button className="admin-back" onClick={onBack}>Back</button>
+        </div>
+
+        {error && <div className="editor-error">{error}</div>}
+
+        <div className="admin-layout">
+          <aside className="admin-sets">
+            <h2>Search</h2>
+            <QuestionSearch onOpen={openSet} />
+
+            <h2>Sets</h2>
+            <ul>
+              {sets.map((set) => (
+                <li key={set._id}>
+                  <button
+                    className={
+                      selectedSet?.subject === set.subject && selectedSet?.difficulty === set.difficulty
+                        ? 'active'
+                        : ''
+                    }
+                    onClick={() => openSet(set.subject, set.difficulty)}
+                  >
+                    <span>{set.subject}</span>
+                    <span className="set-meta">{set.difficulty} · {set.count}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <form className="new-set-form" onSubmit={handleCreateSet}>
+              <select value={newSubject} onChange={(e) => setNewSubject(e.target.value)}>
+                <option value="">Choose a subject</option>
+                {subjects.map((subject) => (
+                  <option key={subject._id} value={subject.name}>{subject.icon} {subject.name}</option>
+                ))}
+              </select>
+              <select value={newDifficulty} onChange={(e) => setNewDifficulty(e.target.value)}>
+                {DIFFICULTIES.map((level) => (
+                  <option key={level} value={level}>{level}</option>
+                ))}
+              </select>
+              <button type="submit">Open Set</button>
+            </form>
+
+            <BankTransfer
+              onImported={() => {
+                refreshSets();
+                if (selectedSet) openSet(selectedSet.subject, selectedSet.difficulty);
+              }}
+            />
+          </aside>
+
+          <section className="admin-questions">
+            {!selectedSet && <p className="admin-hint">Choose a set to edit its questions.</p>}
+
+            {selectedSet && (
+              <>
+                <div className="set-title">
+                  <h2>
+                    {selectedSet.subject} <span className="set-meta">{selectedSet.difficulty}</span>
+                  </h2>
+                  <div className="set-panels">
+                    <button
+                      className={`set-panel-toggle ${panel === 'analytics' ? 'active' : ''}`}
+                      onClick={() => setPanel(panel === 'analytics' ? null : 'analytics')}
+                    >
+                      Analytics
+                    </button>
+                    <button
+                      className={`set-panel-toggle ${panel === 'history' ? 'active' : ''}`}
+                      onClick={() => setPanel(panel === 'history' ? null : 'history')}
+                    >
+                      History
+                    </button>
+                  </div>
+                </div>
+
+                {panel === 'analytics' && (
+                  <QuestionAnalytics
+                    key={`${selectedSet.subject}-${selectedSet.difficulty}-${historyKey}`}
+                    subject={selectedSet.subject}
+                    difficulty={selectedSet.difficulty}
+                  />
+                )}
+
+                {panel === 'history' && (
+                  <SetHistory
+                    key={`${selectedSet.subject}-${selectedSet.difficulty}-${historyKey}`}
+                    subject={selectedSet.subject}
+                    difficulty={selectedSet.difficulty}
+                    onRestored={() => {
+                      refreshSets();
+                      openSet(selectedSet.subject, selectedSet.difficulty);
+                    }}
+                  />
+                )}
+
+                {questions.map((question, index) => (
+                  <QuestionEditor
+                    key={question._id || question.draftKey}
+                    question={question}
+                    index={index}
+                    highlighted={Boolean(question._id) && question._id === focusedId}
+                    onSave={(fields) => handleSave(index, fields)}
+                    onDelete={() => handleDelete(index)}
+                    onMoveUp={index > 0 ? () => handleMove(index, -1) : null}
+                    onMoveDown={index < questions.length - 1 ? () => handleMove(index, 1) : null}
+                  />
+                ))}
+
+                <button className="add-question" onClick={addDraft}>+ Add Question</button>
+              </>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminEditor;
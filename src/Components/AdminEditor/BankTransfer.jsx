@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { importQuestionBank, exportQuestionBank, findDuplicateQuestions } from '../../services/adminService';
+
+const FORMATS = ['csv', 'json', 'gift'];
+
+const MODES = [
+  { value: 'upsert', label: 'Upsert by question ID' },
+  { value: 'append', label: 'Append as new questions' },
+  { value: 'replace', label: 'Replace whole sets' },
+];
+
+const DUPLICATE_POLICIES = [
+  { value: 'warn', label: 'Warn about duplicates' },
+  { value: 'reject', label: 'Reject duplicates' },
+  { value: 'ignore', label: "Don't check for duplicates" },
+];
+
+const describeCluster = (cluster) =>
+  `${cluster.kind === 'exact' ? 'Exact duplicates' : `Near-duplicates (${Math.round(cluster.score * 100)}% similar)`}` +
+  `${cluster.crossDifficulty ? ' across difficulties' : ''}`;
+
+const DuplicateList = ({ clusters }) => (
+  <ul className="duplicate-list">
+    {clusters.map((cluster, i) => (
+      <li key={i}>
+        <span className="duplicate-kind">{describeCluster(cluster)}</span>
+        <ul>
+          {cluster.members.map((member, j) => (
+            <li key={j} className={member.imported ? 'duplicate-imported' : ''}>
+              {member.question} <span className="set-meta">{member.subject} - {member.difficulty}</span>
+            </li>
+          ))}
+        </ul>
+      </li>
+    ))}
+  </ul>
+);
+
+const describeSet = (set) =>
+  `${set.subject} - ${set.difficulty}${set.isNew ? ' (new)' : ''}: +${set.added}, ${set.updated} updated, ${set.removed} removed → ${set.total}`;
+
+// Import a CSV / JSON / GIFT file (with a dry run first) and export the bank
+const BankTransfer = ({ onImported }) => {
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('upsert');
+  const [duplicates, setDuplicates] = useState('warn');
+  const [bankDuplicates, setBankDuplicates] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runImport = async (dryRun) => {
+    if (!file) return;
+    setBusy(true);
+    setError(null);
+    setReport(null);
+    try {
+      const content = await file.text();
+      const result = await importQuestionBank({ content, filename: file.name, mode, dryRun, duplicates });
+      setReport(result);
+      if (!dryRun) onImported?.();
+    } catch (err) {
+      if (err.data?.errors) {
+        setReport(err.data);
+      } else {
+        setError(err.message || 'Import failed');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFindDuplicates = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      setBankDuplicates(await findDuplicateQuestions());
+    } catch (err) {
+      setError(err.message || 'Duplicate check failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const { blob, filename } = await exportQuestionBank({ format: exportFormat });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || 'Export failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bank-transfer">
+      <h2>Import / Export</h2>
+
+      <input
+        type="file"
+        accept=".csv,.json,.gift,.txt"
+        onChange={(e) => {
+          setFile(e.target.files[0] || null);
+          setReport(null);
+        }}
+      />
+      <select value={mode} onChange={(e) => setMode(e.target.value)}>
+        {MODES.map((m) => (
+          <option key={m.value} value={m.value}>{m.label}</option>
+        ))}
+      </select>
+      <select value={duplicates} onChange={(e) => setDuplicates(e.target.value)}>
+        {DUPLICATE_POLICIES.map((p) => (
+          <option key={p.value} value={p.value}>{p.label}</option>
+        ))}
+      </select>
+      <div className="bank-transfer-actions">
+        <button onClick={() => runImport(true)} disabled={!file || busy}>Check</button>
+        <button onClick={() => runImport(false)} disabled={!file || busy}>Import</button>
+      </div>
+
+      {report && (
+        <div className={`import-report ${report.errors.length > 0 ? 'has-errors' : ''}`}>
+          <p>
+            {report.errors.length > 0
+              ? `${report.errors.length} problem(s) - nothing was imported`
+              : report.dryRun
+                ? `${report.questions} questions are valid`
+                : `Imported ${report.questions} questions`}
+          </p>
+          <ul>
+            {report.sets.map((set) => (
+              <li key={`${set.subject}-${set.difficulty}`}>{describeSet(set)}</li>
+            ))}
+            {report.errors.map((e, i) => (
+              <li key={i} className="import-error">
+                {e.line ? `Line ${e.line}` : e.location || 'File'}: {e.message}
+              </li>
+            ))}
+          </ul>
+          {report.duplicates?.length > 0 && (
+            <>
+              <p className="duplicate-warning">⚠️ {report.duplicates.length} group(s) of duplicate questions</p>
+              <DuplicateList clusters={report.duplicates} />
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="bank-transfer-actions">
+        <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+          {FORMATS.map((format) => (
+            <option key={format} value={format}>{format.toUpperCase()}</option>
+          ))}
+        </select>
+        <button onClick={handleExport} disabled={busy}>Export</button>
+      </div>
+
+      <button onClick={handleFindDuplicates} disabled={busy}>Find Duplicates</button>
+      {bankDuplicates && (
+        <div className={`import-report ${bankDuplicates.clusters.length > 0 ? 'has-errors' : ''}`}>
+          <p>
+            {bankDuplicates.clusters.length > 0
+              ? `${bankDuplicates.clusters.length} group(s) of duplicates among ${bankDuplicates.questions} questions`
+              : `No duplicates among ${bankDuplicates.questions} questions`}
+          </p>
+          <DuplicateList clusters={bankDuplicates.clusters} />
+        </div>
+      )}
+
+      {error && <div className="editor-error">{error}</div>}
+    </div>
+  );
+};
+
+export default BankTransfer;
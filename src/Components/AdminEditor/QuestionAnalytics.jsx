@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { getQuestionAnalytics } from '../../services/adminService';
+
+const percent = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+
+const seconds = (ms) => (ms === null ? '—' : `${(ms / 1000).toFixed(1)}s`);
+
+// How learners actually do on each question of a set: % correct, discrimination,
+// average time and option picks, with the questions that need a look flagged first
+const QuestionAnalytics = ({ subject, difficulty }) => {
+  const [analytics, setAnalytics] = useState(null);
+  const [onlyFlagged, setOnlyFlagged] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getQuestionAnalytics(subject, difficulty)
+      .then((data) => {
+        if (!cancelled) setAnalytics(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load analytics');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [subject, difficulty]);
+
+  if (error) return <div className="editor-error">{error}</div>;
+  if (!analytics) return <p className="admin-hint">Loading analytics…</p>;
+
+  const shown = onlyFlagged ? analytics.questions.filter((q) => q.flags.length > 0) : analytics.questions;
+
+  return (
+    <div className="question-analytics">
+      <div className="analytics-summary">
+        <span>
+          {analytics.flagged} of {analytics.questions.length} questions flagged
+          <span className="set-meta"> · flags need {analytics.minResponses}+ responses</span>
+        </span>
+        <label>
+          <input type="checkbox" checked={onlyFlagged} onChange={(e) => setOnlyFlagged(e.target.checked)} />
+          Only flagged
+        </label>
+      </div>
+
+      {shown.map((stats) => (
+        <div key={stats.questionId} className={`analytics-question ${stats.flags.length > 0 ? 'flagged' : ''}`}>
+          <p className="analytics-text">{stats.question}</p>
+          <div className="analytics-stats">
+            <span>{stats.responses} responses</span>
+            <span>{percent(stats.pCorrect)} correct</span>
+            <span>discrimination {stats.discrimination === null ? '—' : stats.discrimination.toFixed(2)}</span>
+            <span>avg {seconds(stats.avgTimeMs)}</span>
+            {stats.timeouts > 0 && <span>{stats.timeouts} timed out</span>}
+          </div>
+
+          {stats.options && (
+            <ul className="option-picks">
+              {stats.options.map((option) => (
+                <li key={option.index} className={option.correct ? 'correct' : ''}>
+                  <span className="option-text">{option.text}</span>
+                  <span className="pick-bar">
+                    <span style={{ width: percent(option.share ?? 0) }} />
+                  </span>
+                  <span className="pick-count">{option.picks}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {stats.flags.map((flag, i) => (
+            <p key={i} className="analytics-flag">⚠️ {flag.message}</p>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default QuestionAnalytics;
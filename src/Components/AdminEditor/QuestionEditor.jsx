@@ -0,0 +1,441 @@
+import React, { useState, useEffect, useRef } from 'react';
+import QuestionView from '../QuizDisplay/QuestionView';
+import { uploadAsset } from '../../services/adminService';
+
+const QUESTION_TYPES = [
+  { value: 'single', label: 'Single choice' },
+  { value: 'multiple', label: 'Multi-select' },
+  { value: 'true-false', label: 'True / False' },
+  { value: 'numeric', label: 'Numeric' },
+  { value: 'text', label: 'Short text' },
+];
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const EMPTY_OPTIONS = ['', '', '', ''];
+const IMAGE_TYPES = 'image/png,image/jpeg,image/gif,image/webp';
+
+const toDraft = (question) => ({
+  type: question.type || 'single',
+  question: question.question || '',
+  options: question.options?.length ? [...question.options] : [...EMPTY_OPTIONS],
+  correctAnswer: question.correctAnswer ?? 0,
+  correctAnswers: question.correctAnswers || [],
+  numericAnswer: question.numericAnswer ?? '',
+  tolerance: question.tolerance ?? 0,
+  acceptedAnswers: (question.acceptedAnswers || []).join('\n'),
+  caseSensitive: Boolean(question.caseSensitive),
+  explanation: question.explanation || '',
+  tags: (question.tags || []).join(', '),
+  objectives: (question.objectives || []).join('\n'),
+  translations: (question.translations || []).map((translation) => ({
+    locale: translation.locale,
+    question: translation.question,
+    options: translation.options || [],
+    explanation: translation.explanation || '',
+  })),
+});
+
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// File picker that hands the chosen image to onAttach
+const AttachImage = ({ onAttach, disabled }) => (
+  <label className={`attach-image ${disabled ? 'disabled' : ''}`}>
+    🖼️ Attach image
+    <input
+      type="file"
+      accept={IMAGE_TYPES}
+      disabled={disabled}
+      onChange={(e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) onAttach(file);
+      }}
+    />
+  </label>
+);
+
+const splitLines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+// Translated options line up with the question's; blank ones (or none at all) stay English
+const toTranslationPayload = (translation, options) => {
+  const translated = options.map((_, i) => (translation.options[i] || '').trim());
+  return {
+    locale: translation.locale.trim(),
+    question: translation.question,
+    options: translated.some(Boolean) ? translated : [],
+    explanation: translation.explanation.trim() || undefined,
+  };
+};
+
+// Build the request body for the draft, clearing fields other types use
+const toPayload = (draft) => {
+  const hasOptions = ['single', 'multiple', 'true-false'].includes(draft.type);
+  const base = {
+    type: draft.type,
+    question: draft.question,
+    explanation: draft.explanation,
+    tags: draft.tags.split(',').map((tag) => tag.trim()).filter(Boolean),
+    objectives: splitLines(draft.objectives),
+    translations: draft.translations.map((translation) =>
+      toTranslationPayload(translation, hasOptions ? draft.options : [])
+    ),
+    options: [],
+    correctAnswer: null,
+    correctAnswers: null,
+    numericAnswer: null,
+    tolerance: null,
+    acceptedAnswers: null,
+    caseSensitive: null,
+  };
+
+  switch (draft.type) {
+    case 'multiple':
+      return { ...base, options: draft.options, correctAnswers: [...draft.correctAnswers].sort((a, b) => a - b) };
+    case 'numeric':
+      return { ...base, numericAnswer: Number(draft.numericAnswer), tolerance: Number(draft.tolerance) || 0 };
+    case 'text':
+      return {
+        ...base,
+        acceptedAnswers: splitLines(draft.acceptedAnswers),
+        caseSensitive: draft.caseSensitive,
+      };
+    default:
+      return { ...base, options: draft.options, correctAnswer: draft.correctAnswer };
+  }
+};
+
+// What the preview shows as the learner's (correct) answer
+const previewAnswer = (payload) => {
+  switch (payload.type) {
+    case 'multiple':
+      return payload.correctAnswers;
+    case 'numeric':
+      return payload.numericAnswer;
+    case 'text':
+      return payload.acceptedAnswers[0] ?? '';
+    default:
+      return payload.correctAnswer;
+  }
+};
+
+// Inline editor for a single question, with a QuizDisplay-style preview.
+// highlighted marks (and scrolls to) the question opened from a search result.
+const QuestionEditor = ({ question, index, highlighted, onSave, onDelete, onMoveUp, onMoveDown }) => {
+  const containerRef = useRef(null);
+  const [draft, setDraft] = useState(() => toDraft(question));
+  const [showPreview, setShowPreview] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (highlighted) containerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [highlighted]);
+
+  const isNew = !question._id;
+  const hasOptions = ['single', 'multiple', 'true-false'].includes(draft.type);
+
+  const changeType = (type) => {
+    if (type === 'true-false') {
+      setDraft({ ...draft, type, options: ['True', 'False'], correctAnswer: 0 });
+    } else if (draft.type === 'true-false' && (type === 'single' || type === 'multiple')) {
+      setDraft({ ...draft, type, options: [...EMPTY_OPTIONS], correctAnswer: 0, correctAnswers: [] });
+    } else {
+      setDraft({ ...draft, type });
+    }
+  };
+
+  const updateOption = (optionIndex, value) => {
+    const options = [...draft.options];
+    options[optionIndex] = value;
+    setDraft({ ...draft, options });
+  };
+
+  const addOption = () => setDraft({ ...draft, options: [...draft.options, ''] });
+
+  // Removing an option shifts the indexes of the ones after it (translated options included)
+  const removeOption = (optionIndex) => {
+    const shift = (i) => (i > optionIndex ? i - 1 : i);
+    setDraft({
+      ...draft,
+      options: draft.options.filter((_, i) => i !== optionIndex),
+      translations: draft.translations.map((translation) => ({
+        ...translation,
+        options: translation.options.filter((_, i) => i !== optionIndex),
+      })),
+      correctAnswer: draft.correctAnswer === optionIndex ? 0 : shift(draft.correctAnswer),
+      correctAnswers: draft.correctAnswers.filter((i) => i !== optionIndex).map(shift),
+    });
+  };
+
+  const toggleCorrect = (optionIndex) => {
+    if (draft.type === 'multiple') {
+      const correctAnswers = draft.correctAnswers.includes(optionIndex)
+        ? draft.correctAnswers.filter((i) => i !== optionIndex)
+        : [...draft.correctAnswers, optionIndex];
+      setDraft({ ...draft, correctAnswers });
+    } else {
+      setDraft({ ...draft, correctAnswer: optionIndex });
+    }
+  };
+
+  const updateTranslation = (translationIndex, changes) =>
+    setDraft({
+      ...draft,
+      translations: draft.translations.map((translation, i) =>
+        i === translationIndex ? { ...translation, ...changes } : translation
+      ),
+    });
+
+  const updateTranslatedOption = (translationIndex, optionIndex, value) => {
+    const options = [...draft.translations[translationIndex].options];
+    options[optionIndex] = value;
+    updateTranslation(translationIndex, { options });
+  };
+
+  const addTranslation = () =>
+    setDraft({
+      ...draft,
+      translations: [...draft.translations, { locale: '', question: '', options: [], explanation: '' }],
+    });
+
+  const removeTranslation = (translationIndex) =>
+    setDraft({ ...draft, translations: draft.translations.filter((_, i) => i !== translationIndex) });
+
+  // Upload the image and append its Markdown to the question text or explanation
+  const attachImage = async (field, file) => {
+    setUploading(true);
+    setError(null);
+    try {
+      const { markdown } = await uploadAsset(await readAsDataUrl(file), file.name.replace(/\.[^.]+$/, ''));
+      setDraft((current) => ({ ...current, [field]: current[field] ? `${current[field]}\n\n${markdown}` : markdown }));
+    } catch (err) {
+      setError(err.message || 'Failed to upload image');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(toPayload(draft));
+    } catch (err) {
+      setError(err.message || 'Failed to save question');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const payload = toPayload(draft);
+
+  return (
+    <div ref={containerRef} className={`question-editor ${highlighted ? 'highlighted' : ''}`}>
+      <div className="question-editor-header">
+        <span className="question-number">#{index + 1}{isNew ? ' (new)' : ''}</span>
+        <div className="question-editor-actions">
+          <button onClick={onMoveUp} disabled={!onMoveUp}>↑</button>
+          <button onClick={onMoveDown} disabled={!onMoveDown}>↓</button>
+          <button onClick={() => setShowPreview(!showPreview)}>
+            {showPreview ? 'Edit' : 'Preview'}
+          </button>
+          <button className="danger" onClick={onDelete}>Delete</button>
+        </div>
+      </div>
+
+      {showPreview ? (
+        <div className="question-preview">
+          <QuestionView
+            question={payload}
+            selectedAnswer={previewAnswer(payload)}
+            feedback={{ isCorrect: true, ...payload }}
+            disabled
+          />
+        </div>
+      ) : (
+        <>
+          <select className="editor-type" value={draft.type} onChange={(e) => changeType(e.target.value)}>
+            {QUESTION_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+
+          <textarea
+            className="editor-question"
+            value={draft.question}
+            onChange={(e) => setDraft({ ...draft, question: e.target.value })}
+            placeholder="Question text (Markdown, `code`, ```code blocks``` and $math$ supported)"
+            rows={2}
+          />
+          <AttachImage onAttach={(file) => attachImage('question', file)} disabled={uploading} />
+
+          {hasOptions && (
+            <div className="editor-options">
+              {draft.options.map((option, optionIndex) => (
+                <label key={optionIndex} className="editor-option">
+                  <input
+                    type={draft.type === 'multiple' ? 'checkbox' : 'radio'}
+                    name={`correct-${question._id || index}`}
+                    checked={
+                      draft.type === 'multiple'
+                        ? draft.correctAnswers.includes(optionIndex)
+                        : draft.correctAnswer === optionIndex
+                    }
+                    onChange={() => toggleCorrect(optionIndex)}
+                    title="Mark as correct answer"
+                  />
+                  <span className="option-letter">{String.fromCharCode(65 + optionIndex)}</span>
+                  <input
+                    type="text"
+                    value={option}
+                    onChange={(e) => updateOption(optionIndex, e.target.value)}
+                    placeholder={`Option ${String.fromCharCode(65 + optionIndex)}`}
+                    disabled={draft.type === 'true-false'}
+                  />
+                  {draft.type !== 'true-false' && draft.options.length > MIN_OPTIONS && (
+                    <button type="button" className="remove-option" onClick={() => removeOption(optionIndex)}>
+                      ✕
+                    </button>
+                  )}
+                </label>
+              ))}
+              {draft.type !== 'true-false' && draft.options.length < MAX_OPTIONS && (
+                <button type="button" className="add-option" onClick={addOption}>+ Add Option</button>
+              )}
+            </div>
+          )}
+
+          {draft.type === 'numeric' && (
+            <div className="editor-row">
+              <label>
+                Answer
+                <input
+                  type="number"
+                  step="any"
+                  value={draft.numericAnswer}
+                  onChange={(e) => setDraft({ ...draft, numericAnswer: e.target.value })}
+                />
+              </label>
+              <label>
+                Tolerance (±)
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={draft.tolerance}
+                  onChange={(e) => setDraft({ ...draft, tolerance: e.target.value })}
+                />
+              </label>
+            </div>
+          )}
+
+          {draft.type === 'text' && (
+            <>
+              <textarea
+                className="editor-accepted"
+                value={draft.acceptedAnswers}
+                onChange={(e) => setDraft({ ...draft, acceptedAnswers: e.target.value })}
+                placeholder="Accepted answers, one per line"
+                rows={3}
+              />
+              <label className="editor-checkbox">
+                <input
+                  type="checkbox"
+                  checked={draft.caseSensitive}
+                  onChange={(e) => setDraft({ ...draft, caseSensitive: e.target.checked })}
+                />
+                Case sensitive
+              </label>
+            </>
+          )}
+
+          <textarea
+            className="editor-explanation"
+            value={draft.explanation}
+            onChange={(e) => setDraft({ ...draft, explanation: e.target.value })}
+            placeholder="Explanation (Markdown supported)"
+            rows={2}
+          />
+          <AttachImage onAttach={(file) => attachImage('explanation', file)} disabled={uploading} />
+
+          <input
+            type="text"
+            className="editor-tags"
+            value={draft.tags}
+            onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+            placeholder="Tags, comma separated (e.g. trees, heaps)"
+          />
+
+          <textarea
+            className="editor-objectives"
+            value={draft.objectives}
+            onChange={(e) => setDraft({ ...draft, objectives: e.target.value })}
+            placeholder="Learning objectives, one per line"
+            rows={2}
+          />
+
+          {/* Learners see these when their language matches; anything left blank stays English */}
+          <div className="editor-translations">
+            {draft.translations.map((translation, translationIndex) => (
+              <div key={translationIndex} className="editor-translation">
+                <div className="editor-translation-header">
+                  <input
+                    type="text"
+                    className="editor-locale"
+                    value={translation.locale}
+                    onChange={(e) => updateTranslation(translationIndex, { locale: e.target.value })}
+                    placeholder="Locale (e.g. es)"
+                  />
+                  <button type="button" className="remove-option" onClick={() => removeTranslation(translationIndex)}>
+                    ✕
+                  </button>
+                </div>
+                <textarea
+                  value={translation.question}
+                  onChange={(e) => updateTranslation(translationIndex, { question: e.target.value })}
+                  placeholder="Translated question text"
+                  rows={2}
+                />
+                {hasOptions &&
+                  draft.options.map((option, optionIndex) => (
+                    <label key={optionIndex} className="editor-option">
+                      <span className="option-letter">{String.fromCharCode(65 + optionIndex)}</span>
+                      <input
+                        type="text"
+                        value={translation.options[optionIndex] || ''}
+                        onChange={(e) => updateTranslatedOption(translationIndex, optionIndex, e.target.value)}
+                        placeholder={option}
+                      />
+                    </label>
+                  ))}
+                <textarea
+                  value={translation.explanation}
+                  onChange={(e) => updateTranslation(translationIndex, { explanation: e.target.value })}
+                  placeholder="Translated explanation (optional)"
+                  rows={2}
+                />
+              </div>
+            ))}
+            <button type="button" className="add-option" onClick={addTranslation}>+ Add Translation</button>
+          </div>
+        </>
+      )}
+
+      {error && <div className="editor-error">{error}</div>}
+
+      <button className="editor-save" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : isNew ? 'Create Question' : 'Save Changes'}
+      </button>
+    </div>
+  );
+};
+
+export default QuestionEditor;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { searchQuestionBank } from '../../services/adminService';
+
+// "#trees heap insert" -> { tags: ['trees'], q: 'heap insert' }
+const parseSearch = (text) => {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  return {
+    tags: words.filter((w) => w.startsWith('#') && w.length > 1).map((w) => w.slice(1)),
+    q: words.filter((w) => !w.startsWith('#')).join(' '),
+  };
+};
+
+// Full-text search across the bank; picking a result opens its set at that question
+const QuestionSearch = ({ onOpen }) => {
+  const [text, setText] = useState('');
+  const [data, setData] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const { q, tags } = parseSearch(text);
+    if (!q && tags.length === 0) {
+      setData(null);
+      return;
+    }
+
+    setSearching(true);
+    setError(null);
+    try {
+      setData(await searchQuestionBank({ q, tags }));
+    } catch (err) {
+      setError(err.message || 'Search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <div className="question-search">
+      <form className="new-set-form" onSubmit={handleSearch}>
+        <input
+          type="search"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Search questions, #tag"
+        />
+        <button type="submit" disabled={searching}>
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {error && <div className="editor-error">{error}</div>}
+
+      {data && (
+        <>
+          <p className="set-meta search-count">
+            {data.total === 0
+              ? 'No matches'
+              : `${data.total} match${data.total === 1 ? '' : 'es'}${data.total > data.results.length ? `, best ${data.results.length} shown` : ''}`}
+          </p>
+          <ul>
+            {data.results.map((result) => (
+              <li key={result._id}>
+                <button onClick={() => onOpen(result.subject, result.difficulty, result._id)}>
+                  <span className="search-question">{result.question}</span>
+                  <span className="set-meta">
+                    {result.subject} · {result.difficulty}
+                    {result.tags?.length > 0 && ` · #${result.tags.join(' #')}`}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QuestionSearch;
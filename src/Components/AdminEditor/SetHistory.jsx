@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { getSetHistory, rollbackQuestionSet } from '../../services/adminService';
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const describeChange = (change) => {
+  switch (change.change) {
+    case 'added':
+      return `Added "${change.question}"`;
+    case 'removed':
+      return `Removed "${change.question}"`;
+    case 'moved':
+      return `Moved "${change.question}" from #${change.from + 1} to #${change.to + 1}`;
+    default:
+      return `Edited "${change.question}"`;
+  }
+};
+
+// Version list for one set: who changed what and when, with a per-field diff
+// and a button to restore any earlier version
+const SetHistory = ({ subject, difficulty, onRestored }) => {
+  const [history, setHistory] = useState(null);
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getSetHistory(subject, difficulty, page)
+      .then((data) => {
+        if (!cancelled) setHistory(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        // A set with no saved questions yet has no history either
+        if (err.status === 404) {
+          setHistory({ version: 0, revisions: [], page: 1, total: 0 });
+        } else {
+          setError(err.message || 'Failed to load history');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [subject, difficulty, page]);
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore ${subject} - ${difficulty} to version ${version}?`)) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await rollbackQuestionSet(subject, difficulty, version);
+      onRestored?.();
+    } catch (err) {
+      setError(err.message || 'Failed to restore version');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!history) return error ? <div className="editor-error">{error}</div> : <p className="admin-hint">Loading history…</p>;
+
+  const pages = Math.max(Math.ceil(history.total / 20), 1);
+
+  return (
+    <div className="set-history">
+      {error && <div className="editor-error">{error}</div>}
+      {history.revisions.length === 0 && <p className="admin-hint">No changes recorded yet.</p>}
+
+      <ul>
+        {history.revisions.map((revision) => (
+          <li key={revision._id} className="revision">
+            <div className="revision-header">
+              <button className="revision-toggle" onClick={() => setExpanded(expanded === revision._id ? null : revision._id)}>
+                <strong>v{revision.version}</strong>
+                <span>{revision.summary}</span>
+                <span className="set-meta">
+                  {revision.author?.username || 'system'} · {new Date(revision.createdAt).toLocaleString()}
+                </span>
+              </button>
+              {revision.version === history.version ? (
+                <span className="revision-current">Current</span>
+              ) : (
+                <button onClick={() => handleRestore(revision.version)} disabled={busy}>Restore</button>
+              )}
+            </div>
+
+            {expanded === revision._id && (
+              <ul className="revision-changes">
+                {revision.changes.length === 0 && <li>No question changes</li>}
+                {revision.changes.map((change, i) => (
+                  <li key={i} className={`change-${change.change}`}>
+                    {describeChange(change)}
+                    {change.fields?.map((field) => (
+                      <div key={field.field} className="field-diff">
+                        <span className="field-name">{field.field}</span>
+                        <del>{formatValue(field.before)}</del>
+                        <ins>{formatValue(field.after)}</ins>
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {pages > 1 && (
+        <div className="history-pages">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1}>Newer</button>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pages}>Older</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SetHistory;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { login, register } from '../../services/authService';
+import './Auth.css';
+
+const Auth = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isLogin = mode === 'login';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const user = isLogin ? await login(username, password) : await register(username, password);
+      onAuthenticated(user);
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(isLogin ? 'register' : 'login');
+    setError(null);
+  };
+
+  return (
+    <div className="auth-container">
+      <form className="auth-content" onSubmit={handleSubmit}>
+        <h1>Quiz Master</h1>
+        <p className="subtitle">{isLogin ? 'Log in to start a quiz' : 'Create an account to get started'}</p>
+
+        <label className="auth-field">
+          <span>Username</span>
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            required
+          />
+        </label>
+
+        <label className="auth-field">
+          <span>Password</span>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isLogin ? 'current-password' : 'new-password'}
+            minLength={isLogin ? undefined : 8}
+            required
+          />
+        </label>
+
+        {error && <div className="auth-error">{error}</div>}
+
+        <button type="submit" className="auth-submit" disabled={submitting}>
+          {submitting ? 'Please wait...' : isLogin ? 'Log In' : 'Sign Up'}
+        </button>
+
+        <button type="button" className="auth-toggle" onClick={toggleMode}>
+          {isLogin ? "Don't have an account? Sign up" : 'Already have an account? Log in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Auth;
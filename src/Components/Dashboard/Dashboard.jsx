@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { getProgressStats, getQuizHistory } from '../../services/quizService';
+import './Dashboard.css';
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const formatDuration = (ms) => {
+  if (!ms) return '—';
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+// Small inline SVG line chart of accuracy per day
+const TrendLine = ({ points }) => {
+  if (points.length < 2) {
+    return <span className="trend-empty">Not enough data yet</span>;
+  }
+
+  const width = 160;
+  const height = 40;
+  const step = width / (points.length - 1);
+  const path = points
+    .map((p, i) => `${i === 0 ? 'M' : 'L'}${(i * step).toFixed(1)},${(height - p.accuracy * height).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <svg className="trend-line" width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      <title>{points.map((p) => `${p.date}: ${formatPercent(p.accuracy)}`).join('\n')}</title>
+      <path d={path} fill="none" strokeWidth="2" />
+    </svg>
+  );
+};
+
+const Dashboard = ({ onBack }) => {
+  const [stats, setStats] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([getProgressStats(), getQuizHistory({ limit: 10 })])
+      .then(([statsData, historyData]) => {
+        if (cancelled) return;
+        setStats(statsData);
+        setHistory(historyData);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load progress');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <div className="dashboard-container">
+      <div className="dashboard-content">
+        <div className="dashboard-header">
+          <h1>My Progress</h1>
+          <button className="dashboard-back" onClick={onBack}>Back</button>
+        </div>
+
+        {loading && <p className="dashboard-message">Loading your progress...</p>}
+        {error && <p className="dashboard-message error">{error}</p>}
+
+        {!loading && !error && stats.length === 0 && (
+          <p className="dashboard-message">No completed quizzes yet. Finish a quiz to see your progress here.</p>
+        )}
+
+        {stats.length > 0 && (
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                <th>Subject</th>
+                <th>Difficulty</th>
+                <th>Quizzes</th>
+                <th>Accuracy</th>
+                <th>Best</th>
+                <th>Avg. Time</th>
+                <th>Trend</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.map((row) => (
+                <tr key={`${row.subject}-${row.difficulty}`}>
+                  <td>{row.subject}</td>
+                  <td className="capitalize">{row.difficulty}</td>
+                  <td>{row.attempts}</td>
+                  <td>{formatPercent(row.accuracy)}</td>
+                  <td>{formatPercent(row.bestScore)}</td>
+                  <td>{formatDuration(row.avgDurationMs)}</td>
+                  <td><TrendLine points={row.trend} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {history.length > 0 && (
+          <>
+            <h2>Recent Quizzes</h2>
+            <ul className="history-list">
+              {history.map((attempt) => (
+                <li key={attempt._id}>
+                  <span>{attempt.subject} - <span className="capitalize">{attempt.difficulty}</span></span>
+                  <span>{attempt.score}/{attempt.totalQuestions}</span>
+                  <span className="history-date">{new Date(attempt.completedAt).toLocaleString()}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Dashboard;
@@ -0,0 +1,29 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { getLocale, saveLocale, translate } from '../../services/i18n';
+import { I18nContext } from './i18nContext';
+
+// Holds the UI language; switching it re-renders everything that uses useI18n
+const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(getLocale);
+
+  // Screen readers and hyphenation follow the page language
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(
+    () => ({
+      locale,
+      setLocale: (next) => {
+        saveLocale(next);
+        setLocaleState(next);
+      },
+      t: (key, params) => translate(locale, key, params),
+    }),
+    [locale]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { LOCALES } from '../../services/i18n';
+import { useI18n } from './i18nContext';
+
+// Picks the UI language; quizzes started afterwards also get their questions in it where translated
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <select
+      className="language-switcher"
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('language.label')}
+    >
+      {LOCALES.map(({ code, name }) => (
+        <option key={code} value={code} lang={code}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default LanguageSwitcher;
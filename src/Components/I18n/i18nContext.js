@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, translate } from '../../services/i18n';
+
+// English until an I18nProvider is mounted above
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: (key, params) => translate(DEFAULT_LOCALE, key, params),
+});
+
+// { locale, setLocale, t } where t(key, params) translates into the current locale
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import { downloadPack, getPacks, deletePack } from '../../services/offlineService';
+import './OfflinePacks.css';
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Downloaded question sets: save the selected subject/difficulty for offline use, and start,
+// update or remove the ones already on this device. subject/difficulty are null when the
+// current selection isn't a single downloadable set.
+const OfflinePacks = ({ subject, difficulty, onStart }) => {
+  const [packs, setPacks] = useState([]);
+  const [downloading, setDownloading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getPacks()
+      .then((data) => {
+        if (!cancelled) setPacks(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load offline quizzes');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const canDownload = Boolean(subject && difficulty);
+  const alreadyDownloaded = packs.some((p) => p.subject === subject && p.difficulty === difficulty);
+
+  if (!canDownload && packs.length === 0) return null;
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    setMessage(null);
+    setError(null);
+    try {
+      const pack = await downloadPack(subject, difficulty);
+      setPacks([...packs.filter((p) => p.key !== pack.key), pack]);
+      setMessage(`${plural(pack.questions.length, 'question')} saved for offline use`);
+    } catch (err) {
+      setError(err.message || 'Failed to download the questions');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleRemove = async (key) => {
+    setMessage(null);
+    setError(null);
+    try {
+      await deletePack(key);
+      setPacks(packs.filter((p) => p.key !== key));
+    } catch (err) {
+      setError(err.message || 'Failed to remove the download');
+    }
+  };
+
+  return (
+    <div className="offline-packs">
+      <h3>📥 Offline Quizzes</h3>
+      <p className="offline-hint">
+        Downloaded sets work without a connection. Quizzes taken offline are marked and saved to your history once you're back online.
+      </p>
+
+      {canDownload && (
+        <button className="offline-download" onClick={handleDownload} disabled={downloading}>
+          {downloading
+            ? 'Downloading...'
+            : `${alreadyDownloaded ? 'Update' : 'Download'} ${subject} (${difficulty}) for offline`}
+        </button>
+      )}
+
+      {message && <p className="offline-message">{message}</p>}
+      {error && <p className="offline-error">{error}</p>}
+
+      {packs.length > 0 && (
+        <ul className="offline-pack-list">
+          {[...packs]
+            .sort((a, b) => a.key.localeCompare(b.key))
+            .map((pack) => (
+              <li key={pack.key} className="offline-pack">
+                <div>
+                  <strong>{pack.subject}</strong> · {pack.difficulty}
+                  <div className="offline-hint">
+                    {plural(pack.questions.length, 'question')} · downloaded{' '}
+                    {new Date(pack.downloadedAt).toLocaleDateString()}
+                  </div>
+                </div>
+                <div className="offline-pack-actions">
+                  <button onClick={() => onStart(pack)}>Start</button>
+                  <button className="danger" onClick={() => handleRemove(pack.key)}>
+                    Remove
+                  </button>
+                </div>
+              </li>
+            ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OfflinePacks;
@@ -0,0 +1,43 @@
+import React from 'react';
+import './OfflinePacks.css';
+
+const plural = (count, word, many = `${word}s`) => `${count} ${count === 1 ? word : many}`;
+
+// What the last sync of offline attempts did ({ synced, failed, pending } from syncPendingAttempts)
+const describeSync = ({ synced, failed, pending }) => {
+  const lines = [];
+  const saved = synced.filter((report) => !report.duplicate);
+  if (saved.length > 0) {
+    lines.push(
+      `✅ Graded and saved ${plural(saved.length, 'offline quiz', 'offline quizzes')} to your history.` +
+        " Offline quizzes don't earn XP or badges."
+    );
+  }
+  failed.forEach(({ subject, difficulty, message }) => {
+    lines.push(`⚠️ Couldn't save your offline ${subject} (${difficulty}) quiz: ${message}`);
+  });
+  if (pending > 0) {
+    lines.push(`📶 ${plural(pending, 'offline quiz', 'offline quizzes')} will be saved once you're back online.`);
+  }
+  return lines;
+};
+
+const SyncStatus = ({ report, onDismiss }) => {
+  const lines = describeSync(report);
+  if (lines.length === 0) return null;
+
+  return (
+    <div className="resume-banner sync-status">
+      <div>
+        {lines.map((line) => (
+          <p key={line}>{line}</p>
+        ))}
+      </div>
+      <button className="secondary" onClick={onDismiss}>
+        Dismiss
+      </button>
+    </div>
+  );
+};
+
+export default SyncStatus;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { getLeaderboard } from '../../services/progressService';
+import { getAvailableSubjects } from '../../services/quizService';
+import './Profile.css';
+
+const PERIODS = [
+  { value: 'week', label: 'This Week' },
+  { value: 'all', label: 'All Time' },
+];
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+const LeaderboardRow = ({ entry, isMe }) => (
+  <li className={`xp-leaderboard-row ${isMe ? 'me' : ''}`}>
+    <span className="xp-leaderboard-rank">{MEDALS[entry.rank - 1] || entry.rank}</span>
+    <span className="xp-leaderboard-name">{entry.username}</span>
+    <span className="xp-leaderboard-xp">{entry.xp} XP</span>
+  </li>
+);
+
+// Weekly and all-time XP rankings, across the whole app or for one subject
+const Leaderboards = ({ user, onBack }) => {
+  const [period, setPeriod] = useState('week');
+  const [subject, setSubject] = useState('');
+  const [subjects, setSubjects] = useState([]);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAvailableSubjects()
+      .then((data) => {
+        if (!cancelled) setSubjects(data);
+      })
+      .catch(() => {
+        // The overall leaderboard still works without the subject list
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    getLeaderboard({ period, subject })
+      .then((data) => {
+        if (!cancelled) setResult({ key: `${period}|${subject}`, data, error: null });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setResult({ key: `${period}|${subject}`, data: null, error: err.message || 'Failed to load the leaderboard' });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [period, subject]);
+
+  // Only show what belongs to the current choice; anything else is still loading
+  const current = result?.key === `${period}|${subject}` ? result : null;
+  const leaderboard = current?.data;
+  const meShownInTop = leaderboard?.me && leaderboard.entries.some((entry) => entry.userId === leaderboard.me.userId);
+
+  return (
+    <div className="dashboard-container">
+      <div className="dashboard-content">
+        <div className="dashboard-header">
+          <h1>Leaderboards</h1>
+          <button className="dashboard-back" onClick={onBack}>Back</button>
+        </div>
+
+        <div className="leaderboard-filters">
+          <div className="leaderboard-periods">
+            {PERIODS.map((option) => (
+              <button
+                key={option.value}
+                className={period === option.value ? 'active' : ''}
+                onClick={() => setPeriod(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <select value={subject} onChange={(e) => setSubject(e.target.value)}>
+            <option value="">All subjects</option>
+            {subjects.map((s) => (
+              <option key={s._id} value={s.name}>{s.icon} {s.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {!current && <p className="dashboard-message">Loading leaderboard...</p>}
+        {current?.error && <p className="dashboard-message error">{current.error}</p>}
+
+        {leaderboard && leaderboard.entries.length === 0 && (
+          <p className="dashboard-message">
+            No XP earned {period === 'week' ? 'this week' : 'yet'}{subject ? ` in ${subject}` : ''}. Finish a quiz to top the board!
+          </p>
+        )}
+
+        {leaderboard && leaderboard.entries.length > 0 && (
+          <ol className="xp-leaderboard">
+            {leaderboard.entries.map((entry) => (
+              <LeaderboardRow key={entry.userId} entry={entry} isMe={entry.userId === user?._id} />
+            ))}
+            {leaderboard.me && !meShownInTop && (
+              <>
+                <li className="xp-leaderboard-gap">…</li>
+                <LeaderboardRow entry={leaderboard.me} isMe />
+              </>
+            )}
+          </ol>
+        )}
+
+        {period === 'week' && leaderboard && (
+          <p className="profile-hint">Weekly rankings start over every Monday at 00:00 UTC.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboards;
@@ -0,0 +1,21 @@
+import React from 'react';
+import './Profile.css';
+
+// Level and a bar filling up towards the next one ({ xp, level, levelXp, nextLevelXp } from the API)
+const LevelProgress = ({ xp, level, levelXp, nextLevelXp }) => {
+  const share = (xp - levelXp) / (nextLevelXp - levelXp);
+
+  return (
+    <div className="level-progress">
+      <div className="level-progress-labels">
+        <span className="level-progress-level">Level {level}</span>
+        <span>{nextLevelXp - xp} XP to level {level + 1}</span>
+      </div>
+      <div className="level-progress-track">
+        <div className="level-progress-fill" style={{ width: `${Math.round(share * 100)}%` }} />
+      </div>
+    </div>
+  );
+};
+
+export default LevelProgress;
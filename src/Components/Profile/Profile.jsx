@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { getProfile } from '../../services/progressService';
+import LevelProgress from './LevelProgress';
+import './Profile.css';
+
+const BadgeCard = ({ badge, locked = false }) => (
+  <li className={`badge-card ${locked ? 'locked' : ''}`} title={badge.description}>
+    <span className="badge-icon">{locked ? '🔒' : badge.icon}</span>
+    <span className="badge-name">{badge.name}</span>
+    <span className="badge-description">
+      {locked ? badge.description : `Earned ${new Date(badge.earnedAt).toLocaleDateString()}`}
+    </span>
+  </li>
+);
+
+// XP, level, streak and badges for the signed-in user
+const Profile = ({ onBack, onOpenLeaderboards }) => {
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getProfile()
+      .then((data) => {
+        if (!cancelled) setProfile(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load your profile');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <div className="dashboard-container">
+      <div className="dashboard-content">
+        <div className="dashboard-header">
+          <h1>My Profile</h1>
+          <button className="dashboard-back" onClick={onBack}>Back</button>
+        </div>
+
+        {!profile && !error && <p className="dashboard-message">Loading your profile...</p>}
+        {error && <p className="dashboard-message error">{error}</p>}
+
+        {profile && (
+          <>
+            <div className="profile-stats">
+              <div className="profile-stat">
+                <span className="profile-stat-value">{profile.xp}</span>
+                <span className="profile-stat-label">Total XP</span>
+              </div>
+              <div className="profile-stat">
+                <span className="profile-stat-value">🔥 {profile.currentStreak}</span>
+                <span className="profile-stat-label">Day streak (best {profile.longestStreak})</span>
+              </div>
+              <div className="profile-stat">
+                <span className="profile-stat-value">{profile.quizzesCompleted}</span>
+                <span className="profile-stat-label">Quizzes completed</span>
+              </div>
+            </div>
+
+            <LevelProgress {...profile} />
+
+            {profile.currentStreak === 0 && profile.longestStreak > 0 && (
+              <p className="profile-hint">Complete a quiz today to start a new streak.</p>
+            )}
+
+            <h2>Badges</h2>
+            {profile.badges.length === 0 && <p className="profile-hint">No badges yet. Finish a quiz to earn your first one.</p>}
+            <ul className="badge-grid">
+              {profile.badges.map((badge) => (
+                <BadgeCard key={badge.id} badge={badge} />
+              ))}
+              {profile.lockedBadges.map((badge) => (
+                <BadgeCard key={badge.id} badge={badge} locked />
+              ))}
+            </ul>
+
+            {profile.subjects.length > 0 && (
+              <>
+                <h2>XP by Subject</h2>
+                <table className="dashboard-table">
+                  <thead>
+                    <tr>
+                      <th>Subject</th>
+                      <th>This Week</th>
+                      <th>All Time</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {profile.subjects.map((row) => (
+                      <tr key={row.subject}>
+                        <td>{row.subject}</td>
+                        <td>{row.weekXp}</td>
+                        <td>{row.xp}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+
+            {onOpenLeaderboards && (
+              <button className="dashboard-link" onClick={onOpenLeaderboards}>
+                🏆 Leaderboards
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,51 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const WARNING_MS = 10000;
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Visible countdown to a server-issued deadline. clockOffset is (server time - local time),
+// so a skewed local clock doesn't change the remaining time. Calls onExpire once at zero.
+const Countdown = ({ deadline, clockOffset = 0, label, onExpire }) => {
+  const [now, setNow] = useState(() => Date.now());
+  const onExpireRef = useRef(onExpire);
+
+  useEffect(() => {
+    onExpireRef.current = onExpire;
+  });
+
+  useEffect(() => {
+    if (!deadline) return undefined;
+
+    const deadlineMs = new Date(deadline).getTime();
+    let fired = false;
+
+    const id = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (!fired && current + clockOffset >= deadlineMs) {
+        fired = true;
+        onExpireRef.current?.();
+      }
+    }, 250);
+
+    return () => clearInterval(id);
+  }, [deadline, clockOffset]);
+
+  if (!deadline) return null;
+
+  const remainingMs = Math.max(0, new Date(deadline).getTime() - (now + clockOffset));
+
+  return (
+    <div className={`countdown ${remainingMs <= WARNING_MS ? 'countdown-warning' : ''}`}>
+      ⏱ {label && <span className="countdown-label">{label}</span>} {formatRemaining(remainingMs)}
+    </div>
+  );
+};
+
+export default Countdown;
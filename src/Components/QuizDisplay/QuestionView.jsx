@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useEffectEvent } from 'react';
+import RichText from '../RichText/RichText';
+import { optionIndexForKey, isShortcutEvent, isOnControl } from '../../services/keyboardShortcuts';
+import { useI18n } from '../I18n/i18nContext';
+import './QuizDisplay.css';
+
+const letter = (index) => String.fromCharCode(65 + index);
+
+// Human-readable form of the revealed answer for the feedback block (t from useI18n)
+const describeCorrectAnswer = (t, type, feedback, options) => {
+  // Some saved quizzes never reveal the answer key
+  if (feedback.answersHidden) return '';
+  switch (type) {
+    case 'multiple':
+      return t('question.correctAnswers', { answers: feedback.correctAnswers.map(letter).join(', ') });
+    case 'numeric':
+      return t('question.correctAnswer', {
+        answer: `${feedback.numericAnswer}${feedback.tolerance ? ` (±${feedback.tolerance})` : ''}`,
+      });
+    case 'text':
+      return t('question.acceptedAnswer', { answer: feedback.acceptedAnswers[0] });
+    case 'true-false':
+      return t('question.correctAnswer', { answer: options[feedback.correctAnswer] });
+    default:
+      return t('question.correctAnswer', { answer: letter(feedback.correctAnswer) });
+  }
+};
+
+// What the live region reads out once an answer is graded
+const describeFeedback = (t, type, feedback, options) => {
+  if (feedback.ungraded) return t(feedback.timedOut ? 'question.timeUpSaved' : 'question.answerSaved');
+  if (feedback.isCorrect) return t('question.correct');
+  const answer = describeCorrectAnswer(t, type, feedback, options);
+  return `${feedback.timedOut ? t('question.timeUp') : t('question.incorrect')}${answer ? ` ${answer}.` : ''}`;
+};
+
+// Spoken state of a graded option, next to its ✓/✗ glyph (translation keys)
+const OPTION_STATE_LABELS = {
+  correct: 'question.optionCorrect',
+  incorrect: 'question.optionIncorrect',
+  missed: 'question.optionMissed',
+};
+
+// Renders one question, its answer input and (once graded) the feedback block.
+// Shared by QuizDisplay and the admin preview so both look identical.
+// onSelect receives the answer in the shape the server expects for the type:
+// an index (single, true-false), [indexes] (multiple), a number (numeric) or a string (text).
+const QuestionView = ({ question, selectedAnswer, feedback, onSelect, disabled }) => {
+  const { t } = useI18n();
+  const type = question.type || 'single';
+  const [draftChoices, setDraftChoices] = useState([]);
+  const [draftValue, setDraftValue] = useState('');
+
+  const isAnswered = selectedAnswer !== undefined && selectedAnswer !== null;
+  const isCorrect = Boolean(feedback?.isCorrect);
+  // Offline answers are recorded without a grade
+  const isGraded = Boolean(feedback) && !feedback.ungraded;
+  const locked = isAnswered || disabled;
+
+  const chosen = (index) =>
+    type === 'multiple'
+      ? (isAnswered ? selectedAnswer : draftChoices).includes(index)
+      : selectedAnswer === index;
+
+  // Colour an option once graded; for multi-select each option is judged on its own
+  const optionState = (index) => {
+    if (!isAnswered || !isGraded) return '';
+    if (type === 'multiple') {
+      const shouldPick = feedback.correctAnswers?.includes(index);
+      if (chosen(index)) return shouldPick ? 'correct' : 'incorrect';
+      return shouldPick ? 'missed' : '';
+    }
+    return chosen(index) ? (isCorrect ? 'correct' : 'incorrect') : '';
+  };
+
+  const handleOptionClick = (index) => {
+    if (type === 'multiple') {
+      setDraftChoices(
+        draftChoices.includes(index) ? draftChoices.filter((i) => i !== index) : [...draftChoices, index]
+      );
+    } else {
+      onSelect?.(index);
+    }
+  };
+
+  const handleSubmitDraft = (e) => {
+    e.preventDefault();
+    if (type === 'multiple') {
+      onSelect?.([...draftChoices].sort((a, b) => a - b));
+    } else if (type === 'numeric') {
+      onSelect?.(Number(draftValue));
+    } else {
+      onSelect?.(draftValue);
+    }
+  };
+
+  const hasOptions = type === 'single' || type === 'multiple' || type === 'true-false';
+  const canSubmitDraft =
+    type === 'multiple'
+      ? draftChoices.length > 0
+      : type === 'numeric'
+        ? draftValue.trim() !== '' && Number.isFinite(Number(draftValue))
+        : draftValue.trim() !== '';
+
+  // A–J / 1–0 pick an option; Enter submits a multi-select draft (see keyboardShortcuts.js)
+  const onShortcut = useEffectEvent((e) => {
+    if (locked || !onSelect || !hasOptions || !isShortcutEvent(e)) return;
+    if (e.key === 'Enter') {
+      if (type !== 'multiple' || !canSubmitDraft || isOnControl(e)) return;
+      e.preventDefault();
+      onSelect([...draftChoices].sort((a, b) => a - b));
+      return;
+    }
+    const index = optionIndexForKey(e.key, question.options.length);
+    if (index === -1) return;
+    e.preventDefault();
+    handleOptionClick(index);
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => onShortcut(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  return (
+    <>
+      <RichText className="question-text" text={question.question} />
+      {type === 'multiple' && <p className="question-hint">{t('question.chooseAll')}</p>}
+
+      {hasOptions && (
+        <div className="options">
+          {question.options.map((option, index) => (
+            <button
+              key={index}
+              className={`option-button ${optionState(index)} ${!isAnswered && chosen(index) ? 'chosen' : ''}`}
+              onClick={() => handleOptionClick(index)}
+              disabled={locked}
+              aria-pressed={type === 'multiple' ? chosen(index) : undefined}
+              aria-keyshortcuts={index < 9 ? `${letter(index)} ${index + 1}` : letter(index)}
+            >
+              <span className="option-letter">
+                {letter(index)}
+              </span>
+              <RichText inline className="option-text" text={option} />
+              {isAnswered && chosen(index) && !feedback?.ungraded && (
+                <span className="option-icon" aria-hidden="true">
+                  {optionState(index) === 'correct' ? '✓' : '✗'}
+                </span>
+              )}
+              {OPTION_STATE_LABELS[optionState(index)] && (
+                <span className="visually-hidden">, {t(OPTION_STATE_LABELS[optionState(index)])}</span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {(type === 'multiple' || type === 'numeric' || type === 'text') && !isAnswered && (
+        <form className="answer-form" onSubmit={handleSubmitDraft}>
+          {type === 'numeric' && (
+            <input
+              type="number"
+              step="any"
+              className="answer-input"
+              value={draftValue}
+              onChange={(e) => setDraftValue(e.target.value)}
+              disabled={locked}
+              placeholder={t('question.enterNumber')}
+            />
+          )}
+          {type === 'text' && (
+            <input
+              type="text"
+              className="answer-input"
+              value={draftValue}
+              onChange={(e) => setDraftValue(e.target.value)}
+              disabled={locked}
+              placeholder={t('question.typeAnswer')}
+            />
+          )}
+          <button type="submit" className="submit-answer-button" disabled={locked || !canSubmitDraft}>
+            {t('question.submitAnswer')}
+          </button>
+        </form>
+      )}
+
+      {isAnswered && (type === 'numeric' || type === 'text') && (
+        <div className={`answer-given ${feedback?.ungraded ? '' : isCorrect ? 'correct' : 'incorrect'}`}>
+          {t('question.yourAnswer', { answer: String(selectedAnswer) })}
+        </div>
+      )}
+
+      {/* Mounted empty with the question so screen readers announce the result when it arrives */}
+      <p className="visually-hidden" role="status" aria-live="polite">
+        {feedback ? describeFeedback(t, type, feedback, question.options) : ''}
+      </p>
+
+      {feedback?.ungraded && (
+        <div className="feedback">
+          <p>{describeFeedback(t, type, feedback, question.options)}</p>
+        </div>
+      )}
+
+      {isGraded && (
+        <div className={`feedback ${isCorrect ? 'correct-feedback' : 'incorrect-feedback'}`}>
+          <p>
+            {isCorrect
+              ? t('question.correctFeedback')
+              : t(feedback.timedOut ? 'question.timeUpFeedback' : 'question.wrongFeedback', {
+                  answer: describeCorrectAnswer(t, type, feedback, question.options),
+                })}
+          </p>
+          {feedback.explanation && (
+            <RichText className="explanation" text={feedback.explanation} />
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default QuestionView;
@@ -1,121 +1,349 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
+import {
+  submitAnswer,
+  completeAttempt,
+  presentQuestion,
+  getNextQuestion,
+  saveQuizProgress,
+  loadQuizProgress,
+  clearQuizProgress,
+} from '../../services/quizService';
+import { FLAG_KEY, isShortcutEvent, isOnControl } from '../../services/keyboardShortcuts';
+import QuestionView from './QuestionView';
+import Countdown from './Countdown';
+import { useI18n } from '../I18n/i18nContext';
 import './QuizDisplay.css';
 
-const QuizDisplay = ({ questions, onComplete, subject, difficulty }) => {
-  const [currentQuestion, setCurrentQuestion] = useState(0);
-  const [score, setScore] = useState(0);
-  const [selectedAnswers, setSelectedAnswers] = useState({});
-  const [showResult, setShowResult] = useState(false);
+const TIER_ORDER = ['easy', 'medium', 'hard'];
 
-  if (!questions || questions.length === 0) {
-    return <div className="loading">Loading questions...</div>;
-  }
+// The attempt API calls; offline attempts swap in stand-ins that work from a downloaded pack
+const onlineClient = { presentQuestion, submitAnswer, completeAttempt, getNextQuestion };
 
-  const question = questions[currentQuestion];
+// Where a resumed attempt picks up: the answers and feedback given so far, the flags saved in
+// local storage, and the first unanswered question (or the last answered one, ready for Next)
+const restoreProgress = (resume, questions, progress) => {
+  const selectedAnswers = {};
+  const feedback = {};
+  resume.answers.forEach((answer, index) => {
+    if (!answer) return;
+    selectedAnswers[index] = answer.selectedAnswer;
+    feedback[index] = answer;
+  });
 
-  const handleAnswerClick = (optionIndex) => {
-    if (!selectedAnswers[currentQuestion]) {
-      const newAnswers = { ...selectedAnswers, [currentQuestion]: optionIndex };
-      setSelectedAnswers(newAnswers);
+  const flaggedIds = new Set(progress?.flagged || []);
+  const flagged = {};
+  questions.forEach((q, index) => {
+    if (flaggedIds.has(String(q._id))) flagged[index] = true;
+  });
 
-      // Check if answer is correct
-      if (optionIndex === question.correctAnswer) {
-        setScore(score + 1);
-      }
+  const firstOpen = resume.answers.findIndex((answer) => !answer);
+  return {
+    currentQuestion: firstOpen === -1 ? Math.max(resume.answers.length - 1, 0) : firstOpen,
+    showResult: firstOpen === -1,
+    score: resume.score,
+    selectedAnswers,
+    feedback,
+    flagged,
+  };
+};
+
+// total is the planned length when it's more than the questions handed over up front
+// (adaptive attempts get each following question from the server once one is answered).
+// resume ({ answers, score } from the active attempt) restores an attempt after a reload.
+// client replaces the attempt API calls (see startOfflineAttempt).
+const QuizDisplay = ({
+  questions,
+  total,
+  attemptId,
+  timing,
+  quizDeadline,
+  serverNow,
+  resume,
+  client = onlineClient,
+  onComplete,
+  subject,
+  difficulty,
+}) => {
+  const { t } = useI18n();
+  const [restored] = useState(() => (resume ? restoreProgress(resume, questions, loadQuizProgress(attemptId)) : null));
+  const [loadedQuestions, setLoadedQuestions] = useState(questions);
+  const [currentQuestion, setCurrentQuestion] = useState(restored?.currentQuestion ?? 0);
+  const [score, setScore] = useState(restored?.score ?? 0);
+  const [selectedAnswers, setSelectedAnswers] = useState(restored?.selectedAnswers ?? {});
+  const [feedback, setFeedback] = useState(restored?.feedback ?? {});
+  const [presented, setPresented] = useState({});
+  const [flagged, setFlagged] = useState(restored?.flagged ?? {});
+  const [clockOffset, setClockOffset] = useState(() => (serverNow ? new Date(serverNow).getTime() - Date.now() : 0));
+  const [showResult, setShowResult] = useState(restored?.showResult ?? false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const questionRef = useRef(null);
+  const nextButtonRef = useRef(null);
+
+  const currentId = loadedQuestions?.[currentQuestion]?._id;
+  const totalQuestions = total || loadedQuestions?.length || 0;
+
+  const onPresentFailed = useEffectEvent((err) => setError(err.message || t('quiz.loadFailed')));
+
+  // Tell the server the question is on screen. This starts its clock in per-question
+  // mode, where the question content is only handed out at this point.
+  useEffect(() => {
+    if (!attemptId || !currentId) return undefined;
+
+    let cancelled = false;
+    client
+      .presentQuestion(attemptId, currentId)
+      .then((data) => {
+        if (cancelled) return;
+        setPresented((prev) => ({ ...prev, [currentQuestion]: data }));
+        setClockOffset(new Date(data.serverNow).getTime() - Date.now());
+      })
+      .catch((err) => {
+        if (!cancelled) onPresentFailed(err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [client, attemptId, currentId, currentQuestion]);
+
+  // Mirror the client-only progress so a reload can restore it
+  useEffect(() => {
+    if (!attemptId || !loadedQuestions) return;
+    saveQuizProgress(attemptId, {
+      currentQuestion,
+      flagged: loadedQuestions.filter((_, index) => flagged[index]).map((q) => String(q._id)),
+    });
+  }, [attemptId, currentQuestion, flagged, loadedQuestions]);
+
+  const isAnswered = selectedAnswers[currentQuestion] !== undefined;
+  const isLoaded = Boolean((presented[currentQuestion]?.question || loadedQuestions?.[currentQuestion])?.question);
 
+  // Move focus to each new question so screen readers start reading it, and to Next once it's answered
+  useEffect(() => {
+    if (isLoaded && !isAnswered) questionRef.current?.focus();
+  }, [currentQuestion, isLoaded, isAnswered]);
+
+  useEffect(() => {
+    if (isAnswered) nextButtonRef.current?.focus();
+  }, [currentQuestion, isAnswered]);
+
+  // Enter moves on once the question is answered; R toggles the flag (see keyboardShortcuts.js)
+  const onShortcut = useEffectEvent((e) => {
+    if (!isLoaded || !isShortcutEvent(e)) return;
+    if (e.key === 'Enter' && isAnswered && !submitting && !isOnControl(e)) {
+      e.preventDefault();
+      handleNext();
+    } else if (e.key.toLowerCase() === FLAG_KEY) {
+      e.preventDefault();
+      toggleFlag();
+    }
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => onShortcut(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  if (!loadedQuestions || loadedQuestions.length === 0) {
+    return <div className="loading">{t('quiz.loadingQuestions')}</div>;
+  }
+
+  const question = presented[currentQuestion]?.question || loadedQuestions[currentQuestion];
+
+  // Grading happens on the server; the client never sees correctAnswer up front.
+  // A null answer records a timeout.
+  const recordAnswer = async (answer) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const result = await client.submitAnswer(attemptId, currentId, answer);
+      setSelectedAnswers({ ...selectedAnswers, [currentQuestion]: answer });
+      setFeedback({ ...feedback, [currentQuestion]: result });
+      setScore(result.score);
       setShowResult(true);
+      return result;
+    } catch (err) {
+      setError(err.message || t('quiz.submitFailed'));
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAnswerClick = async (answer) => {
+    if (selectedAnswers[currentQuestion] !== undefined || submitting) return;
+    await recordAnswer(answer);
+  };
+
+  // Quiz completed - the final score is computed and stored by the server
+  const finishQuiz = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const flaggedIds = loadedQuestions.filter((_, index) => flagged[index]).map((q) => q._id);
+      const result = await client.completeAttempt(attemptId, flaggedIds);
+      clearQuizProgress();
+      onComplete({
+        score: result.score,
+        totalQuestions: result.totalQuestions,
+        answers: result.answers,
+        proficiency: result.proficiency,
+        showAnswers: result.showAnswers,
+        reward: result.reward || null,
+        pendingSync: Boolean(result.pendingSync),
+      });
+    } catch (err) {
+      setError(err.message || t('quiz.finishFailed'));
+      setSubmitting(false);
+    }
+  };
+
+  const toggleFlag = () => {
+    setFlagged({ ...flagged, [currentQuestion]: !flagged[currentQuestion] });
+  };
+
+  // Ask the server for the next adaptive question; if the subject has run out, finish with what was served
+  const loadNextQuestion = async () => {
+    setSubmitting(true);
+    setError(null);
+    let next;
+    try {
+      next = await client.getNextQuestion(attemptId);
+    } catch (err) {
+      if (err.status === 404) {
+        finishQuiz();
+      } else {
+        setError(err.message || t('quiz.nextFailed'));
+        setSubmitting(false);
+      }
+      return;
     }
+    setLoadedQuestions([...loadedQuestions, next.question]);
+    setCurrentQuestion(currentQuestion + 1);
+    setShowResult(false);
+    setSubmitting(false);
   };
 
   const handleNext = () => {
-    if (currentQuestion < questions.length - 1) {
+    if (currentQuestion < loadedQuestions.length - 1) {
       setCurrentQuestion(currentQuestion + 1);
       setShowResult(false);
+    } else if (loadedQuestions.length < totalQuestions) {
+      loadNextQuestion();
     } else {
-      // Quiz completed
-      onComplete({ score, totalQuestions: questions.length });
+      finishQuiz();
     }
   };
 
-  const isAnswered = selectedAnswers[currentQuestion] !== undefined;
-  const isCorrect = selectedAnswers[currentQuestion] === question.correctAnswer;
+  // Per-question limit ran out: record the timeout and move on
+  const handleQuestionExpire = async () => {
+    if (selectedAnswers[currentQuestion] !== undefined || submitting) return;
+    const result = await recordAnswer(null);
+    if (result) handleNext();
+  };
+
+  const currentFeedback = feedback[currentQuestion];
+  const tierChange =
+    showResult && currentFeedback?.nextTier && question.difficulty && currentFeedback.nextTier !== question.difficulty
+      ? TIER_ORDER.indexOf(currentFeedback.nextTier) - TIER_ORDER.indexOf(question.difficulty)
+      : 0;
 
   return (
     <div className="quiz-container">
       <div className="quiz-header">
         <div className="quiz-info">
           <h1>{subject}</h1>
-          <span className="difficulty-badge">{difficulty}</span>
+          <span className="difficulty-badge">{t(`difficulty.${difficulty}`)}</span>
         </div>
+        {timing?.mode === 'quiz' && (
+          <Countdown deadline={quizDeadline} clockOffset={clockOffset} label={t('quiz.quizTimer')} onExpire={finishQuiz} />
+        )}
+        {timing?.mode === 'question' && !isAnswered && presented[currentQuestion]?.deadline && (
+          <Countdown
+            key={currentQuestion}
+            deadline={presented[currentQuestion].deadline}
+            clockOffset={clockOffset}
+            label={t('quiz.questionTimer')}
+            onExpire={handleQuestionExpire}
+          />
+        )}
         <div className="progress-bar">
           <div
             className="progress-fill"
             style={{
-              width: `${((currentQuestion + 1) / questions.length) * 100}%`,
+              width: `${((currentQuestion + 1) / totalQuestions) * 100}%`,
             }}
           ></div>
         </div>
         <div className="question-counter">
-          Question {currentQuestion + 1} of {questions.length}
+          {t('quiz.questionOf', { current: currentQuestion + 1, total: totalQuestions })}
         </div>
       </div>
 
       <div className="quiz-content">
-        <h2 className="question-text">{question.question}</h2>
-
-        <div className="options">
-          {question.options.map((option, index) => (
-            <button
-              key={index}
-              className={`option-button ${
-                selectedAnswers[currentQuestion] === index
-                  ? isCorrect
-                    ? 'correct'
-                    : 'incorrect'
-                  : ''
-              }`}
-              onClick={() => handleAnswerClick(index)}
-              disabled={isAnswered}
-            >
-              <span className="option-letter">
-                {String.fromCharCode(65 + index)}
-              </span>
-              <span className="option-text">{option}</span>
-              {isAnswered && selectedAnswers[currentQuestion] === index && (
-                <span className="option-icon">
-                  {isCorrect ? '✓' : '✗'}
-                </span>
-              )}
-            </button>
-          ))}
-        </div>
-
-        {showResult && (
-          <div className={`feedback ${isCorrect ? 'correct-feedback' : 'incorrect-feedback'}`}>
-            <p>
-              {isCorrect
-                ? '🎉 Correct! Great job!'
-                : `❌ Wrong! The correct answer is ${String.fromCharCode(65 + question.correctAnswer)}`}
-            </p>
-            {question.explanation && (
-              <p className="explanation">{question.explanation}</p>
-            )}
+        {question.subject && (question.subject !== subject || question.difficulty !== difficulty) && (
+          <div className="question-source">
+            {question.subject} · {question.difficulty}
+          </div>
+        )}
+        {isLoaded ? (
+          <div
+            ref={questionRef}
+            className="question-focus"
+            tabIndex={-1}
+            role="group"
+            aria-label={t('quiz.questionOf', { current: currentQuestion + 1, total: totalQuestions })}
+          >
+            <QuestionView
+              key={currentQuestion}
+              question={question}
+              selectedAnswer={selectedAnswers[currentQuestion]}
+              feedback={showResult ? currentFeedback : null}
+              onSelect={handleAnswerClick}
+              disabled={submitting || isAnswered}
+            />
           </div>
+        ) : (
+          <p className="question-loading">{t('quiz.loadingQuestion')}</p>
+        )}
+
+        {tierChange !== 0 && (
+          <p className="tier-change">
+            {tierChange > 0 ? t('quiz.nextHarder') : t('quiz.nextEasier')} ({t(`difficulty.${currentFeedback.nextTier}`)})
+          </p>
         )}
+
+        {error && <div className="feedback incorrect-feedback">{error}</div>}
       </div>
 
       <div className="quiz-footer">
+        {/* Offline answers aren't graded until they sync */}
         <div className="score-display">
-          Score: {score}/{questions.length}
+          {score !== null && t('quiz.score', { score, total: totalQuestions })}
         </div>
         <button
+          className={`flag-button ${flagged[currentQuestion] ? 'flagged' : ''}`}
+          onClick={toggleFlag}
+          aria-pressed={Boolean(flagged[currentQuestion])}
+          aria-keyshortcuts="R"
+        >
+          🚩 {flagged[currentQuestion] ? t('quiz.flagged') : t('quiz.flagForReview')}
+        </button>
+        <button
+          ref={nextButtonRef}
           className="next-button"
           onClick={handleNext}
-          disabled={!isAnswered}
+          disabled={!isAnswered || submitting}
         >
-          {currentQuestion === questions.length - 1 ? 'Finish Quiz' : 'Next Question'}
+          {currentQuestion === totalQuestions - 1 ? t('quiz.finishQuiz') : t('quiz.nextQuestion')}
         </button>
       </div>
+
+      <p className="keyboard-hint">
+        {t('quiz.keyboard')} <kbd>A</kbd>–<kbd>D</kbd> {t('quiz.keyboardOr')} <kbd>1</kbd>–<kbd>4</kbd>{' '}
+        {t('quiz.keyboardAnswer')} · <kbd>Enter</kbd> {t('quiz.keyboardNext')} · <kbd>R</kbd> {t('quiz.keyboardFlag')}
+      </p>
     </div>
   );
 };
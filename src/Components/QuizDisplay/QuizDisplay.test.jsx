@@ -0,0 +1,228 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import QuizDisplay from './QuizDisplay';
+
+const QUESTIONS = [
+  { _id: 'q1', type: 'single', question: 'Which structure is LIFO?', options: ['Queue', 'Stack', 'Tree', 'Heap'] },
+  { _id: 'q2', type: 'single', question: 'Which structure is FIFO?', options: ['Queue', 'Stack', 'Tree', 'Heap'] },
+];
+const CORRECT = { q1: 1, q2: 0 };
+
+// Stands in for the attempt API, grading against CORRECT
+const makeClient = () => {
+  let score = 0;
+  return {
+    presentQuestion: vi.fn(async (attemptId, questionId) => ({
+      question: QUESTIONS.find((q) => q._id === questionId),
+      presentedAt: new Date(),
+      deadline: null,
+      serverNow: new Date(),
+    })),
+    submitAnswer: vi.fn(async (attemptId, questionId, answer) => {
+      const isCorrect = answer === CORRECT[questionId];
+      score += isCorrect ? 1 : 0;
+      return { isCorrect, timedOut: false, correctAnswer: CORRECT[questionId], explanation: null, score };
+    }),
+    completeAttempt: vi.fn(async () => ({ score, totalQuestions: QUESTIONS.length, answers: [], showAnswers: true })),
+    getNextQuestion: vi.fn(),
+  };
+};
+
+const renderQuiz = (client = makeClient(), onComplete = vi.fn()) => {
+  const view = render(
+    <QuizDisplay
+      questions={QUESTIONS}
+      attemptId="attempt-1"
+      timing={{ mode: 'none' }}
+      client={client}
+      onComplete={onComplete}
+      subject="Data Structures"
+      difficulty="easy"
+    />
+  );
+  return { ...view, client, onComplete, user: userEvent.setup() };
+};
+
+const questionGroup = (number) => screen.getByRole('group', { name: `Question ${number} of ${QUESTIONS.length}` });
+
+describe('QuizDisplay keyboard shortcuts', () => {
+  it('answers with a letter key', async () => {
+    const { user, client } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('b');
+
+    expect(client.submitAnswer).toHaveBeenCalledWith('attempt-1', 'q1', 1);
+    expect(await screen.findByText('Score: 1/2')).toBeInTheDocument();
+  });
+
+  it('answers with a number key', async () => {
+    const { user, client } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('3');
+
+    expect(client.submitAnswer).toHaveBeenCalledWith('attempt-1', 'q1', 2);
+  });
+
+  it('ignores option keys once the question is answered', async () => {
+    const { user, client } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('b');
+    await user.keyboard('a');
+
+    expect(client.submitAnswer).toHaveBeenCalledTimes(1);
+  });
+
+  it('toggles the flag with R', async () => {
+    const { user } = renderQuiz();
+    const flag = screen.getByRole('button', { name: /flag for review/i });
+    expect(flag).toHaveAttribute('aria-pressed', 'false');
+
+    await user.keyboard('r');
+    expect(screen.getByRole('button', { name: /flagged/i })).toHaveAttribute('aria-pressed', 'true');
+
+    await user.keyboard('R');
+    expect(screen.getByRole('button', { name: /flag for review/i })).toHaveAttribute('aria-pressed', 'false');
+  });
+
+  it('moves on with Enter and finishes after the last question', async () => {
+    const { user, onComplete } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('b');
+    await user.keyboard('{Enter}');
+    await waitFor(() => expect(questionGroup(2)).toHaveFocus());
+
+    await user.keyboard('a');
+    await user.keyboard('{Enter}');
+    await waitFor(() => expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ score: 2, totalQuestions: 2 })));
+  });
+
+  it('leaves keys alone while modifier keys are held', async () => {
+    const { user, client } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('{Control>}b{/Control}');
+
+    expect(client.submitAnswer).not.toHaveBeenCalled();
+  });
+});
+
+describe('QuizDisplay focus management', () => {
+  it('focuses the question when it loads', async () => {
+    renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+  });
+
+  it('focuses Next once the question is answered', async () => {
+    const { user } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.click(screen.getByRole('button', { name: /Stack/ }));
+
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Next Question' })).toHaveFocus());
+  });
+
+  it('focuses the next question after Next', async () => {
+    const { user } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('b');
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Next Question' })).toHaveFocus());
+    await user.click(screen.getByRole('button', { name: 'Next Question' }));
+
+    await waitFor(() => expect(questionGroup(2)).toHaveFocus());
+    expect(screen.getByRole('button', { name: 'Finish Quiz' })).toBeDisabled();
+  });
+});
+
+describe('QuizDisplay feedback live region', () => {
+  it('is mounted empty before the question is answered', async () => {
+    renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    const status = screen.getByRole('status');
+    expect(status).toHaveAttribute('aria-live', 'polite');
+    expect(status).toBeEmptyDOMElement();
+  });
+
+  it('announces a correct answer', async () => {
+    const { user } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('b');
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Correct!'));
+  });
+
+  it('announces a wrong answer with the correct one', async () => {
+    const { user } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('a');
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Incorrect. The correct answer is B.'));
+  });
+
+  it('tells screen readers how each graded option went', async () => {
+    const { user } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('a');
+
+    await waitFor(() =>
+      expect(screen.getByRole('button', { name: /Queue, your answer, incorrect/ })).toBeInTheDocument()
+    );
+  });
+});
+
+describe('QuizDisplay offline attempts', () => {
+  // Offline answers are only recorded; the server grades them when they sync
+  const makeOfflineClient = () => ({
+    ...makeClient(),
+    submitAnswer: vi.fn(async () => ({ ungraded: true, isCorrect: null, timedOut: false, explanation: null, score: null })),
+    completeAttempt: vi.fn(async () => ({ score: null, totalQuestions: QUESTIONS.length, answers: [], pendingSync: true })),
+  });
+
+  it('saves the answer without grading it', async () => {
+    const { user } = renderQuiz(makeOfflineClient());
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('a');
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent(/Answer saved/));
+    expect(screen.queryByText(/Incorrect|Correct!/)).not.toBeInTheDocument();
+    expect(screen.queryByText(/Score:/)).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Queue/ })).not.toHaveClass('incorrect');
+  });
+
+  it('finishes waiting for the sync', async () => {
+    const { user, onComplete } = renderQuiz(makeOfflineClient());
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+
+    await user.keyboard('a');
+    await user.keyboard('{Enter}');
+    await waitFor(() => expect(questionGroup(2)).toHaveFocus());
+    await user.keyboard('b');
+    await user.keyboard('{Enter}');
+
+    await waitFor(() => expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ pendingSync: true, score: null })));
+  });
+});
+
+describe('QuizDisplay accessibility', () => {
+  it('has no axe violations before and after answering', async () => {
+    const { container, user } = renderQuiz();
+    await waitFor(() => expect(questionGroup(1)).toHaveFocus());
+    expect(await axe(container)).toHaveNoViolations();
+
+    await user.keyboard('a');
+    await waitFor(() => expect(screen.getByRole('status')).not.toBeEmptyDOMElement());
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
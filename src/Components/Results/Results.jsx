@@ -1,17 +1,82 @@
-import React from 'react';
+import React, { useState } from 'react';
+import SaveQuizForm from '../SavedQuizzes/SaveQuizForm';
+import RichText from '../RichText/RichText';
+import LevelProgress from '../Profile/LevelProgress';
+import { useI18n } from '../I18n/i18nContext';
+import { formatNumber } from '../../services/i18n';
 import './Results.css';
 
-const Results = ({ score, totalQuestions, subject, difficulty, onRetry, onSelectNewSubject }) => {
+// Labels are translation keys
+const REVIEW_FILTERS = [
+  { value: 'all', label: 'results.filterAll' },
+  { value: 'wrong', label: 'results.filterWrong' },
+  { value: 'flagged', label: 'results.filterFlagged' },
+];
+
+const optionLabel = (options, index) => `${String.fromCharCode(65 + index)}. ${options[index]}`;
+
+// Describe the learner's answer for a reviewed question (t from useI18n)
+const formatGivenAnswer = (t, item) => {
+  if (item.timedOut) return t('results.timedOut');
+  if (item.selectedAnswer === null || item.selectedAnswer === undefined) return t('results.notAnswered');
+
+  const { type, options } = item.question;
+  if (type === 'multiple') return item.selectedAnswer.map((i) => optionLabel(options, i)).join(', ');
+  if (type === 'numeric' || type === 'text') return String(item.selectedAnswer);
+  return optionLabel(options, item.selectedAnswer);
+};
+
+// Describe the correct answer for a reviewed question
+const formatCorrectAnswer = (item) => {
+  const { type, options } = item.question;
+  if (type === 'multiple') return item.correctAnswers.map((i) => optionLabel(options, i)).join(', ');
+  if (type === 'numeric') return `${item.numericAnswer}${item.tolerance ? ` (±${item.tolerance})` : ''}`;
+  if (type === 'text') return item.acceptedAnswers.join(' / ');
+  return optionLabel(options, item.correctAnswer);
+};
+
+const Results = ({
+  score,
+  totalQuestions,
+  answers = [],
+  proficiency = null,
+  reward = null,
+  showAnswers = true,
+  pendingSync = false,
+  savedQuiz = null,
+  subject,
+  difficulty,
+  onRetry,
+  onRetryQuestions,
+  onSaveQuiz,
+  onSelectNewSubject,
+}) => {
+  const { locale, t } = useI18n();
+  const [reviewFilter, setReviewFilter] = useState('all');
   const percentage = Math.round((score / totalQuestions) * 100);
 
+  const reviewItems = answers
+    .map((item, index) => ({ ...item, number: index + 1 }))
+    .filter((item) => item.question)
+    .filter((item) => {
+      if (reviewFilter === 'wrong') return !item.isCorrect;
+      if (reviewFilter === 'flagged') return item.flagged;
+      return true;
+    });
+
+  const wrongQuestionIds = answers.filter((item) => !item.isCorrect && item.question).map((item) => item.questionId);
+
   const getPerformanceMessage = () => {
-    if (percentage === 100) return "Perfect! You're a quiz master! 🏆";
-    if (percentage >= 80) return "Excellent performance! Well done! 🎉";
-    if (percentage >= 60) return "Good job! Keep practicing! 👍";
-    if (percentage >= 40) return "Not bad! Review and try again! 📚";
-    return "Keep learning! You'll do better next time! 💪";
+    if (percentage === 100) return t('results.perfect');
+    if (percentage >= 80) return t('results.excellent');
+    if (percentage >= 60) return t('results.good');
+    if (percentage >= 40) return t('results.fair');
+    return t('results.keepLearning');
   };
 
+  const formatFixed = (value, digits) =>
+    formatNumber(locale, value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
   const getPerformanceColor = () => {
     if (percentage === 100) return '#FFD700';
     if (percentage >= 80) return '#4CAF50';
@@ -24,44 +89,149 @@ const Results = ({ score, totalQuestions, subject, difficulty, onRetry, onSelect
     <div className="results-container">
       <div className="results-content">
         <div className="results-header">
-          <h1>Quiz Completed! 🎊</h1>
-          <p className="subject-info">{subject} - {difficulty} Level</p>
+          <h1>{t('results.title')}</h1>
+          <p className="subject-info">
+            {subject} -{' '}
+            {difficulty === 'adaptive'
+              ? t('difficulty.adaptive')
+              : t('results.level', { difficulty: t(`difficulty.${difficulty}`) })}
+          </p>
         </div>
 
-        <div className="score-circle" style={{ borderColor: getPerformanceColor() }}>
-          <div className="score-number" style={{ color: getPerformanceColor() }}>
-            {percentage}%
+        {/* An offline quiz is only graded once it syncs */}
+        {pendingSync && <div className="performance-message">{t('results.pendingSync')}</div>}
+
+        {!pendingSync && (
+          <div className="score-circle" style={{ borderColor: getPerformanceColor() }}>
+            <div className="score-number" style={{ color: getPerformanceColor() }}>
+              {percentage}%
+            </div>
+            <div className="score-text">{t('results.score')}</div>
           </div>
-          <div className="score-text">Score</div>
-        </div>
+        )}
 
-        <div className="score-details">
-          <div className="detail-item">
-            <span className="detail-label">Correct Answers:</span>
-            <span className="detail-value correct">{score}</span>
+        {!pendingSync && (
+          <div className="score-details">
+            <div className="detail-item">
+              <span className="detail-label">{t('results.correctAnswers')}</span>
+              <span className="detail-value correct">{score}</span>
+            </div>
+            <div className="divider"></div>
+            <div className="detail-item">
+              <span className="detail-label">{t('results.totalQuestions')}</span>
+              <span className="detail-value">{totalQuestions}</span>
+            </div>
+            <div className="divider"></div>
+            <div className="detail-item">
+              <span className="detail-label">{t('results.wrongAnswers')}</span>
+              <span className="detail-value incorrect">{totalQuestions - score}</span>
+            </div>
           </div>
-          <div className="divider"></div>
-          <div className="detail-item">
-            <span className="detail-label">Total Questions:</span>
-            <span className="detail-value">{totalQuestions}</span>
+        )}
+
+        {reward && (
+          <div className="results-reward">
+            <div className="results-reward-summary">
+              <span className="results-reward-xp">{t('results.xpEarned', { xp: reward.xpEarned })}</span>
+              {reward.streak > 0 && <span>{t('results.streak', { count: reward.streak })}</span>}
+            </div>
+            <LevelProgress {...reward} />
+            {reward.newBadges.map((badge) => (
+              <div key={badge.id} className="results-reward-badge">
+                {badge.icon} {t('results.badgeUnlocked')} <strong>{badge.name}</strong>
+              </div>
+            ))}
           </div>
-          <div className="divider"></div>
-          <div className="detail-item">
-            <span className="detail-label">Wrong Answers:</span>
-            <span className="detail-value incorrect">{totalQuestions - score}</span>
+        )}
+
+        {proficiency && (
+          <div className="proficiency">
+            <span className="detail-label">{t('results.proficiency')}</span>
+            <span className="proficiency-level">{proficiency.level}</span>
+            <span className="proficiency-ability">
+              {t('results.ability', {
+                ability: formatFixed(proficiency.ability, 2),
+                error: formatFixed(proficiency.standardError, 2),
+              })}
+            </span>
           </div>
-        </div>
+        )}
 
-        <div className="performance-message">
-          {getPerformanceMessage()}
-        </div>
+        {!pendingSync && (
+          <div className="performance-message">
+            {getPerformanceMessage()}
+          </div>
+        )}
+
+        {answers.length > 0 && (
+          <div className="answer-review">
+            <div className="review-header">
+              <h2>{t('results.reviewAnswers')}</h2>
+              <div className="review-filters">
+                {REVIEW_FILTERS.map((filter) => (
+                  <button
+                    key={filter.value}
+                    className={`review-filter ${reviewFilter === filter.value ? 'active' : ''}`}
+                    onClick={() => setReviewFilter(filter.value)}
+                  >
+                    {t(filter.label)}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {!showAnswers && <p className="review-empty">{t('results.answersHidden')}</p>}
+            {reviewItems.length === 0 && <p className="review-empty">{t('results.nothingToShow')}</p>}
+
+            <ol className="review-list">
+              {reviewItems.map((item) => (
+                <li key={item.questionId} className={`review-item ${item.isCorrect ? 'correct' : 'incorrect'}`}>
+                  <div className="review-question">
+                    <span className="review-number">Q{item.number}</span>
+                    <RichText text={item.question.question} />
+                    {item.flagged && <span className="review-flag" title={t('results.flagged')}>🚩</span>}
+                  </div>
+                  <div className="review-answer">
+                    <span className="review-label">{t('results.yourAnswer')}</span>{' '}
+                    <RichText inline text={formatGivenAnswer(t, item)} />
+                    {item.isCorrect ? ' ✓' : ' ✗'}
+                  </div>
+                  {!item.isCorrect && showAnswers && (
+                    <div className="review-answer">
+                      <span className="review-label">{t('results.correctAnswer')}</span>{' '}
+                      <RichText inline text={formatCorrectAnswer(item)} />
+                    </div>
+                  )}
+                  {item.explanation && <RichText className="review-explanation" text={item.explanation} />}
+                  {item.timeTakenMs !== null && item.timeTakenMs !== undefined && !item.timedOut && (
+                    <div className="review-time">{t('results.time', { seconds: formatFixed(item.timeTakenMs / 1000, 1) })}</div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
 
         <div className="results-buttons">
-          <button className="button retry-button" onClick={onRetry}>
-            Retry Same Quiz
+          <button className="button retry-button" onClick={() => onRetry({ identical: true })}>
+            {savedQuiz ? t('results.tryAgain') : t('results.retryIdentical')}
           </button>
+          {!savedQuiz && (
+            <button className="button retry-button" onClick={() => onRetry()}>
+              {t('results.newQuestions')}
+            </button>
+          )}
+          {/* A normal attempt reveals the answers and doesn't count towards an attempt limit */}
+          {onRetryQuestions && showAnswers && !savedQuiz?.maxAttempts && wrongQuestionIds.length > 0 && (
+            <button className="button retry-wrong-button" onClick={() => onRetryQuestions(wrongQuestionIds)}>
+              {t('results.retryWrong', { count: wrongQuestionIds.length })}
+            </button>
+          )}
+          {onSaveQuiz && !savedQuiz && (
+            <SaveQuizForm defaultTitle={`${subject} - ${difficulty}`} onSave={onSaveQuiz} />
+          )}
           <button className="button new-subject-button" onClick={onSelectNewSubject}>
-            Select Another Subject
+            {t('results.selectAnotherSubject')}
           </button>
         </div>
       </div>
@@ -0,0 +1,13 @@
+import React, { useMemo } from 'react';
+import { renderRichText } from '../../services/richText';
+import './RichText.css';
+
+// Markdown question content (code, math, images) rendered as sanitized HTML.
+// inline renders into a <span> without block elements, e.g. inside option buttons.
+const RichText = ({ text, inline = false, className = '' }) => {
+  const html = useMemo(() => renderRichText(text, { inline }), [text, inline]);
+  const Tag = inline ? 'span' : 'div';
+  return <Tag className={`rich-text ${className}`} dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+export default RichText;
@@ -0,0 +1,31 @@
+import React from 'react';
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// Ranked player list; highlights the signed-in player and shows last-question points
+const Leaderboard = ({ entries, currentUserId, results }) => {
+  const pointsFor = (userId) => results?.find((r) => r.userId === userId)?.points;
+
+  return (
+    <ol className="leaderboard">
+      {entries.map((entry) => {
+        const points = pointsFor(entry.userId);
+        return (
+          <li
+            key={entry.userId}
+            className={`leaderboard-row ${entry.userId === currentUserId ? 'me' : ''}`}
+          >
+            <span className="leaderboard-rank">{MEDALS[entry.rank - 1] || entry.rank}</span>
+            <span className="leaderboard-name">{entry.username}</span>
+            {points !== undefined && (
+              <span className={`leaderboard-delta ${points > 0 ? 'gained' : ''}`}>+{points}</span>
+            )}
+            <span className="leaderboard-score">{entry.score}</span>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { subscribeToRoom, startRoom, submitRoomAnswer } from '../../services/roomService';
+import QuestionView from '../QuizDisplay/QuestionView';
+import Countdown from '../QuizDisplay/Countdown';
+import Leaderboard from './Leaderboard';
+import './Room.css';
+
+const offsetFrom = (serverNow) => new Date(serverNow).getTime() - Date.now();
+
+// A live multiplayer room: lobby, then questions pushed by the server to every
+// player at once, a reveal with the leaderboard after each one, and final standings.
+const Room = ({ code, user, onLeave }) => {
+  const [room, setRoom] = useState(null);
+  const [status, setStatus] = useState('connecting');
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [selectedAnswer, setSelectedAnswer] = useState(null);
+  const [answeredCount, setAnsweredCount] = useState(null);
+  const [reveal, setReveal] = useState(null);
+  const [clockOffset, setClockOffset] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+  const [connectionLost, setConnectionLost] = useState(false);
+  const [error, setError] = useState(null);
+
+  const userId = String(user._id);
+  const isHost = room?.hostId === userId;
+
+  useEffect(() => {
+    return subscribeToRoom(
+      code,
+      {
+        // Sent on every (re)connect
+        state: (snapshot) => {
+          setRoom(snapshot);
+          setStatus(snapshot.status);
+          setLeaderboard(snapshot.players);
+          setClockOffset(offsetFrom(snapshot.serverNow));
+          setConnectionLost(false);
+          if (snapshot.current) {
+            setCurrent(snapshot.current);
+            setSelectedAnswer(snapshot.current.selectedAnswer);
+          }
+          setReveal(snapshot.reveal);
+        },
+        players: ({ players }) => setLeaderboard(players),
+        question: (data) => {
+          setCurrent(data);
+          setSelectedAnswer(null);
+          setAnsweredCount(null);
+          setReveal(null);
+          setError(null);
+          setStatus('question');
+          setClockOffset(offsetFrom(data.serverNow));
+        },
+        answered: (data) => setAnsweredCount(data),
+        reveal: (data) => {
+          setReveal(data);
+          setLeaderboard(data.leaderboard);
+          setStatus('reveal');
+        },
+        finished: (data) => {
+          setLeaderboard(data.leaderboard);
+          setStatus('finished');
+        },
+      },
+      () => setConnectionLost(true)
+    );
+  }, [code]);
+
+  const handleStart = async () => {
+    setError(null);
+    try {
+      await startRoom(code);
+    } catch (err) {
+      setError(err.message || 'Failed to start the room');
+    }
+  };
+
+  const handleAnswer = async (answer) => {
+    if (selectedAnswer !== null || submitting) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      await submitRoomAnswer(code, current.index, answer);
+      setSelectedAnswer(answer);
+    } catch (err) {
+      setError(err.message || 'Failed to submit answer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const myResult = reveal?.results.find((r) => r.userId === userId);
+  const feedback = reveal && reveal.index === current?.index ? { ...reveal, isCorrect: Boolean(myResult?.isCorrect) } : null;
+
+  return (
+    <div className="room-container">
+      <div className="room-content">
+        <div className="room-header">
+          <div>
+            <h1>{room ? room.subject : 'Joining room...'}</h1>
+            {room && <span className="room-meta">{room.difficulty} · {room.totalQuestions} questions</span>}
+          </div>
+          <div className="room-code">
+            Code <strong>{code}</strong>
+          </div>
+        </div>
+
+        {connectionLost && <div className="room-warning">Connection lost - reconnecting...</div>}
+        {error && <div className="room-error">{error}</div>}
+
+        {status === 'lobby' && (
+          <div className="room-lobby">
+            <p>Share the code <strong>{code}</strong> so others can join.</p>
+            <h3>Players ({leaderboard.length})</h3>
+            <ul className="room-players">
+              {leaderboard.map((p) => (
+                <li key={p.userId}>
+                  {p.username}
+                  {p.userId === room?.hostId ? ' (host)' : ''}
+                </li>
+              ))}
+            </ul>
+            {isHost ? (
+              <button className="room-start" onClick={handleStart}>
+                Start Quiz for Everyone
+              </button>
+            ) : (
+              <p className="room-waiting">Waiting for the host to start...</p>
+            )}
+          </div>
+        )}
+
+        {(status === 'question' || status === 'reveal') && current && (
+          <div className="room-question">
+            <div className="room-question-header">
+              <span>
+                Question {current.index + 1} of {room?.totalQuestions}
+              </span>
+              {status === 'question' && (
+                <Countdown key={current.index} deadline={current.deadline} clockOffset={clockOffset} />
+              )}
+            </div>
+
+            <QuestionView
+              key={current.index}
+              question={current.question}
+              selectedAnswer={selectedAnswer}
+              feedback={feedback}
+              onSelect={handleAnswer}
+              disabled={status !== 'question' || submitting}
+            />
+
+            {status === 'question' && selectedAnswer !== null && (
+              <p className="room-waiting">
+                Answer locked in
+                {answeredCount ? ` - ${answeredCount.count} of ${answeredCount.of} answered` : ''}
+              </p>
+            )}
+
+            {status === 'reveal' && (
+              <>
+                <h3>Leaderboard</h3>
+                <Leaderboard entries={leaderboard} currentUserId={userId} results={reveal?.results} />
+              </>
+            )}
+          </div>
+        )}
+
+        {status === 'finished' && (
+          <div className="room-finished">
+            <h2>🏆 Final Standings</h2>
+            <Leaderboard entries={leaderboard} currentUserId={userId} />
+          </div>
+        )}
+
+        <button className="room-leave" onClick={onLeave}>
+          Leave Room
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Room;
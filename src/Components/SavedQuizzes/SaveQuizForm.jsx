@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { shareLinkFor } from '../../services/savedQuizService';
+import './SavedQuizzes.css';
+
+const ATTEMPT_LIMITS = [null, 1, 2, 3, 5];
+
+// Copy a share link, falling back to selecting it when the clipboard isn't available
+export const CopyLink = ({ code }) => {
+  const [copied, setCopied] = useState(false);
+  const link = shareLinkFor(code);
+
+  const handleCopy = () => {
+    navigator.clipboard
+      ?.writeText(link)
+      .then(() => setCopied(true))
+      .catch(() => setCopied(false));
+  };
+
+  return (
+    <div className="share-link">
+      <input type="text" value={link} readOnly onFocus={(e) => e.target.select()} />
+      <button type="button" onClick={handleCopy}>{copied ? 'Copied!' : 'Copy'}</button>
+    </div>
+  );
+};
+
+// Freeze the questions just taken as a saved quiz (optionally an assignment with a
+// due date) and show its share link. onSave receives the settings and resolves to the summary.
+const SaveQuizForm = ({ defaultTitle, onSave }) => {
+  const [open, setOpen] = useState(false);
+  const [title, setTitle] = useState(defaultTitle || '');
+  const [description, setDescription] = useState('');
+  const [dueAt, setDueAt] = useState('');
+  const [maxAttempts, setMaxAttempts] = useState(null);
+  const [showAnswers, setShowAnswers] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      setSaved(
+        await onSave({
+          title: title.trim(),
+          description: description.trim(),
+          // datetime-local has no zone; the browser's is the one the creator meant
+          dueAt: dueAt ? new Date(dueAt).toISOString() : null,
+          maxAttempts,
+          showAnswers,
+        })
+      );
+    } catch (err) {
+      setError(err.message || 'Failed to save the quiz');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button className="button share-quiz-button" onClick={() => setOpen(true)}>
+        🔗 Save &amp; Share This Quiz
+      </button>
+    );
+  }
+
+  if (saved) {
+    return (
+      <div className="save-quiz-form">
+        <h3>{saved.dueAt ? 'Assignment created' : 'Quiz saved'}</h3>
+        <p className="save-quiz-hint">
+          Everyone with this link gets the same {saved.questionCount} questions
+          {saved.dueAt ? `, due ${new Date(saved.dueAt).toLocaleString()}` : ''}.
+        </p>
+        <CopyLink code={saved.code} />
+      </div>
+    );
+  }
+
+  return (
+    <form className="save-quiz-form" onSubmit={handleSubmit}>
+      <h3>Save &amp; Share</h3>
+      <label>
+        Title
+        <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} maxLength={100} required />
+      </label>
+      <label>
+        Description <span className="save-quiz-hint">(optional)</span>
+        <textarea value={description} onChange={(e) => setDescription(e.target.value)} maxLength={500} rows={2} />
+      </label>
+      <div className="save-quiz-row">
+        <label>
+          Due date <span className="save-quiz-hint">(makes it an assignment)</span>
+          <input type="datetime-local" value={dueAt} onChange={(e) => setDueAt(e.target.value)} />
+        </label>
+        <label>
+          Attempts allowed
+          <select
+            value={maxAttempts ?? ''}
+            onChange={(e) => setMaxAttempts(e.target.value ? Number(e.target.value) : null)}
+          >
+            {ATTEMPT_LIMITS.map((limit) => (
+              <option key={limit ?? 'unlimited'} value={limit ?? ''}>
+                {limit ?? 'Unlimited'}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <label className="save-quiz-check">
+        <input type="checkbox" checked={showAnswers} onChange={(e) => setShowAnswers(e.target.checked)} />
+        Show correct answers and explanations
+      </label>
+      {error && <p className="saved-quiz-error">{error}</p>}
+      <div className="save-quiz-actions">
+        <button type="submit" disabled={saving || !title.trim()}>
+          {saving ? 'Saving...' : 'Create Link'}
+        </button>
+        <button type="button" className="secondary" onClick={() => setOpen(false)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SaveQuizForm;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { deleteSavedQuiz, getMySavedQuizzes, getSavedQuizResults } from '../../services/savedQuizService';
+import { CopyLink } from './SaveQuizForm';
+import './SavedQuizzes.css';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatScore = (score, total) => `${score}/${total} (${Math.round((score / Math.max(total, 1)) * 100)}%)`;
+
+// Who completed a saved quiz and how they scored
+const ResultsTable = ({ code }) => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getSavedQuizResults(code)
+      .then((results) => {
+        if (!cancelled) setData(results);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load results');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [code]);
+
+  if (error) return <p className="saved-quiz-error">{error}</p>;
+  if (!data) return <p className="saved-quiz-hint">Loading results...</p>;
+  if (data.results.length === 0) return <p className="saved-quiz-hint">Nobody has completed this quiz yet.</p>;
+
+  return (
+    <table className="dashboard-table saved-quiz-results">
+      <thead>
+        <tr>
+          <th>Learner</th>
+          <th>Attempts</th>
+          <th>Best</th>
+          <th>Latest</th>
+          <th>First Completed</th>
+        </tr>
+      </thead>
+      <tbody>
+        {data.results.map((row) => (
+          <tr key={row.userId}>
+            <td>{row.username}</td>
+            <td>{row.attempts}</td>
+            <td>{formatScore(row.bestScore, row.totalQuestions)}</td>
+            <td>{formatScore(row.lastScore, row.totalQuestions)}</td>
+            <td>
+              {formatDate(row.firstCompletedAt)}
+              {row.late && <span className="late-badge">Late</span>}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// The user's saved quizzes and assignments: share links, results and deletion,
+// plus opening someone else's quiz by its code
+const SavedQuizzes = ({ onBack, onOpen }) => {
+  const [savedQuizzes, setSavedQuizzes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [code, setCode] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getMySavedQuizzes()
+      .then((data) => {
+        if (!cancelled) setSavedQuizzes(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load saved quizzes');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleDelete = async (savedQuiz) => {
+    if (!window.confirm(`Delete "${savedQuiz.title}"? Its link will stop working.`)) return;
+    try {
+      await deleteSavedQuiz(savedQuiz.code);
+      setSavedQuizzes(savedQuizzes.filter((q) => q.code !== savedQuiz.code));
+    } catch (err) {
+      setError(err.message || 'Failed to delete the quiz');
+    }
+  };
+
+  const handleOpen = (e) => {
+    e.preventDefault();
+    if (code.trim()) onOpen(code.trim());
+  };
+
+  return (
+    <div className="dashboard-container">
+      <div className="dashboard-content">
+        <div className="dashboard-header">
+          <h1>Saved Quizzes</h1>
+          <button className="dashboard-back" onClick={onBack}>Back</button>
+        </div>
+
+        <form className="open-saved-quiz" onSubmit={handleOpen}>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            placeholder="Quiz code"
+            maxLength={8}
+          />
+          <button type="submit" disabled={!code.trim()}>Take Quiz</button>
+        </form>
+
+        {loading && <p className="dashboard-message">Loading saved quizzes...</p>}
+        {error && <p className="dashboard-message error">{error}</p>}
+
+        {!loading && !error && savedQuizzes.length === 0 && (
+          <p className="dashboard-message">
+            You haven't saved any quizzes yet. Finish a quiz and use "Save &amp; Share" to hand it to others.
+          </p>
+        )}
+
+        <ul className="saved-quiz-list">
+          {savedQuizzes.map((savedQuiz) => (
+            <li key={savedQuiz.code} className="saved-quiz">
+              <div className="saved-quiz-header">
+                <div>
+                  <h3>
+                    {savedQuiz.title}
+                    {savedQuiz.dueAt && <span className="assignment-badge">Assignment</span>}
+                  </h3>
+                  <p className="saved-quiz-hint">
+                    {savedQuiz.questionCount} questions · {savedQuiz.subject} ·{' '}
+                    {savedQuiz.maxAttempts ? `${savedQuiz.maxAttempts} attempt(s)` : 'unlimited attempts'}
+                    {!savedQuiz.showAnswers && ' · answers hidden'}
+                    {savedQuiz.dueAt && ` · due ${formatDate(savedQuiz.dueAt)}`}
+                  </p>
+                </div>
+                <span className="saved-quiz-completions">{savedQuiz.completedBy} completed</span>
+              </div>
+
+              <CopyLink code={savedQuiz.code} />
+
+              <div className="saved-quiz-actions">
+                <button onClick={() => setExpanded(expanded === savedQuiz.code ? null : savedQuiz.code)}>
+                  {expanded === savedQuiz.code ? 'Hide Results' : 'Results'}
+                </button>
+                <button onClick={() => onOpen(savedQuiz.code)}>Take It</button>
+                <button className="danger" onClick={() => handleDelete(savedQuiz)}>Delete</button>
+              </div>
+
+              {expanded === savedQuiz.code && <ResultsTable code={savedQuiz.code} />}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default SavedQuizzes;
@@ -1,89 +1,544 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { getAvailableSubjects, getDueForReview, getTags } from '../../services/quizService';
+import OfflinePacks from '../OfflinePacks/OfflinePacks';
+import { useI18n } from '../I18n/i18nContext';
 import './SubjectSelection.css';
 
-const SubjectSelection = ({ onSelectSubject }) => {
-  const subjects = [
-    { id: 1, name: 'Data Structures', icon: '🏗️' },
-    { id: 2, name: 'Algorithms', icon: '⚙️' },
-    { id: 3, name: 'Database Management', icon: '🗄️' },
-    { id: 4, name: 'Operating Systems', icon: '🖥️' },
-    { id: 5, name: 'Computer Networks', icon: '🌐' },
-    { id: 6, name: 'Web Development', icon: '🌐' },
-    { id: 7, name: 'Cloud Computing', icon: '☁️' },
-    { id: 8, name: 'DevOps', icon: '🔄' },
-  ];
+// Labels are translation keys
+const TIMER_MODES = [
+  { value: 'none', label: 'selection.timerOff' },
+  { value: 'question', label: 'selection.timerPerQuestion' },
+  { value: 'quiz', label: 'selection.timerWholeQuiz' },
+];
 
+// Seconds per question / minutes for the whole quiz
+const QUESTION_LIMITS = [15, 30, 60];
+const QUIZ_LIMITS = [2, 5, 10, 20];
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Custom mixes: subject weights and the most questions one quiz can have
+const SUBJECT_WEIGHTS = [1, 2, 3];
+const MAX_MIX_QUESTIONS = 50;
+
+// Adaptive quizzes draw from every difficulty of the subject
+const countFor = (subject, level) =>
+  level === 'adaptive'
+    ? DIFFICULTIES.reduce((sum, l) => sum + (subject?.questionCounts?.[l] ?? 0), 0)
+    : subject?.questionCounts?.[level] ?? 0;
+
+const SubjectSelection = ({
+  onSelectSubject,
+  onStartReview,
+  onHostRoom,
+  onJoinRoom,
+  onOpenDashboard,
+  onOpenSavedQuizzes,
+  onOpenProfile,
+  onOpenLeaderboards,
+  onStartOffline,
+}) => {
+  const { t } = useI18n();
+  const [subjects, setSubjects] = useState([]);
+  const [subjectsError, setSubjectsError] = useState(null);
   const [difficulty, setDifficulty] = useState('medium');
   const [selectedSubject, setSelectedSubject] = useState(null);
   const [numberOfQuestions, setNumberOfQuestions] = useState(5);
+  const [timerMode, setTimerMode] = useState('none');
+  const [questionLimit, setQuestionLimit] = useState(30);
+  const [quizLimit, setQuizLimit] = useState(5);
+  const [dueCount, setDueCount] = useState(0);
+  const [shuffleOptions, setShuffleOptions] = useState(false);
+  const [roomCode, setRoomCode] = useState('');
+  const [quizType, setQuizType] = useState('single');
+  // Custom mix: subject name -> weight, difficulty -> % weight, count in total or per subject
+  const [mixSubjects, setMixSubjects] = useState({});
+  const [mixDifficulties, setMixDifficulties] = useState({ easy: 30, medium: 40, hard: 30 });
+  const [mixPerSubject, setMixPerSubject] = useState(false);
+  // Topic tags of the selected set ({ subject, difficulty, tags: [{ tag, count }] }) and the ones picked
+  const [tagOptions, setTagOptions] = useState(null);
+  const [selectedTags, setSelectedTags] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAvailableSubjects()
+      .then((data) => {
+        if (!cancelled) setSubjects(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setSubjectsError(err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Review queue size; the entry point just stays hidden if this fails
+  useEffect(() => {
+    if (!onStartReview) return undefined;
+    let cancelled = false;
+    getDueForReview()
+      .then((data) => {
+        if (!cancelled) setDueCount(data.total);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [onStartReview]);
+
+  const isAdaptive = difficulty === 'adaptive';
+  const availableCount = countFor(selectedSubject, difficulty);
+
+  const isMix = quizType === 'mix';
+
+  // Tags narrow a single subject/difficulty; the ones picked for another set don't carry over
+  const tagSubject = !isMix && !isAdaptive ? selectedSubject?.name : null;
+  useEffect(() => {
+    if (!tagSubject) return undefined;
+    let cancelled = false;
+    getTags({ subject: tagSubject, difficulty })
+      .then((tags) => {
+        if (!cancelled) setTagOptions({ subject: tagSubject, difficulty, tags });
+      })
+      .catch(() => {
+        // No topic filter then; the whole set is still available
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [tagSubject, difficulty]);
+
+  const availableTags =
+    tagSubject && tagOptions?.subject === tagSubject && tagOptions.difficulty === difficulty ? tagOptions.tags : [];
+  const activeTags = selectedTags.filter((tag) => availableTags.some((t) => t.tag === tag));
+
+  const toggleTag = (tag) =>
+    setSelectedTags(activeTags.includes(tag) ? activeTags.filter((t) => t !== tag) : [...activeTags, tag]);
+
+  const mixNames = Object.keys(mixSubjects);
+  const mixWeightTotal = DIFFICULTIES.reduce((sum, level) => sum + mixDifficulties[level], 0);
+  const mixQuestionCount = mixPerSubject ? numberOfQuestions * mixNames.length : numberOfQuestions;
+  const canStartMix = mixNames.length > 0 && mixWeightTotal > 0 && mixQuestionCount <= MAX_MIX_QUESTIONS;
+
+  const toggleMixSubject = (subject) => {
+    const next = { ...mixSubjects };
+    if (next[subject.name]) {
+      delete next[subject.name];
+    } else {
+      next[subject.name] = 1;
+    }
+    setMixSubjects(next);
+  };
+
+  const handleSubjectClick = (subject) => (isMix ? toggleMixSubject(subject) : setSelectedSubject(subject));
+
+  const isSubjectSelected = (subject) => (isMix ? Boolean(mixSubjects[subject.name]) : selectedSubject?._id === subject._id);
+
+  const buildTiming = () =>
+    timerMode === 'question'
+      ? { mode: 'question', questionLimitSec: questionLimit }
+      : timerMode === 'quiz'
+        ? { mode: 'quiz', totalLimitSec: quizLimit * 60 }
+        : { mode: 'none' };
 
   const handleStart = () => {
-    if (selectedSubject) {
-      onSelectSubject({ subject: selectedSubject, difficulty, numberOfQuestions });
+    if (isMix) {
+      if (!canStartMix) return;
+      onSelectSubject({
+        subject: { name: 'Custom Mix' },
+        difficulty: 'mixed',
+        numberOfQuestions: mixQuestionCount,
+        timing: buildTiming(),
+        shuffleOptions,
+        blueprint: {
+          subjects: mixNames.map((name) => ({ name, weight: mixSubjects[name] })),
+          difficulties: mixDifficulties,
+          ...(mixPerSubject ? { perSubject: numberOfQuestions } : { count: numberOfQuestions }),
+        },
+      });
+      return;
+    }
+    if (selectedSubject && availableCount > 0) {
+      onSelectSubject({
+        subject: selectedSubject,
+        difficulty,
+        numberOfQuestions,
+        timing: buildTiming(),
+        shuffleOptions,
+        ...(isAdaptive ? { mode: 'adaptive' } : {}),
+        ...(activeTags.length > 0 ? { tags: activeTags } : {}),
+      });
+    }
+  };
+
+  // Rooms always time each question; use the per-question limit if one is picked
+  const handleHostRoom = () => {
+    if (selectedSubject && availableCount > 0) {
+      onHostRoom({
+        subject: selectedSubject,
+        difficulty,
+        numberOfQuestions,
+        questionLimitSec: timerMode === 'question' ? questionLimit : undefined,
+      });
     }
   };
 
+  const handleJoinRoom = (e) => {
+    e.preventDefault();
+    if (roomCode.trim()) onJoinRoom(roomCode.trim());
+  };
+
+  const handleStartReview = () => {
+    onStartReview({ numberOfQuestions, timing: buildTiming(), shuffleOptions });
+  };
+
+  // Offline quizzes use the question count and timer picked above
+  const handleStartOffline = (pack) => {
+    onStartOffline({ subject: pack.subject, difficulty: pack.difficulty, numberOfQuestions, timing: buildTiming() });
+  };
+
   return (
     <div className="selection-container">
       <div className="selection-content">
-        <h1>Quiz Master</h1>
-        <p className="byline">by Sushant</p>
-        <p className="subtitle">Select a subject and difficulty level to begin</p>
+        <h1>{t('selection.title')}</h1>
+        <p className="byline">{t('selection.byline')}</p>
+        <p className="subtitle">{t('selection.subtitle')}</p>
+
+        <div className="quiz-type-toggle">
+          {[
+            { value: 'single', label: t('selection.singleSubject') },
+            { value: 'mix', label: t('selection.customMix') },
+          ].map((type) => (
+            <button
+              key={type.value}
+              className={`difficulty-btn ${quizType === type.value ? 'active' : ''}`}
+              aria-pressed={quizType === type.value}
+              onClick={() => setQuizType(type.value)}
+            >
+              {type.label}
+            </button>
+          ))}
+        </div>
 
         <div className="options-card">
+          {isMix ? (
+            <div className="option-group">
+              <label>{t('selection.difficultyMix')}</label>
+              <div className="mix-sliders">
+                {DIFFICULTIES.map((level) => (
+                  <label key={level} className="mix-slider">
+                    <span>{t(`difficulty.${level}`)}</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      step="10"
+                      value={mixDifficulties[level]}
+                      onChange={(e) => setMixDifficulties({ ...mixDifficulties, [level]: Number(e.target.value) })}
+                    />
+                    <span className="mix-share">
+                      {mixWeightTotal > 0 ? Math.round((mixDifficulties[level] / mixWeightTotal) * 100) : 0}%
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <div className="option-group">
+              <label>{t('selection.difficulty')}</label>
+              <div className="difficulty-buttons">
+                {[...DIFFICULTIES, 'adaptive'].map((level) => (
+                  <button
+                    key={level}
+                    className={`difficulty-btn ${difficulty === level ? 'active' : ''}`}
+                    aria-pressed={difficulty === level}
+                    onClick={() => setDifficulty(level)}
+                  >
+                    {t(`difficulty.${level}`)}
+                    {selectedSubject && <span className="difficulty-count"> ({countFor(selectedSubject, level)})</span>}
+                  </button>
+                ))}
+              </div>
+              {isAdaptive && (
+                <p className="option-hint">{t('selection.adaptiveHint')}</p>
+              )}
+            </div>
+          )}
+
+          <div className="options-divider" />
+
           <div className="option-group">
-            <label>Difficulty</label>
+            <label>{t('selection.questions')}</label>
             <div className="difficulty-buttons">
-              {['easy', 'medium', 'hard'].map((level) => (
+              {[5, 10, 20].map((n) => (
                 <button
-                  key={level}
-                  className={`difficulty-btn ${difficulty === level ? 'active' : ''}`}
-                  onClick={() => setDifficulty(level)}
+                  key={n}
+                  className={`difficulty-btn ${numberOfQuestions === n ? 'active' : ''}`}
+                  aria-pressed={numberOfQuestions === n}
+                  onClick={() => setNumberOfQuestions(n)}
                 >
-                  {level.charAt(0).toUpperCase() + level.slice(1)}
+                  {n}
                 </button>
               ))}
             </div>
+            {isMix && (
+              <div className="difficulty-buttons">
+                {[false, true].map((perSubject) => (
+                  <button
+                    key={String(perSubject)}
+                    className={`difficulty-btn ${mixPerSubject === perSubject ? 'active' : ''}`}
+                    aria-pressed={mixPerSubject === perSubject}
+                    onClick={() => setMixPerSubject(perSubject)}
+                  >
+                    {perSubject ? t('selection.eachSubject') : t('selection.inTotal')}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
 
           <div className="options-divider" />
 
           <div className="option-group">
-            <label>Questions</label>
+            <label>{t('selection.answerOrder')}</label>
             <div className="difficulty-buttons">
-              {[5, 10, 20].map((n) => (
+              {[false, true].map((shuffled) => (
                 <button
-                  key={n}
-                  className={`difficulty-btn ${numberOfQuestions === n ? 'active' : ''}`}
-                  onClick={() => setNumberOfQuestions(n)}
+                  key={String(shuffled)}
+                  className={`difficulty-btn ${shuffleOptions === shuffled ? 'active' : ''}`}
+                  aria-pressed={shuffleOptions === shuffled}
+                  onClick={() => setShuffleOptions(shuffled)}
                 >
-                  {n}
+                  {shuffled ? t('selection.shuffled') : t('selection.fixed')}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="options-card">
+          <div className="option-group">
+            <label>{t('selection.timer')}</label>
+            <div className="difficulty-buttons">
+              {TIMER_MODES.map((mode) => (
+                <button
+                  key={mode.value}
+                  className={`difficulty-btn ${timerMode === mode.value ? 'active' : ''}`}
+                  aria-pressed={timerMode === mode.value}
+                  onClick={() => setTimerMode(mode.value)}
+                >
+                  {t(mode.label)}
                 </button>
               ))}
             </div>
           </div>
+
+          {timerMode !== 'none' && (
+            <>
+              <div className="options-divider" />
+
+              <div className="option-group">
+                <label>{timerMode === 'question' ? t('selection.secondsPerQuestion') : t('selection.minutesInTotal')}</label>
+                <div className="difficulty-buttons">
+                  {(timerMode === 'question' ? QUESTION_LIMITS : QUIZ_LIMITS).map((limit) => {
+                    const active = timerMode === 'question' ? questionLimit === limit : quizLimit === limit;
+                    return (
+                      <button
+                        key={limit}
+                        className={`difficulty-btn ${active ? 'active' : ''}`}
+                        aria-pressed={active}
+                        onClick={() => (timerMode === 'question' ? setQuestionLimit(limit) : setQuizLimit(limit))}
+                      >
+                        {limit}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            </>
+          )}
         </div>
 
-        <div className="subjects-grid">
+        {subjectsError && <p className="subjects-error">{subjectsError.message || t('selection.loadFailed')}</p>}
+
+        {isMix && (
+          <div className="mix-actions">
+            <span>
+              {mixNames.length === 0
+                ? t('selection.pickMixSubjects')
+                : t('selection.mixSubjectsSelected', { count: mixNames.length })}
+            </span>
+            <button
+              className="difficulty-btn"
+              onClick={() => setMixSubjects(Object.fromEntries(subjects.map((s) => [s.name, mixSubjects[s.name] || 1])))}
+            >
+              {t('selection.allSubjects')}
+            </button>
+            {mixNames.length > 0 && (
+              <button className="difficulty-btn" onClick={() => setMixSubjects({})}>
+                {t('selection.clear')}
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Native radios (one subject) or checkboxes (custom mix): arrow keys, Space and screen readers work as expected */}
+        <div
+          className="subjects-grid"
+          role={isMix ? 'group' : 'radiogroup'}
+          aria-label={isMix ? t('selection.subjectsToMix') : t('selection.subject')}
+        >
           {subjects.map((subject) => (
-            <div
-              key={subject.id}
-              className={`subject-card ${selectedSubject?.id === subject.id ? 'selected' : ''}`}
-              onClick={() => setSelectedSubject(subject)}
+            <label
+              key={subject._id}
+              className={`subject-card ${isSubjectSelected(subject) ? 'selected' : ''}`}
+              title={subject.description}
             >
-              <span className="subject-icon">{subject.icon}</span>
-              <h3>{subject.name}</h3>
-            </div>
+              <input
+                type={isMix ? 'checkbox' : 'radio'}
+                name="subject"
+                className="visually-hidden"
+                checked={isSubjectSelected(subject)}
+                onChange={() => handleSubjectClick(subject)}
+              />
+              <span className="subject-icon" aria-hidden="true">{subject.icon}</span>
+              <span className="subject-name">{subject.name}</span>
+              <span className="subject-count">
+                {t('selection.questionCount', { count: countFor(subject, isMix ? 'adaptive' : difficulty) })}
+              </span>
+            </label>
           ))}
         </div>
 
-        <button
-          className={`start-button ${selectedSubject ? 'enabled' : 'disabled'}`}
-          onClick={handleStart}
-          disabled={!selectedSubject}
-        >
-          Start Quiz
-        </button>
+        {availableTags.length > 0 && (
+          <div className="topic-filter">
+            <label>
+              {t('selection.topics')}{' '}
+              <span className="option-hint">
+                {activeTags.length === 0 ? t('selection.allTopics') : t('selection.onlyTheseTopics')}
+              </span>
+            </label>
+            <div className="topic-chips">
+              {availableTags.map(({ tag, count }) => (
+                <button
+                  key={tag}
+                  className={`topic-chip ${activeTags.includes(tag) ? 'active' : ''}`}
+                  aria-pressed={activeTags.includes(tag)}
+                  onClick={() => toggleTag(tag)}
+                >
+                  {tag} <span className="difficulty-count">({count})</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {isMix && mixNames.length > 1 && !mixPerSubject && (
+          <div className="mix-weights">
+            <label>{t('selection.subjectWeights')}</label>
+            {mixNames.map((name) => (
+              <div key={name} className="mix-weight">
+                <span>{name}</span>
+                <select
+                  value={mixSubjects[name]}
+                  onChange={(e) => setMixSubjects({ ...mixSubjects, [name]: Number(e.target.value) })}
+                >
+                  {SUBJECT_WEIGHTS.map((weight) => (
+                    <option key={weight} value={weight}>{weight}×</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {isMix && mixQuestionCount > MAX_MIX_QUESTIONS && (
+          <p className="subjects-error">{t('selection.tooManyMixQuestions', { max: MAX_MIX_QUESTIONS })}</p>
+        )}
+
+        {isMix ? (
+          <button
+            className={`start-button ${canStartMix ? 'enabled' : 'disabled'}`}
+            onClick={handleStart}
+            disabled={!canStartMix}
+          >
+            {mixNames.length > 0
+              ? t('selection.startCustomQuizCount', { count: mixQuestionCount })
+              : t('selection.startCustomQuiz')}
+          </button>
+        ) : (
+          <button
+            className={`start-button ${selectedSubject && availableCount > 0 ? 'enabled' : 'disabled'}`}
+            onClick={handleStart}
+            disabled={!selectedSubject || availableCount === 0}
+          >
+            {t('selection.startQuiz')}
+          </button>
+        )}
+
+        {onHostRoom && !isMix && (
+          <div className="room-actions">
+            <button
+              className="room-host-button"
+              onClick={handleHostRoom}
+              disabled={!selectedSubject || availableCount === 0 || isAdaptive}
+              title={isAdaptive ? t('selection.roomsSingleDifficulty') : undefined}
+            >
+              {t('selection.hostRoom')}
+            </button>
+            <form className="room-join-form" onSubmit={handleJoinRoom}>
+              <input
+                type="text"
+                value={roomCode}
+                onChange={(e) => setRoomCode(e.target.value.toUpperCase())}
+                placeholder={t('selection.roomCode')}
+                maxLength={6}
+              />
+              <button type="submit" disabled={!roomCode.trim()}>
+                {t('selection.joinRoom')}
+              </button>
+            </form>
+          </div>
+        )}
+
+        {onStartReview && dueCount > 0 && (
+          <button className="review-link" onClick={handleStartReview}>
+            {t('selection.dueForReview', { count: dueCount })}
+          </button>
+        )}
+
+        {onOpenDashboard && (
+          <button className="dashboard-link" onClick={onOpenDashboard}>
+            {t('selection.viewProgress')}
+          </button>
+        )}
+
+        {onOpenProfile && (
+          <button className="dashboard-link" onClick={onOpenProfile}>
+            {t('selection.profile')}
+          </button>
+        )}
+
+        {onOpenLeaderboards && (
+          <button className="dashboard-link" onClick={onOpenLeaderboards}>
+            {t('selection.leaderboards')}
+          </button>
+        )}
+
+        {onOpenSavedQuizzes && (
+          <button className="dashboard-link" onClick={onOpenSavedQuizzes}>
+            {t('selection.savedQuizzes')}
+          </button>
+        )}
+
+        {onStartOffline && (
+          <OfflinePacks
+            subject={isMix || isAdaptive ? null : selectedSubject?.name}
+            difficulty={isMix || isAdaptive ? null : difficulty}
+            onStart={handleStartOffline}
+          />
+        )}
       </div>
     </div>
   );
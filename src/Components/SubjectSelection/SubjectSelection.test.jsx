@@ -0,0 +1,93 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import { getAvailableSubjects, getTags } from '../../services/quizService';
+import SubjectSelection from './SubjectSelection';
+
+vi.mock('../../services/quizService', () => ({
+  getAvailableSubjects: vi.fn(),
+  getDueForReview: vi.fn(),
+  getTags: vi.fn(),
+}));
+
+const SUBJECTS = [
+  { _id: 's1', name: 'Algorithms', icon: '🧮', questionCounts: { easy: 4, medium: 5, hard: 6 } },
+  { _id: 's2', name: 'Databases', icon: '🗄️', questionCounts: { easy: 3, medium: 7, hard: 2 } },
+  { _id: 's3', name: 'Networking', icon: '🌐', questionCounts: { easy: 1, medium: 2, hard: 3 } },
+];
+
+beforeEach(() => {
+  getAvailableSubjects.mockResolvedValue(SUBJECTS);
+  getTags.mockResolvedValue([]);
+});
+
+const renderSelection = () => {
+  const onSelectSubject = vi.fn();
+  const view = render(<SubjectSelection onSelectSubject={onSelectSubject} />);
+  return { ...view, onSelectSubject, user: userEvent.setup() };
+};
+
+describe('SubjectSelection subject radio group', () => {
+  it('offers the subjects as a labelled radio group', async () => {
+    renderSelection();
+
+    const group = await screen.findByRole('radiogroup', { name: 'Subject' });
+    const radios = await screen.findAllByRole('radio');
+    expect(radios).toHaveLength(SUBJECTS.length);
+    radios.forEach((radio) => expect(group).toContainElement(radio));
+    expect(screen.getByRole('radio', { name: /Databases\s*7 questions/ })).not.toBeChecked();
+  });
+
+  it('selects a subject with Space and moves through the group with the arrow keys', async () => {
+    const { user } = renderSelection();
+    const first = await screen.findByRole('radio', { name: /Algorithms/ });
+
+    first.focus();
+    await user.keyboard(' ');
+    expect(first).toBeChecked();
+
+    await user.keyboard('{ArrowDown}');
+    const second = screen.getByRole('radio', { name: /Databases/ });
+    expect(second).toBeChecked();
+    expect(second).toHaveFocus();
+    expect(first).not.toBeChecked();
+
+    await user.keyboard('{ArrowUp}');
+    expect(first).toBeChecked();
+  });
+
+  it('starts the quiz for the subject picked from the keyboard', async () => {
+    const { user, onSelectSubject } = renderSelection();
+    const radio = await screen.findByRole('radio', { name: /Networking/ });
+
+    radio.focus();
+    await user.keyboard(' ');
+    await user.click(screen.getByRole('button', { name: 'Start Quiz' }));
+
+    expect(onSelectSubject).toHaveBeenCalledWith(
+      expect.objectContaining({ subject: expect.objectContaining({ name: 'Networking' }), difficulty: 'medium' })
+    );
+  });
+
+  it('turns into a group of checkboxes for a custom mix', async () => {
+    const { user } = renderSelection();
+    await screen.findAllByRole('radio');
+
+    await user.click(screen.getByRole('button', { name: 'Custom Mix' }));
+
+    expect(screen.queryByRole('radiogroup')).not.toBeInTheDocument();
+    const group = screen.getByRole('group', { name: 'Subjects to mix' });
+    expect(group).toBeInTheDocument();
+    expect(screen.getAllByRole('checkbox')).toHaveLength(SUBJECTS.length);
+  });
+
+  it('has no axe violations', async () => {
+    const { container, user } = renderSelection();
+    const radio = await screen.findByRole('radio', { name: /Algorithms/ });
+    await user.click(radio);
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,88 @@
+// Admin Service - question-bank editing (admin accounts only)
+import { API_BASE_URL, apiRequest, buildHeaders } from './apiClient';
+
+const ADMIN_API_BASE_URL = `${API_BASE_URL}/api/admin`;
+
+const setUrl = (subject, difficulty) =>
+  `${ADMIN_API_BASE_URL}/sets/${encodeURIComponent(subject)}/${encodeURIComponent(difficulty)}`;
+
+export const listQuestionSets = () => apiRequest(`${ADMIN_API_BASE_URL}/sets`);
+
+export const getQuestionSet = (subject, difficulty) => apiRequest(setUrl(subject, difficulty));
+
+export const createQuestion = (subject, difficulty, question) =>
+  apiRequest(`${setUrl(subject, difficulty)}/questions`, { method: 'POST', body: question });
+
+export const updateQuestion = (questionId, question) =>
+  apiRequest(`${ADMIN_API_BASE_URL}/questions/${questionId}`, { method: 'PUT', body: question });
+
+export const deleteQuestion = (questionId) =>
+  apiRequest(`${ADMIN_API_BASE_URL}/questions/${questionId}`, { method: 'DELETE' });
+
+export const reorderQuestions = (subject, difficulty, order) =>
+  apiRequest(`${setUrl(subject, difficulty)}/order`, { method: 'PUT', body: { order } });
+
+// Version history of a set, newest first; resolves to { version, revisions, page, total }
+export const getSetHistory = (subject, difficulty, page = 1) =>
+  apiRequest(`${setUrl(subject, difficulty)}/history?page=${page}`);
+
+// One version of a set, with its full question list
+export const getSetVersion = (subject, difficulty, version) =>
+  apiRequest(`${setUrl(subject, difficulty)}/history/${version}`);
+
+export const rollbackQuestionSet = (subject, difficulty, version) =>
+  apiRequest(`${setUrl(subject, difficulty)}/rollback`, { method: 'POST', body: { version } });
+
+// Every change to the bank, newest first
+export const getAuditLog = (page = 1) => apiRequest(`${ADMIN_API_BASE_URL}/audit?page=${page}`);
+
+// Import a bank file's text. Resolves to the import report; a file with invalid rows
+// rejects with the report (listing every problem) on error.data.
+export const importQuestionBank = ({ content, filename, format, mode, dryRun, duplicates }) =>
+  apiRequest(`${ADMIN_API_BASE_URL}/import`, {
+    method: 'POST',
+    body: { content, filename, format, mode, dryRun, duplicates },
+  });
+
+// Per-question stats and quality flags for a set (or the whole bank without arguments)
+export const getQuestionAnalytics = (subject, difficulty) => {
+  const params = new URLSearchParams();
+  if (subject) params.set('subject', subject);
+  if (difficulty) params.set('difficulty', difficulty);
+  return apiRequest(`${ADMIN_API_BASE_URL}/analytics?${params}`);
+};
+
+// Search the bank; resolves to { total, page, results } with whole questions plus subject/difficulty
+export const searchQuestionBank = ({ q, subject, difficulty, tags = [], page = 1 } = {}) => {
+  const params = new URLSearchParams({ page: String(page) });
+  if (q) params.set('q', q);
+  if (subject) params.set('subject', subject);
+  if (difficulty) params.set('difficulty', difficulty);
+  if (tags.length > 0) params.set('tags', tags.join(','));
+  return apiRequest(`${ADMIN_API_BASE_URL}/search?${params}`);
+};
+
+// Store an image for question content; data is the file as a data: URL.
+// Resolves to { name, url, markdown }, where markdown embeds it as ![alt](asset:<name>)
+export const uploadAsset = (data, alt) =>
+  apiRequest(`${ADMIN_API_BASE_URL}/assets`, { method: 'POST', body: { data, alt } });
+
+// Clusters of duplicate and near-duplicate questions across the bank
+export const findDuplicateQuestions = () => apiRequest(`${ADMIN_API_BASE_URL}/duplicates`);
+
+// Download the bank in csv, json or gift format; resolves to { blob, filename }
+export const exportQuestionBank = async ({ format, subject, difficulty } = {}) => {
+  const params = new URLSearchParams({ format });
+  if (subject) params.set('subject', subject);
+  if (difficulty) params.set('difficulty', difficulty);
+
+  const response = await fetch(`${ADMIN_API_BASE_URL}/export?${params}`, { headers: buildHeaders() });
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new Error(data?.message || `HTTP ${response.status}`);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || `question-bank.${format}`;
+  return { blob: await response.blob(), filename };
+};
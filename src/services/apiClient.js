@@ -0,0 +1,52 @@
+// API client - base URL, session token storage and a shared JSON request helper
+export const API_BASE_URL = (import.meta.env.VITE_API_URL || 'http://3.110.164.48:5000').replace(/\/$/, '');
+
+const TOKEN_STORAGE_KEY = 'quizAuthToken';
+
+export const getToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+export const setToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+};
+
+// Headers for every API call, including the session token when signed in
+export const buildHeaders = () => {
+  const token = getToken();
+  return {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+};
+
+// Shared JSON request helper - throws with the API's message (and HTTP status) on failure
+export const apiRequest = async (url, { method = 'GET', body } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: buildHeaders(),
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch {
+    data = null;
+  }
+
+  if (!response.ok || !data?.success) {
+    // An expired or revoked token is useless - drop it so the app shows the login screen
+    if (response.status === 401) setToken(null);
+
+    const error = new Error(data?.message || response.statusText || `HTTP ${response.status}`);
+    error.status = response.status;
+    // Some failures carry a report (e.g. every invalid row of an import)
+    error.data = data?.data;
+    throw error;
+  }
+
+  return data.data;
+};
@@ -0,0 +1,61 @@
+// Auth Service - registration, login and the current session
+import { API_BASE_URL, apiRequest, getToken, setToken } from './apiClient';
+
+const AUTH_API_BASE_URL = `${API_BASE_URL}/api/auth`;
+
+// The last signed-in user, so the app still opens (for offline quizzes) when the server can't be reached
+const USER_STORAGE_KEY = 'quizAuthUser';
+
+const cacheUser = (user) => {
+  if (user) {
+    localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(user));
+  } else {
+    localStorage.removeItem(USER_STORAGE_KEY);
+  }
+  return user;
+};
+
+const cachedUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const register = async (username, password) => {
+  const { token, user } = await apiRequest(`${AUTH_API_BASE_URL}/register`, {
+    method: 'POST',
+    body: { username, password },
+  });
+  setToken(token);
+  return cacheUser(user);
+};
+
+export const login = async (username, password) => {
+  const { token, user } = await apiRequest(`${AUTH_API_BASE_URL}/login`, {
+    method: 'POST',
+    body: { username, password },
+  });
+  setToken(token);
+  return cacheUser(user);
+};
+
+export const logout = () => {
+  setToken(null);
+  cacheUser(null);
+};
+
+// Restore the signed-in user from a stored token, or null
+export const getCurrentUser = async () => {
+  if (!getToken()) return null;
+
+  try {
+    return cacheUser(await apiRequest(`${AUTH_API_BASE_URL}/me`));
+  } catch (error) {
+    // No response at all: keep the session and carry on offline
+    if (!error.status && cachedUser()) return cachedUser();
+    setToken(null);
+    return cacheUser(null);
+  }
+};
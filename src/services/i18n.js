@@ -0,0 +1,56 @@
+// UI translations. Messages live in src/locales/<locale>.json, nested by screen, and are looked
+// up by dotted key ("quiz.questionOf"). {name} placeholders are filled from params; a message
+// given as { one, other, ... } is picked by params.count using the locale's plural rules.
+// Missing keys fall back to English, then to the key itself.
+import en from '../locales/en.json';
+import es from '../locales/es.json';
+
+export const DEFAULT_LOCALE = 'en';
+
+// Offered in the language picker, each under its own name
+export const LOCALES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+];
+
+const MESSAGES = { en, es };
+const LOCALE_STORAGE_KEY = 'quizLocale';
+
+const isSupported = (locale) => Object.hasOwn(MESSAGES, locale);
+
+// The saved choice, else the first browser language we have (es-MX -> es), else English
+export const getLocale = () => {
+  const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+  if (isSupported(saved)) return saved;
+  const preferred = (navigator.languages || [navigator.language])
+    .map((language) => String(language || '').split('-')[0].toLowerCase())
+    .find(isSupported);
+  return preferred || DEFAULT_LOCALE;
+};
+
+export const saveLocale = (locale) => localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+const pluralRules = {};
+const pluralCategory = (locale, count) => {
+  pluralRules[locale] = pluralRules[locale] || new Intl.PluralRules(locale);
+  return pluralRules[locale].select(count);
+};
+
+export const formatNumber = (locale, value, options) => new Intl.NumberFormat(locale, options).format(value);
+
+// The message for key in locale, with params filled in
+export const translate = (locale, key, params = {}) => {
+  let message = lookup(MESSAGES[locale], key) ?? lookup(MESSAGES[DEFAULT_LOCALE], key);
+  if (message && typeof message === 'object') {
+    message = message[pluralCategory(locale, params.count ?? 0)] ?? message.other;
+  }
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === 'number' ? formatNumber(locale, value) : String(value);
+  });
+};
@@ -0,0 +1,24 @@
+// Keyboard shortcuts while answering: A–J or 1–9 (0 for the tenth) pick an option,
+// Enter submits or moves on, R flags the question for review.
+
+export const FLAG_KEY = 'r';
+
+// Option index a key stands for, or -1
+export const optionIndexForKey = (key, optionCount) => {
+  const k = key.toLowerCase();
+  let index = -1;
+  if (/^[a-j]$/.test(k)) index = k.charCodeAt(0) - 97;
+  else if (/^[0-9]$/.test(k)) index = k === '0' ? 9 : Number(k) - 1;
+  return index < optionCount ? index : -1;
+};
+
+// Keys typed into a field, held with a modifier or already handled are never shortcuts
+export const isShortcutEvent = (event) =>
+  !event.defaultPrevented &&
+  !event.ctrlKey &&
+  !event.metaKey &&
+  !event.altKey &&
+  !event.target.closest?.('input, textarea, select, [contenteditable="true"]');
+
+// Enter on a focused button or link already activates it
+export const isOnControl = (event) => Boolean(event.target.closest?.('button, a'));
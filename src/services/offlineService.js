@@ -0,0 +1,218 @@
+// Offline Service - question packs kept in IndexedDB, quizzes taken from them without a
+// connection, and the queue of finished offline attempts that syncs once it's back.
+// Packs carry no answer key: offline answers are only recorded, and the server grades them
+// when they sync.
+import { API_BASE_URL, apiRequest } from './apiClient';
+import { PACKS, PENDING_ATTEMPTS, getAll, getOne, put, remove } from './offlineStore';
+import { getLocale } from './i18n';
+
+// Same allowance for a late answer as the server gives
+const GRACE_MS = 2000;
+
+const packKey = (subject, difficulty) => `${subject}|${difficulty}`;
+
+// Whether an API error means the server couldn't be reached at all (rather than said no)
+export const isNetworkError = (error) => !error?.status;
+
+// Download a whole set, in the current language, for offline use; re-downloading updates it.
+// Resolves to the stored pack { key, quizId, subject, difficulty, version, locale, questions, downloadedAt }
+export const downloadPack = async (subject, difficulty) => {
+  const pack = await apiRequest(
+    `${API_BASE_URL}/api/quiz/packs/${encodeURIComponent(subject)}/${encodeURIComponent(difficulty)}` +
+      `?locale=${encodeURIComponent(getLocale())}`
+  );
+  const stored = { key: packKey(pack.subject, pack.difficulty), ...pack };
+  await put(PACKS, stored);
+  return stored;
+};
+
+export const getPacks = () => getAll(PACKS);
+
+export const deletePack = (key) => remove(PACKS, key);
+
+const shuffled = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const newClientId = () =>
+  window.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// When an answer slot stops accepting answers, or null if untimed (see server/services/timing.js)
+const deadlineFor = (state, slot) => {
+  const { mode, questionLimitSec, totalLimitSec } = state.timing;
+  if (mode === 'quiz') return new Date(state.startedAt.getTime() + totalLimitSec * 1000);
+  if (mode === 'question' && slot?.presentedAt) return new Date(slot.presentedAt.getTime() + questionLimitSec * 1000);
+  return null;
+};
+
+const timeOut = (slot, now) => {
+  Object.assign(slot, { selectedAnswer: null, timedOut: true, answeredAt: now });
+  slot.timeTakenMs = slot.presentedAt ? now - slot.presentedAt : null;
+};
+
+// Stand-ins for the attempt API calls QuizDisplay makes, working against the pack instead.
+// Same arguments as presentQuestion, submitAnswer and completeAttempt; nothing is graded, so
+// answers resolve to { ungraded: true, score: null } and the attempt to { pendingSync: true }.
+const createOfflineClient = (state) => {
+  const slotFor = (questionId) => {
+    const slot = state.slots.find((s) => String(s.question._id) === String(questionId));
+    if (!slot) throw new Error('Question is not part of this attempt');
+    return slot;
+  };
+
+  return {
+    presentQuestion: async (attemptId, questionId) => {
+      const slot = slotFor(questionId);
+      slot.presentedAt = slot.presentedAt || new Date();
+      return {
+        question: slot.question,
+        presentedAt: slot.presentedAt,
+        deadline: deadlineFor(state, slot),
+        serverNow: new Date(),
+      };
+    },
+
+    submitAnswer: async (attemptId, questionId, selectedAnswer) => {
+      const slot = slotFor(questionId);
+      if (slot.answeredAt) throw new Error('Question has already been answered');
+
+      const now = new Date();
+      const deadline = deadlineFor(state, slot);
+      if (selectedAnswer === null || (deadline && now.getTime() > deadline.getTime() + GRACE_MS)) {
+        timeOut(slot, now);
+      } else {
+        Object.assign(slot, {
+          selectedAnswer,
+          answeredAt: now,
+          timeTakenMs: slot.presentedAt ? now - slot.presentedAt : null,
+        });
+      }
+      return {
+        ungraded: true,
+        isCorrect: null,
+        timedOut: Boolean(slot.timedOut),
+        timeTakenMs: slot.timeTakenMs,
+        explanation: null,
+        score: null,
+      };
+    },
+
+    // Finish the attempt and queue it for syncing; its score and review come back from the sync
+    completeAttempt: async (attemptId, flaggedQuestionIds = []) => {
+      const now = new Date();
+      const flagged = new Set(flaggedQuestionIds.map(String));
+      for (const slot of state.slots) {
+        slot.flagged = flagged.has(String(slot.question._id));
+        if (!slot.answeredAt && state.timing.mode !== 'none') timeOut(slot, now);
+      }
+
+      await put(PENDING_ATTEMPTS, {
+        clientId: state.clientId,
+        quizId: state.pack.quizId,
+        quizVersion: state.pack.version,
+        locale: state.pack.locale,
+        subject: state.pack.subject,
+        difficulty: state.pack.difficulty,
+        timing: state.timing,
+        startedAt: state.startedAt.toISOString(),
+        completedAt: now.toISOString(),
+        totalQuestions: state.slots.length,
+        answers: state.slots.map((slot) => ({
+          questionId: slot.question._id,
+          selectedAnswer: slot.selectedAnswer ?? null,
+          timedOut: Boolean(slot.timedOut),
+          answeredAt: slot.answeredAt?.toISOString() ?? null,
+          timeTakenMs: slot.timeTakenMs ?? null,
+          flagged: slot.flagged,
+        })),
+      });
+
+      return {
+        attemptId: state.clientId,
+        score: null,
+        totalQuestions: state.slots.length,
+        durationMs: now - state.startedAt,
+        showAnswers: true,
+        proficiency: null,
+        offline: true,
+        pendingSync: true,
+        answers: [],
+      };
+    },
+
+    getNextQuestion: async () => {
+      throw new Error('Adaptive quizzes need a connection');
+    },
+  };
+};
+
+// Start a quiz from a downloaded pack: count random questions, or exactly questionIds.
+// Resolves to the same shape as startQuizAttempt plus `client`, the API stand-ins for QuizDisplay.
+export const startOfflineAttempt = async (
+  subject,
+  difficulty,
+  count = 5,
+  { timing = { mode: 'none' }, questionIds } = {}
+) => {
+  const pack = await getOne(PACKS, packKey(subject, difficulty));
+  if (!pack) throw new Error(`${subject} (${difficulty}) hasn't been downloaded for offline use`);
+
+  const questions = questionIds
+    ? questionIds.map((id) => pack.questions.find((q) => String(q._id) === String(id))).filter(Boolean)
+    : shuffled(pack.questions).slice(0, count);
+  if (questions.length === 0) throw new Error('No questions found in this pack');
+
+  const state = {
+    clientId: newClientId(),
+    pack,
+    timing: timing || { mode: 'none' },
+    startedAt: new Date(),
+    slots: questions.map((question) => ({ question })),
+  };
+
+  return {
+    attemptId: state.clientId,
+    offline: true,
+    mode: 'standard',
+    subject: pack.subject,
+    difficulty: pack.difficulty,
+    questions: state.timing.mode === 'question' ? questions.map((q) => ({ _id: q._id })) : questions,
+    total: questions.length,
+    timing: state.timing,
+    deadline: deadlineFor(state),
+    serverNow: state.startedAt,
+    client: createOfflineClient(state),
+  };
+};
+
+export const countPendingAttempts = async () => (await getAll(PENDING_ATTEMPTS)).length;
+
+// Send every queued offline attempt to the server. Resolves to
+//   { synced: [report], failed: [{ subject, difficulty, message }], pending }
+// where each report is { clientId, score, totalQuestions, duplicate, verified, answers, ... }
+// and answers is the graded review of that attempt.
+// Attempts the server turns down for good are dropped; unreachable servers, server
+// errors, expired sessions and the hourly sync limit leave them queued for next time.
+export const syncPendingAttempts = async () => {
+  const queued = await getAll(PENDING_ATTEMPTS);
+  const synced = [];
+  const failed = [];
+
+  for (const attempt of queued) {
+    try {
+      synced.push(await apiRequest(`${API_BASE_URL}/api/attempts/sync`, { method: 'POST', body: attempt }));
+      await remove(PENDING_ATTEMPTS, attempt.clientId);
+    } catch (error) {
+      if (isNetworkError(error) || error.status === 401 || error.status === 429 || error.status >= 500) break;
+      failed.push({ subject: attempt.subject, difficulty: attempt.difficulty, message: error.message });
+      await remove(PENDING_ATTEMPTS, attempt.clientId);
+    }
+  }
+
+  return { synced, failed, pending: await countPendingAttempts() };
+};
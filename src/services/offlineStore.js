@@ -0,0 +1,53 @@
+// Offline store - a small promise wrapper around the browser's IndexedDB
+//   packs     downloaded question sets (no answer keys), keyed by "subject|difficulty"
+//   attempts  finished offline attempts waiting to be synced, keyed by clientId
+
+const DB_NAME = 'quiz-master-offline';
+const DB_VERSION = 1;
+
+export const PACKS = 'packs';
+export const PENDING_ATTEMPTS = 'attempts';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('This browser cannot store quizzes offline'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PACKS)) db.createObjectStore(PACKS, { keyPath: 'key' });
+        if (!db.objectStoreNames.contains(PENDING_ATTEMPTS)) db.createObjectStore(PENDING_ATTEMPTS, { keyPath: 'clientId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again (e.g. after the user allows storage)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against a store and resolve with its result
+const run = async (storeName, mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const getAll = (storeName) => run(storeName, 'readonly', (store) => store.getAll());
+
+export const getOne = (storeName, key) => run(storeName, 'readonly', (store) => store.get(key));
+
+export const put = (storeName, value) => run(storeName, 'readwrite', (store) => store.put(value));
+
+export const remove = (storeName, key) => run(storeName, 'readwrite', (store) => store.delete(key));
@@ -0,0 +1,16 @@
+// Progress Service - XP, streaks, badges and leaderboards for the signed-in user
+import { API_BASE_URL, apiRequest } from './apiClient';
+
+const PROGRESS_API_BASE_URL = `${API_BASE_URL}/api/progress`;
+
+// { xp, level, levelXp, nextLevelXp, quizzesCompleted, currentStreak, longestStreak,
+//   badges, lockedBadges, subjects: [{ subject, xp, weekXp }] }
+export const getProfile = () => apiRequest(PROGRESS_API_BASE_URL);
+
+// period is 'week' or 'all'; without a subject XP from every subject counts.
+// Resolves to { period, subject, since, entries: [{ rank, userId, username, xp }], me }
+export const getLeaderboard = ({ period = 'week', subject, limit = 20 } = {}) => {
+  const params = new URLSearchParams({ period, limit: String(limit) });
+  if (subject) params.set('subject', subject);
+  return apiRequest(`${PROGRESS_API_BASE_URL}/leaderboard?${params}`);
+};
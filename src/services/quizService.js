@@ -1,83 +1,152 @@
 // Quiz Service - Fetches data from MongoDB via backend API
-const API_BASE_URL = (import.meta.env.VITE_API_URL || 'http://3.110.164.48:5000').replace(/\/$/, '');
+import { API_BASE_URL, apiRequest, buildHeaders } from './apiClient';
+import { getLocale } from './i18n';
+
 const QUIZ_API_BASE_URL = `${API_BASE_URL}/api/quiz`;
+const ATTEMPTS_API_BASE_URL = `${API_BASE_URL}/api/attempts`;
 
-export const fetchQuizQuestions = async (subject, difficulty, numberOfQuestions = 5) => {
-  if (!subject || !difficulty) {
+// Start a graded quiz attempt - questions come back without answers.
+// timing is { mode: 'none' | 'question' | 'quiz', questionLimitSec, totalLimitSec };
+// questionIds restricts the attempt to those questions (e.g. retrying wrong answers);
+// mode 'review' draws the questions due in the user's review schedule instead, and
+// mode 'adaptive' serves one question of the subject at a time (see getNextQuestion).
+// blueprint ({ subjects, difficulties, count | perSubject }) mixes several subjects and difficulties.
+// savedQuiz (a share code) starts that saved quiz; its own questions and settings apply.
+// The response carries a seed; passing it back as seed recreates the same quiz.
+// shuffleOptions shuffles the option order of choice questions.
+// tags narrows a single subject/difficulty to questions carrying at least one of them.
+// Questions come in the current UI language where they've been translated.
+export const startQuizAttempt = async (
+  subject,
+  difficulty,
+  numberOfQuestions = 5,
+  {
+    timing = { mode: 'none' },
+    questionIds,
+    mode = 'standard',
+    seed,
+    shuffleOptions = false,
+    blueprint,
+    savedQuiz,
+    tags,
+  } = {}
+) => {
+  if (mode === 'adaptive' && !subject) {
+    throw new Error('Subject is required');
+  }
+  if (mode === 'standard' && !savedQuiz && !questionIds?.length && !blueprint && (!subject || !difficulty)) {
     throw new Error('Subject and difficulty are required');
   }
 
-  try {
-    const url = `${QUIZ_API_BASE_URL}/questions/${encodeURIComponent(subject)}/${encodeURIComponent(difficulty)}?count=${numberOfQuestions}`;
-    console.log('Fetching from URL:', url);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-
-    console.log('Response status:', response.status);
-
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}`;
-      try {
-        const error = await response.json();
-        errorMessage = error.message || errorMessage;
-      } catch {
-        errorMessage = response.statusText || errorMessage;
-      }
-      throw new Error(`Failed to fetch questions: ${errorMessage}`);
-    }
-
-    const data = await response.json();
-    console.log('Response data:', data);
-
-    if (!data.success) {
-      throw new Error(data.message || 'API returned success: false');
-    }
-
-    const questions = data.data || [];
-    if (!Array.isArray(questions) || questions.length === 0) {
-      throw new Error('No questions found for this subject/difficulty');
-    }
-
-    return questions.slice(0, numberOfQuestions);
-  } catch (error) {
-    console.error('Error fetching quiz questions:', error.message);
-    
-    // Provide helpful error messages
-    if (error.message.includes('Failed to fetch')) {
-      console.error('❌ Cannot connect to backend at', API_BASE_URL);
-      console.error('📌 Make sure your server is running: cd server && npm run dev');
-    }
-    
-    throw error;
+  const attempt = await apiRequest(ATTEMPTS_API_BASE_URL, {
+    method: 'POST',
+    body: {
+      subject,
+      difficulty,
+      count: numberOfQuestions,
+      timing,
+      questionIds,
+      mode,
+      seed,
+      shuffleOptions,
+      blueprint,
+      savedQuiz,
+      tags,
+      locale: getLocale(),
+    },
+  });
+
+  if (!Array.isArray(attempt.questions) || attempt.questions.length === 0) {
+    throw new Error('No questions found for this subject/difficulty');
   }
+
+  return attempt;
 };
 
-// Get available subjects
-export const getAvailableSubjects = async () => {
+// The signed-in user's latest in-progress attempt, or null. Resolves to what the attempt
+// started with ({ attemptId, questions, total, timing, deadline, ... }) plus score and answers:
+// one entry per question so far, null while unanswered, else the feedback it got
+export const getActiveAttempt = () => apiRequest(`${ATTEMPTS_API_BASE_URL}/active`);
+
+// Give up on an in-progress attempt so it isn't offered for resuming again
+export const abandonAttempt = (attemptId) =>
+  apiRequest(`${ATTEMPTS_API_BASE_URL}/${attemptId}/abandon`, { method: 'POST' });
+
+// What only the browser knows about an attempt in progress (the question on screen and
+// the flags) is mirrored in local storage, so a reload can put it back
+const PROGRESS_STORAGE_KEY = 'quizInProgress';
+
+export const saveQuizProgress = (attemptId, progress) => {
+  localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify({ attemptId, ...progress }));
+};
+
+// Saved progress for the attempt, or null if what's stored belongs to another one
+export const loadQuizProgress = (attemptId) => {
   try {
-    const response = await fetch(`${QUIZ_API_BASE_URL}/subjects`);
-    if (!response.ok) throw new Error('Failed to fetch subjects');
-    const data = await response.json();
-    return data.success ? data.subjects : getDefaultSubjects();
-  } catch (error) {
-    console.error('Error fetching subjects:', error);
-    return getDefaultSubjects();
+    const progress = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+    return progress?.attemptId === attemptId ? progress : null;
+  } catch {
+    return null;
   }
 };
 
-// Default subjects fallback
-const getDefaultSubjects = () => [
-  'Data Structures',
-  'Algorithms',
-  'Database Management',
-  'Operating Systems',
-  'Computer Networks',
-  'Web Development',
-  'Cloud Computing',
-  'DevOps',
-];
+export const clearQuizProgress = () => localStorage.removeItem(PROGRESS_STORAGE_KEY);
+
+// Next question of an adaptive attempt, picked from how the earlier ones went;
+// resolves to { question, index, total }
+export const getNextQuestion = (attemptId) =>
+  apiRequest(`${ATTEMPTS_API_BASE_URL}/${attemptId}/next`, { method: 'POST' });
+
+// Mark a question as on screen; resolves to { question, presentedAt, deadline, serverNow }
+export const presentQuestion = (attemptId, questionId) =>
+  apiRequest(`${ATTEMPTS_API_BASE_URL}/${attemptId}/questions/${questionId}/present`, { method: 'POST' });
+
+// Submit one answer (null records a timeout); resolves to { isCorrect, correctAnswer, explanation, score }
+export const submitAnswer = (attemptId, questionId, selectedAnswer) =>
+  apiRequest(`${ATTEMPTS_API_BASE_URL}/${attemptId}/answers`, {
+    method: 'POST',
+    body: { questionId, selectedAnswer },
+  });
+
+// Finish an attempt; resolves to the server-computed { score, totalQuestions, answers, proficiency }
+// where answers is the full per-question review (question, given answer, correct answer, explanation)
+// and proficiency ({ level, ability, standardError }) is only set for adaptive attempts.
+// showAnswers is false when a saved quiz keeps the answer key hidden (answers then only say
+// whether each one was right). reward is { xpEarned, xp, level, levelXp, nextLevelXp, streak,
+// newBadges } the first time the attempt completes, null afterwards
+export const completeAttempt = (attemptId, flaggedQuestionIds = []) =>
+  apiRequest(`${ATTEMPTS_API_BASE_URL}/${attemptId}/complete`, {
+    method: 'POST',
+    body: { flaggedQuestionIds },
+  });
+
+// Completed attempts for the signed-in user, newest first
+export const getQuizHistory = ({ subject, difficulty, limit = 20 } = {}) => {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (subject) params.set('subject', subject);
+  if (difficulty) params.set('difficulty', difficulty);
+  return apiRequest(`${ATTEMPTS_API_BASE_URL}?${params}`);
+};
+
+// Accuracy per subject/difficulty with a per-day trend
+export const getProgressStats = () => apiRequest(`${ATTEMPTS_API_BASE_URL}/stats`);
+
+// Questions due for spaced-repetition review; resolves to { total, questions }
+export const getDueForReview = () => apiRequest(`${QUIZ_API_BASE_URL}/review/due?locale=${getLocale()}`);
+
+// Tags used in a subject (and difficulty) with how many questions carry each: [{ tag, count }]
+export const getTags = ({ subject, difficulty } = {}) => {
+  const params = new URLSearchParams();
+  if (subject) params.set('subject', subject);
+  if (difficulty) params.set('difficulty', difficulty);
+  return apiRequest(`${QUIZ_API_BASE_URL}/tags?${params}`);
+};
+
+// Get available subjects: [{ _id, name, slug, icon, description, order, questionCounts }]
+export const getAvailableSubjects = async () => {
+  const response = await fetch(`${QUIZ_API_BASE_URL}/subjects`, { headers: buildHeaders() });
+  if (!response.ok) throw new Error('Failed to fetch subjects');
+  const data = await response.json();
+  if (!data.success) throw new Error(data.message || 'Failed to fetch subjects');
+  return data.subjects;
+};
@@ -0,0 +1,96 @@
+// Rich text - renders question text, options and explanations from Markdown to sanitized HTML.
+// Supports fenced code blocks (syntax highlighted), $inline$ and $$display$$ LaTeX math, and
+// images uploaded through the admin editor, written as ![alt](asset:<name>).
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import katex from 'katex';
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import c from 'highlight.js/lib/languages/c';
+import cpp from 'highlight.js/lib/languages/cpp';
+import css from 'highlight.js/lib/languages/css';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import python from 'highlight.js/lib/languages/python';
+import sql from 'highlight.js/lib/languages/sql';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+import { API_BASE_URL } from './apiClient';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github.css';
+
+// Languages that come up in the question bank; anything else is shown without colours
+Object.entries({ bash, c, cpp, css, java, javascript, json, python, sql, xml, yaml }).forEach(
+  ([name, language]) => hljs.registerLanguage(name, language)
+);
+
+const ASSET_PREFIX = 'asset:';
+
+const renderMath = (tex, displayMode) =>
+  katex.renderToString(tex, { displayMode, throwOnError: false, output: 'htmlAndMathml' });
+
+// $$...$$ on its own lines is display math; $...$ is inline. An opening $ followed by a space
+// or a closing $ followed by a digit is left alone, so prices like "$5 and $10" stay text.
+const mathExtension = {
+  extensions: [
+    {
+      name: 'mathBlock',
+      level: 'block',
+      start: (src) => src.indexOf('$$'),
+      tokenizer(src) {
+        const match = /^\$\$([\s\S]+?)\$\$(?:\n+|$)/.exec(src);
+        if (match) return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+        return undefined;
+      },
+      renderer: (token) => `<div class="math-block">${renderMath(token.text, true)}</div>`,
+    },
+    {
+      name: 'mathInline',
+      level: 'inline',
+      start: (src) => src.indexOf('$'),
+      tokenizer(src) {
+        const match = /^\$\$([^$]+?)\$\$|^\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)/.exec(src);
+        if (match) return { type: 'mathInline', raw: match[0], text: match[1] ?? match[2], display: Boolean(match[1]) };
+        return undefined;
+      },
+      renderer: (token) => renderMath(token.text, token.display),
+    },
+  ],
+};
+
+const markdown = new Marked(mathExtension, {
+  gfm: true,
+  breaks: true,
+  // asset:<name> images are served by the API
+  walkTokens: (token) => {
+    if (token.type === 'image' && token.href.startsWith(ASSET_PREFIX)) {
+      token.href = `${API_BASE_URL}/api/assets/${encodeURIComponent(token.href.slice(ASSET_PREFIX.length))}`;
+    }
+  },
+  renderer: {
+    code({ text, lang }) {
+      const language = (lang || '').trim().split(/\s+/)[0];
+      const html = hljs.getLanguage(language)
+        ? hljs.highlight(text, { language }).value
+        : text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      return `<pre><code class="hljs${language ? ` language-${language}` : ''}">${html}</code></pre>`;
+    },
+  },
+});
+
+// Links in a question should not navigate away from a running quiz
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Sanitized HTML for a Markdown string. inline skips block elements (paragraphs, lists,
+// code blocks) for places like answer options and review lines.
+export const renderRichText = (text, { inline = false } = {}) => {
+  const source = String(text ?? '');
+  const html = inline ? markdown.parseInline(source) : markdown.parse(source);
+  return DOMPurify.sanitize(html, { ADD_ATTR: ['target'] });
+};
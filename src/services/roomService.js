@@ -0,0 +1,42 @@
+// Room Service - multiplayer rooms and their live event stream
+import { API_BASE_URL, apiRequest, getToken } from './apiClient';
+
+const ROOMS_API_BASE_URL = `${API_BASE_URL}/api/rooms`;
+
+const ROOM_EVENTS = ['state', 'players', 'question', 'answered', 'reveal', 'finished'];
+
+// Open a room as its host; resolves to the room snapshot (including its join code)
+export const createRoom = ({ subject, difficulty, count = 5, questionLimitSec }) =>
+  apiRequest(ROOMS_API_BASE_URL, {
+    method: 'POST',
+    body: { subject, difficulty, count, questionLimitSec },
+  });
+
+export const joinRoom = (code) =>
+  apiRequest(`${ROOMS_API_BASE_URL}/${encodeURIComponent(code.trim().toUpperCase())}/join`, { method: 'POST' });
+
+export const startRoom = (code) => apiRequest(`${ROOMS_API_BASE_URL}/${code}/start`, { method: 'POST' });
+
+export const submitRoomAnswer = (code, questionIndex, selectedAnswer) =>
+  apiRequest(`${ROOMS_API_BASE_URL}/${code}/answers`, {
+    method: 'POST',
+    body: { questionIndex, selectedAnswer },
+  });
+
+// Listen to a room's events. handlers maps event names (state, players, question,
+// answered, reveal, finished) to callbacks taking the parsed payload; onError fires
+// when the connection drops (EventSource reconnects by itself). Returns an unsubscribe function.
+export const subscribeToRoom = (code, handlers, onError) => {
+  // EventSource can't send an Authorization header, so the token goes in the query string
+  const source = new EventSource(
+    `${ROOMS_API_BASE_URL}/${code}/events?token=${encodeURIComponent(getToken() || '')}`
+  );
+
+  for (const event of ROOM_EVENTS) {
+    if (!handlers[event]) continue;
+    source.addEventListener(event, (e) => handlers[event](JSON.parse(e.data)));
+  }
+  if (onError) source.onerror = onError;
+
+  return () => source.close();
+};
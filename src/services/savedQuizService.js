@@ -0,0 +1,36 @@
+// Saved Quiz Service - fixed quizzes shared by link, and assignment results
+import { API_BASE_URL, apiRequest } from './apiClient';
+
+const SAVED_QUIZZES_API_BASE_URL = `${API_BASE_URL}/api/saved-quizzes`;
+
+const codePath = (code) => `${SAVED_QUIZZES_API_BASE_URL}/${encodeURIComponent(code.trim().toUpperCase())}`;
+
+// Link that opens the app straight into a saved quiz
+export const shareLinkFor = (code) => `${window.location.origin}${window.location.pathname}?quiz=${code}`;
+
+// Share code from the current page's link (?quiz=CODE), or null
+export const sharedQuizCodeFromUrl = () => new URLSearchParams(window.location.search).get('quiz');
+
+// Drop ?quiz= from the address bar once the quiz is open, so a reload doesn't start it again
+export const clearSharedQuizFromUrl = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('quiz');
+  window.history.replaceState(null, '', url);
+};
+
+// Freeze a list of questions with the settings every taker gets:
+// { title, description, questionIds, timing, shuffleOptions, maxAttempts, showAnswers, dueAt }.
+// Resolves to the saved quiz summary, including its share code.
+export const createSavedQuiz = (savedQuiz) =>
+  apiRequest(SAVED_QUIZZES_API_BASE_URL, { method: 'POST', body: savedQuiz });
+
+// Saved quizzes the signed-in user created, each with completedBy (learners who finished it)
+export const getMySavedQuizzes = () => apiRequest(SAVED_QUIZZES_API_BASE_URL);
+
+// One saved quiz before starting it, with attemptsUsed / attemptsLeft for the signed-in user
+export const getSavedQuiz = (code) => apiRequest(codePath(code));
+
+// Creator only; resolves to { savedQuiz, results: [{ username, attempts, bestScore, lastScore, late, ... }] }
+export const getSavedQuizResults = (code) => apiRequest(`${codePath(code)}/results`);
+
+export const deleteSavedQuiz = (code) => apiRequest(codePath(code), { method: 'DELETE' });
@@ -0,0 +1,13 @@
+// Shared setup for component tests: DOM matchers (toHaveFocus, ...), axe's
+// toHaveNoViolations, and a clean DOM and storage between tests
+import '@testing-library/jest-dom/vitest';
+import { afterEach, expect } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import { toHaveNoViolations } from 'jest-axe';
+
+expect.extend(toHaveNoViolations);
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
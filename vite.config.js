@@ -1,7 +1,58 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+// Fill in the service worker's precache list (public/sw.js) with the built files, so the app
+// opens offline even if the learner goes offline before its scripts and styles were fetched.
+// The list's hash names the cache, which also changes sw.js on every deploy so browsers install
+// the new worker. KaTeX's .woff/.ttf fallbacks are left out: browsers with service workers read woff2.
+const precacheBuild = () => {
+  let base = '/'
+  let files = []
+  return {
+    name: 'precache-build',
+    apply: 'build',
+    configResolved(config) {
+      base = config.base
+    },
+    generateBundle(options, bundle) {
+      files = Object.keys(bundle)
+        .filter((file) => file !== 'index.html' && !/\.(map|woff|ttf)$/.test(file))
+        .sort()
+        .map((file) => `${base}${file}`)
+    },
+    async writeBundle(options) {
+      const path = join(options.dir, 'sw.js')
+      const source = await readFile(path, 'utf8')
+      const build = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+      const filled = source
+        .replace("const BUILD = 'dev';", `const BUILD = '${build}';`)
+        .replace('const BUILD_FILES = [];', `const BUILD_FILES = ${JSON.stringify(files)};`)
+      if (filled === source) this.error('public/sw.js has no BUILD / BUILD_FILES placeholders to fill in')
+      await writeFile(path, filled)
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheBuild()],
   base: '/',
+  build: {
+    rollupOptions: {
+      output: {
+        // Markdown, math and highlighting libraries change rarely; keep them out of the app chunk
+        manualChunks: {
+          'rich-text': ['marked', 'dompurify', 'katex', 'highlight.js/lib/core'],
+        },
+      },
+    },
+  },
+  // Component tests (npm test); the server's own tests run with node --test in server/
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.{js,jsx}'],
+    setupFiles: ['./src/test/setup.js'],
+  },
 })